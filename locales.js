@@ -4,29 +4,183 @@ const fs = require('fs/promises');
 const fsSync = require('fs');
 const path = require('path');
 const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
-const { globSync } = require('glob');
+const { globSync, escape: escapeGlob } = require('glob');
+const babelParser = require('@babel/parser');
 
 // --- CONFIGURATION ---
-// Defines constants and paths used throughout the script.
-const PORT = 3333; // Port for the web server to run on.
-const i18nDir = path.resolve(__dirname, '../src/lib/i18n'); // Base directory for i18n files.
-const localesDir = path.join(i18nDir, 'locales'); // Directory where locale JSON files are stored.
-const typesFilePath = path.join(i18nDir, 'types.ts'); // Path for the generated TypeScript types file.
-const workspaceDir = path.resolve(__dirname, '../src'); // The root directory of the application source code to scan.
-const locales = ['en', 'de', 'es', 'fr']; // Supported locales (languages) for the application.
-const IGNORE_PATTERNS = [
-	'**/node_modules/**', // Ignore node_modules directory.
-	'**/dist/**', // Ignore build output directories.
-	'**/.next/**', // Ignore Next.js build directory.
-	'**/*.d.ts', // Ignore TypeScript declaration files.
-	`${i18nDir}/**` // Ignore the i18n directory itself to prevent self-referencing.
+// Defaults used when neither a config file nor a CLI flag overrides them. Relative paths are
+// resolved against the directory of the config file (or a project's `root`), and against the
+// parent of this script's directory when there is no config file, which keeps the original
+// `my-app/scripts/locales.js` layout working out of the box.
+const CONFIG_FILE_NAMES = [
+	'i18n-sync.config.js',
+	'i18n-sync.config.cjs',
+	'i18n-sync.config.json'
 ];
+const DEFAULT_CONFIG = {
+	port: 3333, // Port for the web server to run on.
+	i18nDir: 'src/lib/i18n', // Base directory for i18n files.
+	localesDir: null, // Directory where locale files are stored (defaults to `<i18nDir>/locales`).
+	// Format of the locale files: 'json', 'yaml', 'js', 'ts', 'arb', 'strings' or 'android' (see `LOCALE_FORMATS`).
+	fileFormat: 'json',
+	// Path of a locale's file relative to `localesDir`, with a `{locale}` placeholder and, in the namespaced
+	// layout, a `{namespace}` placeholder in the file name (defaults to the format's usual file names).
+	filePattern: null,
+	// Single layout only: files of particular locales that do not follow `filePattern`, relative to
+	// `localesDir`. Example: { en: 'values/strings.xml' } for an Android project's default strings.
+	files: {},
+	// How the locale files are organized: 'single' (one file per locale, e.g. `<localesDir>/<locale>.json`)
+	// or 'namespaced' (`<localesDir>/<locale>/<namespace>.json`, where the first segment of a key is its namespace).
+	layout: 'single',
+	// Namespaced layout only: the namespace of keys used without one, as in i18next.
+	defaultNamespace: 'translation',
+	// Namespaced layout only: the separator of an explicit namespace in a key, as in `t('checkout:cta')`.
+	nsSeparator: ':',
+	typesFile: null, // Path for the generated TypeScript types file (defaults to `<i18nDir>/types.ts`).
+	workspaceDir: 'src', // The root directory of the application source code to scan.
+	locales: ['en', 'de', 'es', 'fr'], // Supported locales (languages) for the application.
+	ignore: [
+		'**/node_modules/**', // Ignore node_modules directory.
+		'**/dist/**', // Ignore build output directories.
+		'**/.next/**', // Ignore Next.js build directory.
+		'**/*.d.ts' // Ignore TypeScript declaration files.
+	],
+	// Functions whose argument `arg` (default 0) is a translation key, by (dotted) callee name.
+	translators: [{ name: 't' }, { name: 'i18n.t' }, { name: 'i18next.t' }],
+	// JSX components whose `prop` holds a translation key.
+	components: [{ name: 'Trans', prop: 'i18nKey' }],
+	// Hooks/functions returning a translator bound to the namespace in argument `arg` (default 0).
+	// `property` names the translator when the result is an object, as in `const { t } = useTranslation('ns')`.
+	namespaceHooks: [
+		{ name: 'useTranslations', arg: 0 },
+		{ name: 'getTranslations', arg: 0 }
+	],
+	// Key patterns that are never removed by cleanup. `*` matches one key segment, `**` any number.
+	keep: [],
+	// The locale whose texts are the source for translations and parameter types (defaults to the first locale).
+	sourceLocale: null,
+	// Directory for the tool's own state, such as the trash of removed keys (defaults to `<i18nDir>/.i18n-sync`).
+	stateDir: null,
+	// The prompt for AI translation, used by the "Copy Full Prompt for AI" button and the LLM providers
+	// (defaults to `DEFAULT_PROMPT_TEMPLATE`).
+	promptTemplate: null,
+	// File recording the source text each translation is based on, to find outdated translations (defaults to
+	// `<i18nDir>/i18n-sync.lock.json`); see `updateTranslationLock`.
+	lockFile: null,
+	// JSON glossary of protected terms and forced translations (defaults to `<i18nDir>/glossary.json`, used
+	// if it exists); see `readGlossary`.
+	glossaryFile: null,
+	// Suggestions from the translation memory for missing translations: matches scoring at least `minScore`
+	// (0 to 1, where 1 is an exact match) and at most `maxSuggestions` per cell (0 turns them off).
+	translationMemory: { minScore: 0.7, maxSuggestions: 3 },
+	// Locales that only store the texts differing from another locale, such as regional variants, mapped to
+	// the locale they fall back to. Chains are followed: { 'de-CH': 'de', 'de-LI': 'de-CH' } makes de-LI
+	// inherit from de-CH, then de. See `getFallbackChain`.
+	fallbackLocales: {},
+	// Minimum coverage in percent for the `report` command's exit code, by locale; '*' applies to the locales
+	// not listed. Example: { de: 100, '*': 80 }.
+	coverageThresholds: {},
+	// Pseudo-locales generated from the source locale with the types, by locale code, with options overriding
+	// `PSEUDO_LOCALE_DEFAULTS`. Example: { 'en-XA': {}, 'ar-XB': { mirror: true } }
+	pseudoLocales: {},
+	// Output of the `build` command (see `buildRuntimeBundles`): `outDir` (defaults to `<i18nDir>/build`),
+	// the entry files of the `routes` that get their own bundles (glob patterns relative to `workspaceDir`),
+	// the `formats` written (see `BUNDLE_FORMATS`) and whether file names carry a content hash.
+	build: {
+		outDir: null,
+		routes: ['pages/**/*.{js,jsx,ts,tsx}', 'app/**/page.{js,jsx,ts,tsx}'],
+		formats: ['json', 'js'],
+		hashFileNames: true
+	},
+	// Machine translation for the "Translate missing" button; see `TRANSLATION_PROVIDERS`.
+	// Example: { provider: 'openai', model: 'gpt-4o-mini', batchTokens: 2000, requestsPerMinute: 30, maxRetries: 3 }
+	translation: null,
+	// Link opened for a key's source location in the web UI. `{path}` is the absolute path with forward
+	// slashes and a leading "/"; `{line}` and `{column}` are 1-based.
+	editorUrl: 'vscode://file{path}:{line}:{column}'
+};
+// Command-line flags that override config values. Path flags are resolved against the cwd.
+const CONFIG_FLAGS = {
+	config: {
+		type: 'string',
+		description: 'Path to a config file (default: search up from cwd)'
+	},
+	project: {
+		type: 'string',
+		description: 'Project to use from a multi-project config'
+	},
+	port: { type: 'string', description: 'Port for the web server' },
+	'i18n-dir': {
+		type: 'string',
+		description: 'Base directory for i18n files'
+	},
+	'locales-dir': {
+		type: 'string',
+		description: 'Directory containing the locale files'
+	},
+	'types-file': {
+		type: 'string',
+		description: 'Path of the generated types file'
+	},
+	'workspace-dir': {
+		type: 'string',
+		description: 'Source directory to scan for translation calls'
+	},
+	locales: {
+		type: 'string',
+		description: 'Comma-separated list of locales, e.g. en,de,fr'
+	},
+	'source-locale': {
+		type: 'string',
+		description: 'Locale of the source texts (default: the first locale)'
+	},
+	ignore: {
+		type: 'string',
+		multiple: true,
+		description: 'Extra glob pattern to exclude from the scan (repeatable)'
+	}
+};
+// The resolved configuration for the current run, set by `loadConfig()`.
+let config = null;
+// When true (`--json`, or a command whose output is its result, see `printsResult`), results are printed to
+// stdout and progress messages go to stderr.
+let jsonOutput = false;
 // ---------------------
 
+/**
+ * Error raised for invalid configuration or command-line usage.
+ * These are reported to the user without a stack trace.
+ */
+class ConfigError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'ConfigError';
+	}
+}
+
 // --- UTILITY FUNCTIONS ---
 
+/**
+ * Checks that a dot-separated key path has no empty segments and no `__proto__` segment, which would
+ * make `setValue` write into `Object.prototype` instead of the locale data. Other inherited names such as
+ * `toString` are valid keys: `getValue`, `setValue` and `deleteValue` only use own properties, so they
+ * never resolve to members of `Object.prototype`.
+ * @param {*} keyPath - The key path to check.
+ * @returns {boolean} True if the key path can be read and written safely.
+ */
+function isValidKeyPath(keyPath) {
+	return (
+		typeof keyPath === 'string' &&
+		keyPath
+			.split('.')
+			.every((segment) => segment !== '' && segment !== '__proto__')
+	);
+}
+
 /**
  * Recursively sets a value in a nested object using a path array.
  * @param {object} obj - The object to modify.
@@ -44,6 +198,28 @@ function deepSet(obj, pathArr, value) {
 	current[pathArr[pathArr.length - 1]] = value;
 }
 
+/**
+ * Writes a file atomically: the content is written to a temporary file next to it, which then replaces
+ * the file, so that a crash or a concurrent reader never sees a half-written file.
+ * @param {string} filePath - The file path.
+ * @param {string} content - The content.
+ */
+async function writeFileAtomic(filePath, content) {
+	const tempPath = path.join(
+		path.dirname(filePath),
+		`.${path.basename(filePath)}.${crypto
+			.randomBytes(4)
+			.toString('hex')}.tmp`
+	);
+	try {
+		await fs.writeFile(tempPath, content, 'utf-8');
+		await fs.rename(tempPath, filePath);
+	} catch (error) {
+		await fs.rm(tempPath, { force: true });
+		throw error;
+	}
+}
+
 /**
  * Retrieves a value from a nested object using a dot-separated key path.
  * @param {object} obj - The object to query.
@@ -53,7 +229,15 @@ function deepSet(obj, pathArr, value) {
 function getValue(obj, keyPath) {
 	return keyPath
 		.split('.')
-		.reduce((o, k) => (o && o[k] !== undefined ? o[k] : undefined), obj);
+		.reduce(
+			(o, k) =>
+				o &&
+				typeof o === 'object' &&
+				Object.prototype.hasOwnProperty.call(o, k)
+					? o[k]
+					: undefined,
+			obj
+		);
 }
 
 /**
@@ -66,9 +250,21 @@ function isValidIdentifier(str) {
 	return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(str);
 }
 
+/**
+ * Formats a key for use as a TypeScript property name, quoting it if it is not a valid identifier.
+ * @param {string} key - The property name.
+ * @param {boolean} [alwaysQuote=false] - Quote even valid identifiers (used for dotted key maps).
+ * @returns {string} The property name as it should appear in TypeScript source.
+ */
+function formatTsKey(key, alwaysQuote = false) {
+	if (isValidIdentifier(key) && !alwaysQuote) return key;
+	return `'${key.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
 /**
  * Extracts translation keys from a TypeScript types file content.
- * This function parses the `types.ts` file to get a definitive list of all expected translation keys.
+ * This function parses the `LocaleStructure` interface of the `types.ts` file to get a definitive
+ * list of all expected translation keys.
  * @param {string} content - The content of the TypeScript types file.
  * @returns {Set<string>} A set of all extracted translation keys (e.g., "common.greeting").
  */
@@ -76,14 +272,23 @@ function getTypeKeys(content) {
 	const keys = new Set();
 	const stack = []; // Used to keep track of nested object keys
 	const lines = content.split('\n');
+	let inStructure = false;
 	for (const line of lines) {
 		const trimmedLine = line.trim();
+		// Only the `LocaleStructure` interface lists keys; the rest of the file describes their parameters.
+		if (!inStructure) {
+			inStructure = trimmedLine.startsWith(
+				'export interface LocaleStructure'
+			);
+			continue;
+		}
 		// If a line ends with '{', it indicates the start of a nested object/interface.
 		if (trimmedLine.endsWith('{')) {
-			const key = trimmedLine.match(/(\w+):/)?.[1]; // Extract the key name
-			if (key) stack.push(key);
+			const key = trimmedLine.match(/^(\w+|'[^']+'|"[^"]+"):/)?.[1]; // Extract the key name
+			if (key) stack.push(key.replace(/['"]/g, ''));
 		} else if (trimmedLine.startsWith('}')) {
 			// If a line starts with '}', it indicates the end of a nested object/interface.
+			if (stack.length === 0) break; // End of `LocaleStructure`.
 			stack.pop();
 		} else if (trimmedLine.includes(': string;')) {
 			// If a line contains ': string;', it's a translation key definition.
@@ -106,430 +311,9679 @@ function getTypeKeys(content) {
 
 /**
  * Sets a value in a nested object using a dot-separated key path.
- * This is used when saving new translations from the web UI back into the JSON files.
+ * This is used when saving new translations from the web UI back into the locale files.
  * @param {object} obj - The object to modify.
  * @param {string} keyPath - The dot-separated path to the value (e.g., "common.greeting").
  * @param {*} value - The value to set.
  */
 function setValue(obj, keyPath, value) {
+	if (!isValidKeyPath(keyPath))
+		throw new ConfigError(`Invalid key path "${keyPath}".`);
 	const keys = keyPath.split('.');
 	const lastKey = keys.pop(); // Get the last key in the path
 	let current = obj;
 	for (const key of keys) {
 		// Traverse or create nested objects
-		if (!current[key] || typeof current[key] !== 'object')
+		if (
+			!Object.prototype.hasOwnProperty.call(current, key) ||
+			!current[key] ||
+			typeof current[key] !== 'object'
+		)
 			current[key] = {};
 		current = current[key];
 	}
 	current[lastKey] = value; // Set the value at the final key
 }
 
-// --- CORE LOGIC: STEP 1 - GENERATION ---
-// This step identifies all translation keys used in the application's source code
-// and generates a TypeScript type definition file based on these keys.
-
 /**
- * Scans the project's source files for all occurrences of the `t()` internationalization function
- * to extract used translation keys.
- * @returns {string[]} A sorted array of unique translation keys found in the project.
+ * Removes a value from a nested object by its dot-separated path, along with parents left empty.
+ * @param {object} obj - The object to modify.
+ * @param {string} keyPath - The dot-separated path to the value.
+ * @returns {boolean} Whether a value was removed.
  */
-function scanForKeys() {
-	console.log(`\n🔍 Scanning for t() calls in: ${workspaceDir}`);
-	// Regex to find `t('key.path')`, `t("key.path")`, or `t(`key.path`)` calls.
-	const i18nRegex =
-		/\bt\(\s*(['"`])([a-zA-Z0-9_.-]+(?:\.[a-zA-Z0-9_.-]+)*)\1(?:\s*,\s*(?:[^)]|\([^)]*\))*?)?\s*\)/gs;
-	const allKeys = new Set(); // Use a Set to store unique keys.
-	// Find all relevant source files (JS, JSX, TS, TSX) in the workspace, ignoring specified patterns.
-	const files = globSync('**/*.{js,jsx,ts,tsx}', {
-		cwd: workspaceDir,
-		ignore: IGNORE_PATTERNS
-	});
-	console.log(`...found ${files.length} files to scan.`);
+function deleteValue(obj, keyPath) {
+	const [first, ...rest] = keyPath.split('.');
+	if (
+		!obj ||
+		typeof obj !== 'object' ||
+		!Object.prototype.hasOwnProperty.call(obj, first)
+	)
+		return false;
+	if (rest.length === 0) return delete obj[first];
+	const removed = deleteValue(obj[first], rest.join('.'));
+	if (
+		removed &&
+		typeof obj[first] === 'object' &&
+		Object.keys(obj[first]).length === 0
+	)
+		delete obj[first];
+	return removed;
+}
 
-	for (const file of files) {
-		const filePath = path.join(workspaceDir, file);
-		try {
-			const content = fsSync.readFileSync(filePath, 'utf-8');
-			let match;
-			// Execute regex repeatedly to find all matches in the file content.
-			while ((match = i18nRegex.exec(content)) !== null) {
-				if (match[2]) allKeys.add(match[2]); // Add the extracted key to the set.
-			}
-		} catch (err) {
-			console.warn(`⚠️  Could not read file: ${filePath}`);
-		}
+/**
+ * Collects the dot-separated paths of all leaf values in a nested locale object.
+ * @param {object} obj - The locale data.
+ * @param {string[]} [prefix=[]] - The path of `obj` within the root object.
+ * @returns {string[]} The leaf key paths (e.g., ["common.greeting", "common.title"]).
+ */
+function collectLeafKeys(obj, prefix = []) {
+	const keys = [];
+	for (const [key, value] of Object.entries(obj)) {
+		const currentPath = [...prefix, key];
+		if (typeof value === 'object' && value !== null)
+			keys.push(...collectLeafKeys(value, currentPath));
+		else keys.push(currentPath.join('.'));
 	}
-	return [...allKeys].sort(); // Convert set to array and sort alphabetically.
+	return keys;
 }
 
 /**
- * Generates a TypeScript interface file (`types.ts`) based on the scanned translation keys.
- * This file provides type safety for translation keys in the application.
- * @param {string[]} sortedKeys - A sorted array of unique translation keys.
+ * Compiles a key pattern such as "status.*" or "errors.**" into a regular expression.
+ * `*` matches within a single key segment and `**` matches one or more whole segments.
+ * @param {string} pattern - The key pattern.
+ * @returns {RegExp} A regular expression matching full key paths.
  */
-function generateTypesFile(sortedKeys) {
-	console.log(
-		`\n📝 Generating TypeScript types from ${sortedKeys.length} keys...`
-	);
-	const tsStructure = {};
-	// Build a nested object structure from the dot-separated keys, with 'string' as leaf values.
-	for (const key of sortedKeys) {
-		deepSet(tsStructure, key.split('.'), 'string');
-	}
+function compileKeyPattern(pattern) {
+	const escape = (str) => str.replace(/[|\\{}()[\]^$+?.]/g, '\\$&');
+	const source = pattern
+		.split('.')
+		.map((segment) =>
+			segment === '**'
+				? '[^.]+(?:\\.[^.]+)*'
+				: segment.split('*').map(escape).join('[^.]*')
+		)
+		.join('\\.');
+	return new RegExp(`^${source}$`);
+}
 
-	/**
-	 * Recursively formats a JavaScript object into a TypeScript interface string.
-	 * @param {object} obj - The object representing the interface structure.
-	 * @param {number} indentLevel - Current indentation level.
-	 * @returns {string} The formatted TypeScript interface string.
-	 */
-	function formatToTsInterface(obj, indentLevel = 1) {
-		const indent = '\t'.repeat(indentLevel);
-		let result = '';
-		for (const [key, value] of Object.entries(obj)) {
-			// Format key: enclose in quotes if not a valid identifier (e.g., 'my-key').
-			const formattedKey = isValidIdentifier(key) ? key : `'${key}'`;
-			if (typeof value === 'object' && value !== null) {
-				// If value is an object, recursively format as a nested interface.
-				result += `${indent}${formattedKey}: {\n${formatToTsInterface(
-					value,
-					indentLevel + 1
-				)}${indent}};\n`;
-			} else {
-				// Otherwise, it's a string literal (the translation value).
-				result += `${indent}${formattedKey}: ${value};\n`;
-			}
-		}
-		return result;
-	}
+/**
+ * Escapes a string for use in HTML text and attribute values.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
 
-	const tsInterfaceBody = formatToTsInterface(tsStructure);
-	// Assemble the final TypeScript file content.
-	const tsFileContent = `export interface LocaleStructure {\n${tsInterfaceBody}}\n`;
-	// Write the content to the types.ts file.
-	fs.writeFile(typesFilePath, tsFileContent, 'utf-8');
-	console.log(`✅ Generated TypeScript types file: ${typesFilePath}`);
+/**
+ * Serializes a value as JSON that is safe to inline in a `<script>` element.
+ * @param {*} value - The value to serialize.
+ * @returns {string} The JSON string with `<` escaped.
+ */
+function toScriptJson(value) {
+	return JSON.stringify(value).replace(/</g, '\\u003c');
 }
 
-// --- CORE LOGIC: STEP 2 - CLEANUP ---
-// This step removes any translation keys from the locale JSON files that are no longer
-// found in the application's source code (as determined by `scanForKeys`).
+/**
+ * Serializes rows as RFC 4180 CSV. Cells containing commas, quotes or line breaks are quoted.
+ * @param {Array<Array<*>>} rows - The rows, including the header row.
+ * @returns {string} The CSV text, with rows separated by "\n".
+ */
+function toCsv(rows) {
+	const escapeCell = (cell) => {
+		const str = cell === undefined || cell === null ? '' : String(cell);
+		return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+	};
+	return rows.map((row) => row.map(escapeCell).join(',')).join('\n');
+}
 
 /**
- * Cleans up locale JSON files by removing translation keys that are no longer used
- * in the application's source code.
- * @param {string[]} validKeys - An array of currently used translation keys.
+ * Parses RFC 4180 CSV, including quoted cells with commas, escaped quotes and line breaks.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows (blank lines are skipped).
+ * @throws {Error} If a quoted cell is not closed.
  */
-async function cleanupLocaleFiles(validKeys) {
-	console.log('\n🧹 Cleaning up unused keys from locale files...');
-	const validKeysSet = new Set(validKeys); // Convert to Set for efficient lookup.
-	let totalRemoved = 0;
+function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let inQuotes = false;
+	for (let i = 0; i < text.length; i++) {
+		const ch = text[i];
+		if (inQuotes) {
+			if (ch === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (ch === '"') inQuotes = false;
+			else cell += ch;
+		} else if (ch === '"' && cell === '') inQuotes = true;
+		else if (ch === ',') {
+			row.push(cell);
+			cell = '';
+		} else if (ch === '\n' || ch === '\r') {
+			if (ch === '\r' && text[i + 1] === '\n') i++;
+			row.push(cell);
+			if (row.length > 1 || row[0] !== '') rows.push(row);
+			row = [];
+			cell = '';
+		} else cell += ch;
+	}
+	if (inQuotes) throw new Error('Unterminated quoted cell in CSV data.');
+	row.push(cell);
+	if (row.length > 1 || row[0] !== '') rows.push(row);
+	return rows;
+}
 
-	// Iterate over each supported locale.
-	for (const locale of locales) {
-		const filePath = path.join(localesDir, `${locale}.json`);
-		try {
-			const content = await fs.readFile(filePath, 'utf-8');
-			let data = JSON.parse(content); // Parse the JSON content.
-			let removedCount = 0;
+/**
+ * Prints a progress message. In `--json` mode it goes to stderr so stdout stays machine-readable.
+ * @param {...*} args - The values to print, as for `console.log`.
+ */
+function log(...args) {
+	if (jsonOutput) console.error(...args);
+	else console.log(...args);
+}
 
-			/**
-			 * Recursively traverses the locale data object and removes unused keys.
-			 * @param {object} obj - The current object being traversed.
-			 * @param {string[]} path - The current path (array of keys) to the object.
-			 */
-			function traverseAndClean(obj, path = []) {
-				for (const key in obj) {
-					if (Object.prototype.hasOwnProperty.call(obj, key)) {
-						const currentPath = [...path, key]; // Build the full key path.
-						if (typeof obj[key] === 'object' && obj[key] !== null) {
-							// If it's a nested object, recurse.
-							traverseAndClean(obj[key], currentPath);
-							// After cleaning children, if the object is empty, delete it.
-							if (Object.keys(obj[key]).length === 0) {
-								delete obj[key];
-							}
-						} else if (!validKeysSet.has(currentPath.join('.'))) {
-							// If the key is not in the set of valid keys, delete it.
-							delete obj[key];
-							removedCount++;
-						}
-					}
-				}
-			}
+// --- CONFIGURATION LOADING ---
+// Resolves the effective configuration from the defaults, an optional config file and CLI flags.
 
-			traverseAndClean(data); // Start cleaning from the root of the locale data.
-			if (removedCount > 0) {
-				// If keys were removed, write the updated JSON back to the file.
-				await fs.writeFile(
-					filePath,
-					JSON.stringify(data, null, '\t'), // Pretty print with tabs.
-					'utf-8'
-				);
-				console.log(
-					`   - Removed ${removedCount} unused keys from ${locale}.json`
-				);
-				totalRemoved += removedCount;
-			}
-		} catch (error) {
-			console.error(`⚠️ Could not clean ${filePath}:`, error.message);
+/**
+ * Parses command-line arguments into positionals and flags.
+ * Supports `--name value`, `--name=value` and boolean `--flag` forms.
+ * @param {string[]} argv - The raw arguments (without the node binary and script path).
+ * @param {object} spec - Flag definitions keyed by flag name ({ type: 'string' | 'boolean', multiple?: boolean }).
+ * @returns {{ positionals: string[], flags: object }} The parsed arguments.
+ */
+function parseArgs(argv, spec) {
+	const positionals = [];
+	const flags = {};
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (!arg.startsWith('--')) {
+			positionals.push(arg);
+			continue;
 		}
+		const eqIndex = arg.indexOf('=');
+		const name = arg.slice(2, eqIndex === -1 ? undefined : eqIndex);
+		const def = spec[name];
+		if (!def) throw new ConfigError(`Unknown option: --${name}`);
+		let value = true;
+		if (def.type === 'string') {
+			if (eqIndex !== -1) value = arg.slice(eqIndex + 1);
+			else if (i + 1 < argv.length) value = argv[++i];
+			else throw new ConfigError(`Option --${name} requires a value.`);
+		}
+		if (def.multiple) (flags[name] = flags[name] || []).push(value);
+		else flags[name] = value;
 	}
-	if (totalRemoved === 0)
-		console.log('   - No unused keys found. All files are clean.');
+	return { positionals, flags };
 }
 
-// --- CORE LOGIC: STEP 3 - SYNC (Web UI) ---
-// This step identifies missing translations across locale files compared to the generated types,
-// and then launches a local web server with an interactive UI to facilitate adding these translations.
-
 /**
- * Compares the keys in the generated `types.ts` file with existing keys in locale JSON files
- * to identify which translation keys are missing in which locales.
- * @returns {Map<string, object>} A Map where keys are translation key paths (e.g., "common.greeting")
- *   and values are objects containing the current translation status for each locale (e.g., { en: "Hello", de: undefined }).
+ * Searches for a config file, starting at `startDir` and walking up to the filesystem root.
+ * @param {string} startDir - The directory to start searching from.
+ * @returns {string|null} The absolute path of the first config file found, or null.
  */
-async function getMissingKeys() {
-	// Read the content of the TypeScript types file to get the definitive list of all keys.
-	const typeContent = await fs.readFile(typesFilePath, 'utf-8');
-	const localeData = {};
-	// Load content of all locale JSON files into memory.
-	for (const locale of locales) {
-		const content = await fs.readFile(
-			path.join(localesDir, `${locale}.json`),
-			'utf-8'
-		);
-		localeData[locale] = JSON.parse(content);
-	}
-	const typeKeys = getTypeKeys(typeContent); // Get keys from the types file.
-	const missingKeys = new Map(); // Map to store keys that are missing in any locale.
-
-	// Iterate over each key defined in the TypeScript types.
-	for (const typeKey of typeKeys) {
-		// Check if this key exists in ALL locale files.
-		if (
-			!locales.every(
-				(locale) => getValue(localeData[locale], typeKey) !== undefined
-			)
-		) {
-			// If the key is missing in at least one locale, record its status across all locales.
-			const values = {};
-			for (const locale of locales) {
-				values[locale] = getValue(localeData[locale], typeKey);
-			}
-			missingKeys.set(typeKey, values);
+function findConfigFile(startDir) {
+	let dir = path.resolve(startDir);
+	while (true) {
+		for (const name of CONFIG_FILE_NAMES) {
+			const candidate = path.join(dir, name);
+			if (fsSync.existsSync(candidate)) return candidate;
 		}
+		const parent = path.dirname(dir);
+		if (parent === dir) return null;
+		dir = parent;
 	}
-	return missingKeys;
 }
 
 /**
- * Provides the CSS styles for the web interface.
- * @returns {string} CSS string.
+ * Loads a config file. `.json` files are parsed, `.js`/`.cjs` files are required
+ * and may export either an object or a (possibly async) function returning one.
+ * @param {string} filePath - Absolute path of the config file.
+ * @returns {Promise<object>} The raw config object.
  */
-const getPageStyles = () => `
-    :root { --bg-color: #1a1a1a; --text-color: #e0e0e0; --primary-color: #4e9af1; --border-color: #333; --input-bg: #333; --input-missing-border: #f48c06; --header-bg: #2c2c2c; }
-    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background-color: var(--bg-color); color: var(--text-color); margin: 0; padding: 2rem; }
-    .container { max-width: 1400px; margin: auto; }
-    h1, h2 { color: var(--primary-color); border-bottom: 2px solid var(--primary-color); padding-bottom: 10px; }
-    .message { padding: 1rem; border-radius: 8px; margin-bottom: 1rem; }
-    .message.success { background-color: #2a4; color: #fff; }
-    .message.info { background-color: #246; color: #fff; }
-    .section { background-color: #252525; padding: 1.5rem; border-radius: 8px; margin-top: 2rem; }
-    table { width: 100%; border-collapse: collapse; margin-top: 1rem; font-size: 14px; }
-    th, td { padding: 12px 15px; text-align: left; border-bottom: 1px solid var(--border-color); }
-    th { background-color: var(--header-bg); position: sticky; top: 0; }
-    tr:hover { background-color: #282828; }
-    label { font-family: monospace; }
-    input[type="text"] { width: 95%; padding: 8px; border: 1px solid #555; background-color: var(--input-bg); color: var(--text-color); border-radius: 4px; transition: all 0.2s; }
-    input.missing { border-color: var(--input-missing-border); }
-    input.missing:focus { outline: none; border-color: #f5a133; box-shadow: 0 0 5px #f5a13344; }
-    input.existing { background-color: #222; color: #888; border-color: #444; cursor: not-allowed; }
-    button, .button { display: inline-block; background-color: var(--primary-color); color: white; padding: 10px 18px; border: none; border-radius: 5px; cursor: pointer; font-size: 14px; transition: background-color 0.2s; text-decoration: none; margin-right: 10px; }
-    button:hover, .button:hover { background-color: #3a7ac8; }
-    .actions { margin-top: 20px; }
-    textarea { width: 100%; min-height: 150px; background-color: var(--input-bg); color: var(--text-color); border: 1px solid #555; border-radius: 5px; padding: 10px; font-family: monospace; margin-top: 10px; box-sizing: border-box; }
-    .prompt-box { background-color: #2c2c2c; border: 1px solid #444; padding: 1rem; border-radius: 5px; white-space: pre-wrap; font-family: monospace; margin-top: 1rem; max-height: 300px; overflow-y: auto; }
-`;
+async function readConfigFile(filePath) {
+	try {
+		if (filePath.endsWith('.json'))
+			return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+		const exported = require(filePath);
+		return typeof exported === 'function' ? await exported() : exported;
+	} catch (error) {
+		throw new ConfigError(
+			`Could not load config file ${filePath}: ${error.message}`
+		);
+	}
+}
 
 /**
- * Provides the client-side JavaScript for the web interface.
- * This script handles CSV generation, AI prompt creation, and auto-filling the translation table.
- * @param {string} missingKeysJson - JSON string of missing keys data.
- * @param {string} localesJson - JSON string of supported locales.
- * @returns {string} JavaScript string.
+ * Picks the project section of a multi-project config.
+ * Projects are declared under `projects` as `{ [name]: { root?, ...options } }`; top-level
+ * options are shared by all projects. Without an explicit name, the project whose `root`
+ * contains the cwd is used, or the only project if there is just one.
+ * @param {object} fileConfig - The raw config file contents.
+ * @param {string} configDir - Directory of the config file.
+ * @param {string|undefined} projectName - The project requested via `--project`.
+ * @returns {{ name: string|null, options: object, baseDir: string }} The selected project.
  */
-const getClientScript = (missingKeysJson, localesJson) => `
-    const missingKeysData = ${missingKeysJson};
-    const locales = ${localesJson};
-    // Helper to escape CSV cell values.
-    function escapeCsvCell(cell) { const str = String(cell || ''); if (str.includes(',') || str.includes('"') || str.includes('\\n')) { return '"' + str.replace(/"/g, '""') + '"'; } return str; }
-    // Generates a CSV string from the missing keys data.
-    function generateCsv() { const header = ['key', ...locales].map(escapeCsvCell).join(','); const rows = missingKeysData.map(item => { const row = [item.key, ...locales.map(l => item[l] || '')]; return row.map(escapeCsvCell).join(','); }); return [header, ...rows].join('\\n'); }
-    // Generates a prompt for an AI translation model, including the CSV data.
-    function generateAIPrompt() { const csvData = generateCsv(); const targetLocales = locales.filter(l => l !== 'en').map(l => \`\${l}\`).join(', '); return \`You are an expert translator for a web application. I will provide a table of translation keys in CSV format.\\nThe 'key' column must not be changed.\\nThe 'en' column usually contains the source text in English, otherwise you will have to derive the meaning from the key or the other languages columns 'de', 'es' and 'fr' if given.\\n\\nYour task is to translate the text into the following languages and fill in all of their respective columns: \${targetLocales}.\\nIf a value already exists in a target language column, you can use it as context, but prioritize translating from the English 'en' column.\\nPlease provide the response as a single, complete CSV block including the header.\\n\\nHere is the data:\\n\\\`\\\`\\\`csv\\n\${csvData}\\n\\\`\\\`\\\`\`; }
-    // Event listener for copying the AI prompt.
-    document.getElementById('copy-ai-prompt')?.addEventListener('click', () => { const promptText = generateAIPrompt(); navigator.clipboard.writeText(promptText).then(() => { const previewBox = document.getElementById('ai-prompt-preview'); const container = document.getElementById('ai-prompt-container'); previewBox.textContent = promptText; container.style.display = 'block'; alert('AI prompt and data copied to clipboard!'); }).catch(err => alert('Failed to copy: ' + err)); });
-    // Event listener for auto-filling the table from pasted CSV data.
-    document.getElementById('autofill-btn')?.addEventListener('click', () => { const pasteData = document.getElementById('import-area').value.trim(); if (!pasteData) { alert('Please paste data into the text area first.'); return; } fillTableFromCsv(pasteData); });
-    // Fills the translation table with data from a parsed object.
-    function fillTableFromData(data) { let filledCount = 0; data.forEach(item => { const row = document.querySelector(\`tr[data-key="\${item.key}"]\`); if (row) { locales.forEach(loc => { const input = row.querySelector(\`input[name="\${item.key}|\${loc}"]\`); if (input && !input.readOnly && item[loc]) { input.value = item[loc]; filledCount++; } }); } }); alert(\`Auto-filled \${filledCount} translations! Please review and save.\`); }
-    // Parses CSV data and fills the translation table.
-    function fillTableFromCsv(csvData) { csvData = csvData.replace(/^\\\`\\\`\\\`csv\\n/,'').replace(/\\n\\\`\\\`\\\`$/,'').trim(); const lines = csvData.split(/\\r?\\n/).filter(line => line.trim() !== ''); if (lines.length < 2) { alert('Invalid CSV data. Requires at least a header and one data row.'); return; } const header = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, '')); const keyIndex = header.indexOf('key'); if (keyIndex === -1) { alert('Invalid CSV header. Must contain a "key" column.'); return; } const data = lines.slice(1).map(line => { const values = line.split(/,(?=(?:(?:[^"]*"){2})*[^"]*$)/).map(v => v.trim().replace(/^"|"$/g, '').replace(/""/g, '"')); const item = {}; item.key = values[keyIndex]; header.forEach((colName, index) => { if (locales.includes(colName)) { item[colName] = values[index]; } }); return item; }); fillTableFromData(data); }
-`;
+function selectProject(fileConfig, configDir, projectName) {
+	const { projects, ...shared } = fileConfig;
+	if (!projects) {
+		if (projectName)
+			throw new ConfigError(
+				`--project "${projectName}" was given, but the config file defines no projects.`
+			);
+		return { name: null, options: shared, baseDir: configDir };
+	}
+	const names = Object.keys(projects);
+	const rootOf = (name) =>
+		path.resolve(configDir, projects[name].root || '.');
+	let name = projectName;
+	if (!name) {
+		const cwd = process.cwd();
+		// Prefer the most specific (longest) root containing the cwd.
+		name = names
+			.filter((n) => {
+				const rel = path.relative(rootOf(n), cwd);
+				return !rel.startsWith('..') && !path.isAbsolute(rel);
+			})
+			.sort((a, b) => rootOf(b).length - rootOf(a).length)[0];
+		if (!name && names.length === 1) name = names[0];
+		if (!name)
+			throw new ConfigError(
+				`The config file defines several projects; choose one with --project (${names.join(
+					', '
+				)}).`
+			);
+	}
+	if (!projects[name])
+		throw new ConfigError(
+			`Unknown project "${name}". Available projects: ${names.join(
+				', '
+			)}.`
+		);
+	const { root, ...options } = projects[name];
+	return { name, options: { ...shared, ...options }, baseDir: rootOf(name) };
+}
 
 /**
- * Generates the full HTML content for the web interface.
- * This includes the structure, styles, and client-side script for the translation sync tool.
- * @param {Map<string, object>} missingKeys - A Map of missing translation keys and their current values.
- * @returns {string} The complete HTML string for the web page.
+ * Checks the `coverageThresholds` option.
+ * @param {*} thresholds - The thresholds.
+ * @param {string[]} locales - The configured locales.
+ * @throws {ConfigError} If it is not a map of configured locales (or '*') to percentages.
  */
-function generateHtml(missingKeys) {
-	const missingKeysArray = Array.from(missingKeys.entries());
-	const missingKeysJson = JSON.stringify(
-		missingKeysArray.map(([key, values]) => ({ key, ...values }))
-	);
-	let tableRows = '';
-	// Generate table rows for each missing key, with input fields for each locale.
-	missingKeysArray.forEach(([key, values], i) => {
-		tableRows += `<tr data-key="${key}"><td><label for="key-${i}-en">${key}</label></td>${locales
-			.map(
-				(l) =>
-					`<td><input type="text" id="key-${i}-${l}" name="${key}|${l}" value="${
-						values[l] || ''
-					}" ${values[l] ? 'readonly' : ''} class="${
-						values[l] ? 'existing' : 'missing'
-					}" placeholder="${
-						values[l] ? '' : 'Translate here...'
-					}"/></td>`
-			)
-			.join('')}</tr>`;
-	});
-	// Determine the main body content based on whether there are missing keys.
-	const bodyContent =
-		missingKeys.size === 0
-			? `<div class="message success">✅ All locale files are up-to-date!</div>`
-			: `<div class="message info">${
-					missingKeys.size
-			  } keys need translations.</div><div class="section"><h2>1. Generate AI Prompt & Data</h2><p>Click the button below to copy a complete prompt with all the missing translation data. Paste this directly into your AI chat model.</p><div class="actions"><button id="copy-ai-prompt" type="button">Copy Full Prompt for AI</button></div><div id="ai-prompt-container" style="display:none;"><h3>Preview of the copied prompt:</h3><div id="ai-prompt-preview" class="prompt-box"></div></div></div><div class="section"><h2>2. Import Translated Data</h2><p>After the AI translates the data, paste the entire CSV block (including the header) that it provides into the text area below and click "Auto-fill Table".</p><textarea id="import-area" placeholder="Paste your translated CSV data here..."></textarea><div class="actions"><button type="button" id="autofill-btn">Auto-fill Table from Pasted Data</button></div></div><div class="section"><h2>3. Review and Save</h2><p>Review the auto-filled translations in the table below. Make any manual corrections if needed, then click save.</p><form action="/save" method="post"><table id="sync-table"><thead><tr><th>Key Path</th>${locales
-					.map((l) => `<th>${l.toUpperCase()}</th>`)
-					.join(
-						''
-					)}</tr></thead><tbody>${tableRows}</tbody></table><div class="actions"><button type="submit">Save All Translations</button></div></form></div>`;
-	// Return the complete HTML document.
-	return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>i18n Sync Tool</title><style>${getPageStyles()}</style></head><body><div class="container">${bodyContent}</div><script>${getClientScript(
-		missingKeysJson,
-		JSON.stringify(locales)
-	)}</script></body></html>`;
+function validateCoverageThresholds(thresholds, locales) {
+	if (
+		!thresholds ||
+		typeof thresholds !== 'object' ||
+		Array.isArray(thresholds)
+	)
+		throw new ConfigError(
+			'`coverageThresholds` must map locales to percentages, e.g. { de: 100, "*": 80 }.'
+		);
+	for (const [locale, threshold] of Object.entries(thresholds)) {
+		if (locale !== '*' && !locales.includes(locale))
+			throw new ConfigError(
+				`\`coverageThresholds\` names the locale "${locale}", which is not configured.`
+			);
+		if (
+			typeof threshold !== 'number' ||
+			!(threshold >= 0 && threshold <= 100)
+		)
+			throw new ConfigError(
+				`The coverage threshold of "${locale}" must be a number from 0 to 100.`
+			);
+	}
 }
 
 /**
- * Starts a local web server to host the i18n sync tool UI.
- * This server handles displaying the translation status and saving updated translations.
+ * Checks the `fallbackLocales` option.
+ * @param {*} fallbackLocales - The option.
+ * @param {object} resolved - The rest of the resolved configuration (`locales`, `sourceLocale`).
+ * @throws {ConfigError} If it names unknown locales, gives the source locale a fallback or has a cycle.
  */
-async function startServer() {
-	const app = express(); // Initialize Express application.
-	const server = http.createServer(app); // Create HTTP server.
-	app.use(bodyParser.urlencoded({ extended: true })); // Middleware to parse URL-encoded bodies (for form submissions).
-
-	// Route for the main page (GET /).
-	app.get('/', async (req, res) => {
-		try {
-			const missingKeys = await getMissingKeys(); // Get current missing keys.
-			const html = generateHtml(missingKeys); // Generate HTML for the page.
-			res.send(html); // Send the HTML response.
-		} catch (error) {
-			console.error('Error generating page:', error);
-			res.status(500).send(
-				'<h1>Error</h1><p>Could not process i18n files. Check console for details.</p>'
-			);
-		}
-	});
-
-	// Route for saving translations (POST /save).
-	app.post('/save', async (req, res) => {
-		try {
-			const localeData = {};
-			// Load current locale data from files.
-			for (const locale of locales) {
-				const content = await fs.readFile(
-					path.join(localesDir, `${locale}.json`),
-					'utf-8'
-				);
-				localeData[locale] = JSON.parse(content);
-			}
-			// Iterate over submitted form data and update localeData.
-			for (const [formKey, value] of Object.entries(req.body)) {
-				if (value) {
-					const [keyPath, locale] = formKey.split('|'); // Extract key path and locale from form field name.
-					setValue(localeData[locale], keyPath, value); // Set the new translation value.
-				}
-			}
-			// Write updated locale data back to respective JSON files.
-			for (const locale of locales) {
-				const newContent = JSON.stringify(
-					localeData[locale],
-					null,
-					'\t'
-				); // Pretty print.
-				await fs.writeFile(
-					path.join(localesDir, `${locale}.json`),
-					newContent,
-					'utf-8'
+function validateFallbackLocales(fallbackLocales, { locales, sourceLocale }) {
+	if (
+		!fallbackLocales ||
+		typeof fallbackLocales !== 'object' ||
+		Array.isArray(fallbackLocales)
+	)
+		throw new ConfigError(
+			'`fallbackLocales` must map locales to the locale they fall back to, e.g. { "de-CH": "de" }.'
+		);
+	for (const [locale, fallback] of Object.entries(fallbackLocales)) {
+		for (const code of [locale, fallback])
+			if (!locales.includes(code))
+				throw new ConfigError(
+					`\`fallbackLocales\` names the locale "${code}", which is not configured.`
 				);
-			}
-			console.log('✅ All files synchronized successfully!');
-			// Send success response and redirect back to the main page after a short delay.
-			res.send(
-				`<!DOCTYPE html><html><head><title>Success</title><style>body { font-family: sans-serif; background: #1a1a1a; color: #e0e0e0; display: grid; place-content: center; height: 100vh; text-align: center; } a { color: #4e9af1; }</style></head><body><h1>✅ Success!</h1><p>All translation files have been updated.</p><a href="/">Go back to the tool</a><script>setTimeout(() => window.location.href = '/', 1500);</script></body></html>`
-			);
-		} catch (error) {
-			console.error('Error saving files:', error);
-			res.status(500).send(
-				'<h1>Error</h1><p>Could not save i18n files. Check console for details.</p>'
+		if (locale === sourceLocale)
+			throw new ConfigError(
+				`The source locale "${locale}" cannot fall back to another locale.`
 			);
+		const chain = [locale];
+		for (let next = fallback; next; next = fallbackLocales[next]) {
+			if (chain.includes(next))
+				throw new ConfigError(
+					`The fallback locales form a cycle: ${[...chain, next].join(
+						' → '
+					)}.`
+				);
+			chain.push(next);
 		}
-	});
+	}
+}
+
+/**
+ * Checks a `filePattern` option.
+ * @param {*} pattern - The pattern.
+ * @param {string} layout - The layout it is used with.
+ * @throws {ConfigError} If the pattern is invalid.
+ */
+function validateFilePattern(pattern, layout) {
+	if (typeof pattern !== 'string' || !pattern.includes('{locale}'))
+		throw new ConfigError(
+			'`filePattern` must be a path containing "{locale}".'
+		);
+	if (
+		layout === 'namespaced' &&
+		!path.basename(pattern).includes('{namespace}')
+	)
+		throw new ConfigError(
+			'In the namespaced layout, the file name of `filePattern` must contain "{namespace}".'
+		);
+}
+
+/**
+ * Checks that a resolved config is usable and that every configured locale has a locale file.
+ * @param {object} resolved - The resolved config.
+ * @throws {ConfigError} If any option is invalid.
+ */
+function validateConfig(resolved) {
+	const { port, locales, workspaceDir, localesDir } = resolved;
+	if (!Number.isInteger(port) || port < 0 || port > 65535)
+		throw new ConfigError(`Invalid port: ${port}`);
+	if (
+		!Array.isArray(locales) ||
+		locales.length === 0 ||
+		!locales.every((l) => typeof l === 'string' && l)
+	)
+		throw new ConfigError(
+			'`locales` must be a non-empty array of locale codes.'
+		);
+	if (!locales.includes(resolved.sourceLocale))
+		throw new ConfigError(
+			`The source locale "${
+				resolved.sourceLocale
+			}" is not one of the configured locales (${locales.join(', ')}).`
+		);
+	if (!Array.isArray(resolved.ignore))
+		throw new ConfigError('`ignore` must be an array of glob patterns.');
+	if (!['single', 'namespaced'].includes(resolved.layout))
+		throw new ConfigError('`layout` must be "single" or "namespaced".');
+	if (
+		typeof resolved.defaultNamespace !== 'string' ||
+		!/^[^./\\]+$/.test(resolved.defaultNamespace)
+	)
+		throw new ConfigError(
+			'`defaultNamespace` must be a non-empty name without ".", "/" or "\\".'
+		);
+	if (typeof resolved.nsSeparator !== 'string' || !resolved.nsSeparator)
+		throw new ConfigError('`nsSeparator` must be a non-empty string.');
+	if (!LOCALE_FORMATS[resolved.fileFormat])
+		throw new ConfigError(
+			`Unknown file format "${
+				resolved.fileFormat
+			}". Available: ${Object.keys(LOCALE_FORMATS).join(', ')}.`
+		);
+	if (resolved.filePattern !== null)
+		validateFilePattern(resolved.filePattern, resolved.layout);
+	if (
+		!resolved.files ||
+		typeof resolved.files !== 'object' ||
+		!Object.values(resolved.files).every((f) => typeof f === 'string')
+	)
+		throw new ConfigError('`files` must map locale codes to file paths.');
+	if (resolved.layout === 'namespaced' && Object.keys(resolved.files).length)
+		throw new ConfigError(
+			'`files` is not supported in the namespaced layout; use `filePattern`.'
+		);
+	if (typeof resolved.promptTemplate !== 'string')
+		throw new ConfigError('`promptTemplate` must be a string.');
+	const { minScore, maxSuggestions } = resolved.translationMemory;
+	if (typeof minScore !== 'number' || !(minScore > 0 && minScore <= 1))
+		throw new ConfigError(
+			'`translationMemory.minScore` must be a number between 0 and 1.'
+		);
+	if (!Number.isInteger(maxSuggestions) || maxSuggestions < 0)
+		throw new ConfigError(
+			'`translationMemory.maxSuggestions` must be a non-negative integer.'
+		);
+	validateCoverageThresholds(resolved.coverageThresholds, locales);
+	validateFallbackLocales(resolved.fallbackLocales, resolved);
+	const { pseudoLocales } = resolved;
+	if (
+		!pseudoLocales ||
+		typeof pseudoLocales !== 'object' ||
+		Array.isArray(pseudoLocales)
+	)
+		throw new ConfigError(
+			'`pseudoLocales` must map locale codes to options, e.g. { "en-XA": {} }.'
+		);
+	for (const [locale, options] of Object.entries(pseudoLocales)) {
+		if (locales.includes(locale))
+			throw new ConfigError(
+				`"${locale}" is both in \`locales\` and in \`pseudoLocales\`. Pseudo-locales are generated; remove it from \`locales\`.`
+			);
+		if (!/^[\w-]+$/.test(locale))
+			throw new ConfigError(
+				`"${locale}" is not a valid pseudo-locale code.`
+			);
+		if (!options || typeof options !== 'object')
+			throw new ConfigError(
+				`The options of the pseudo-locale "${locale}" must be an object.`
+			);
+		for (const [name, value] of Object.entries(options)) {
+			if (!(name in PSEUDO_LOCALE_DEFAULTS))
+				throw new ConfigError(
+					`Unknown option "${name}" of the pseudo-locale "${locale}". Available: ${Object.keys(
+						PSEUDO_LOCALE_DEFAULTS
+					).join(', ')}.`
+				);
+			if (
+				name === 'expansion'
+					? typeof value !== 'number' || !(value >= 0 && value <= 2)
+					: typeof value !== 'boolean'
+			)
+				throw new ConfigError(
+					`The option "${name}" of the pseudo-locale "${locale}" must be ${
+						name === 'expansion'
+							? 'a number from 0 to 2'
+							: 'true or false'
+					}.`
+				);
+		}
+	}
+	const { routes, formats, hashFileNames } = resolved.build;
+	if (!Array.isArray(routes) || !routes.every((r) => typeof r === 'string'))
+		throw new ConfigError(
+			'`build.routes` must be an array of glob patterns.'
+		);
+	if (
+		!Array.isArray(formats) ||
+		formats.length === 0 ||
+		!formats.every((f) => BUNDLE_FORMATS.includes(f))
+	)
+		throw new ConfigError(
+			`\`build.formats\` must be a non-empty array of ${BUNDLE_FORMATS.join(
+				', '
+			)}.`
+		);
+	if (typeof hashFileNames !== 'boolean')
+		throw new ConfigError('`build.hashFileNames` must be true or false.');
+	if (resolved.translation) {
+		const { provider } = resolved.translation;
+		if (!TRANSLATION_PROVIDERS[provider])
+			throw new ConfigError(
+				`Unknown translation provider "${provider}". Available: ${Object.keys(
+					TRANSLATION_PROVIDERS
+				).join(', ')}.`
+			);
+	}
+	if (
+		!Array.isArray(resolved.keep) ||
+		!resolved.keep.every((p) => typeof p === 'string')
+	)
+		throw new ConfigError('`keep` must be an array of key patterns.');
+	for (const option of ['translators', 'components', 'namespaceHooks']) {
+		const entries = resolved[option];
+		if (
+			!Array.isArray(entries) ||
+			!entries.every((e) => e && typeof e.name === 'string')
+		)
+			throw new ConfigError(
+				`\`${option}\` must be an array of objects with a \`name\`.`
+			);
+	}
+
+	if (!fsSync.existsSync(workspaceDir))
+		throw new ConfigError(
+			`Workspace directory does not exist: ${workspaceDir}`
+		);
+	if (!fsSync.existsSync(localesDir))
+		throw new ConfigError(
+			`Locales directory does not exist: ${localesDir}`
+		);
+	const missing = locales.filter(
+		(locale) => !fsSync.existsSync(getLocaleFilePath(locale, resolved))
+	);
+	if (missing.length > 0)
+		throw new ConfigError(
+			`No locale ${
+				resolved.layout === 'namespaced' ? 'directory' : 'file'
+			} found for configured locale(s) ${missing
+				.map((l) => `"${l}"`)
+				.join(', ')}. Expected: ${missing
+				.map((l) => getLocaleFilePath(l, resolved))
+				.join(', ')}`
+		);
+}
+
+/**
+ * Builds the effective configuration: defaults < config file (and project section) < CLI flags.
+ * @param {object} flags - Parsed CLI flags (see `CONFIG_FLAGS`).
+ * @returns {Promise<object>} The resolved and validated configuration.
+ */
+async function loadConfig(flags) {
+	const configFile = flags.config
+		? path.resolve(flags.config)
+		: findConfigFile(process.cwd());
+	if (flags.config && !fsSync.existsSync(configFile))
+		throw new ConfigError(`Config file not found: ${configFile}`);
+
+	let project = {
+		name: null,
+		options: {},
+		baseDir: path.resolve(__dirname, '..')
+	};
+	if (configFile) {
+		const fileConfig = await readConfigFile(configFile);
+		project = selectProject(
+			fileConfig,
+			path.dirname(configFile),
+			flags.project
+		);
+	} else if (flags.project) {
+		throw new ConfigError(
+			`--project "${flags.project}" was given, but no config file was found.`
+		);
+	}
+
+	const merged = { ...DEFAULT_CONFIG, ...project.options };
+	const fromFile = (p) => p && path.resolve(project.baseDir, p);
+	const fromCli = (p) => p && path.resolve(p);
+	const i18nDir = fromCli(flags['i18n-dir']) || fromFile(merged.i18nDir);
+	const resolved = {
+		configFile,
+		project: project.name,
+		port: flags.port !== undefined ? Number(flags.port) : merged.port,
+		i18nDir,
+		localesDir:
+			fromCli(flags['locales-dir']) ||
+			fromFile(merged.localesDir) ||
+			path.join(i18nDir, 'locales'),
+		typesFile:
+			fromCli(flags['types-file']) ||
+			fromFile(merged.typesFile) ||
+			path.join(i18nDir, 'types.ts'),
+		workspaceDir:
+			fromCli(flags['workspace-dir']) || fromFile(merged.workspaceDir),
+		locales: flags.locales
+			? flags.locales
+					.split(',')
+					.map((l) => l.trim())
+					.filter(Boolean)
+			: merged.locales,
+		ignore: [...(merged.ignore || []), ...(flags.ignore || [])],
+		layout: merged.layout,
+		fileFormat: merged.fileFormat,
+		filePattern: merged.filePattern,
+		files: merged.files || {},
+		defaultNamespace: merged.defaultNamespace,
+		nsSeparator: merged.nsSeparator,
+		translators: merged.translators,
+		components: merged.components,
+		namespaceHooks: merged.namespaceHooks,
+		sourceLocale: flags['source-locale'] || merged.sourceLocale,
+		keep: merged.keep || [],
+		editorUrl: merged.editorUrl,
+		promptTemplate: merged.promptTemplate || DEFAULT_PROMPT_TEMPLATE,
+		lockFile:
+			fromFile(merged.lockFile) ||
+			path.join(i18nDir, 'i18n-sync.lock.json'),
+		glossaryFile:
+			fromFile(merged.glossaryFile) ||
+			path.join(i18nDir, 'glossary.json'),
+		translationMemory: {
+			...DEFAULT_CONFIG.translationMemory,
+			...merged.translationMemory
+		},
+		fallbackLocales: merged.fallbackLocales,
+		coverageThresholds: merged.coverageThresholds,
+		pseudoLocales: merged.pseudoLocales,
+		build: {
+			...DEFAULT_CONFIG.build,
+			...merged.build,
+			outDir:
+				fromFile(merged.build && merged.build.outDir) ||
+				path.join(i18nDir, 'build')
+		},
+		translation: merged.translation
+			? {
+					...merged.translation,
+					file: fromFile(merged.translation.file)
+			  }
+			: null,
+		stateDir: fromFile(merged.stateDir) || path.join(i18nDir, '.i18n-sync')
+	};
+	if (!resolved.sourceLocale && Array.isArray(resolved.locales))
+		resolved.sourceLocale = resolved.locales[0];
+	// Namespaced projects (i18next) bind translators with `const { t } = useTranslation('ns')`.
+	if (
+		resolved.layout === 'namespaced' &&
+		Array.isArray(resolved.namespaceHooks) &&
+		!resolved.namespaceHooks.some((h) => h && h.name === 'useTranslation')
+	)
+		resolved.namespaceHooks = [
+			...resolved.namespaceHooks,
+			{ name: 'useTranslation', arg: 0, property: 't' }
+		];
+	// Always ignore the i18n directory itself and the built bundles to prevent self-referencing.
+	resolved.ignore.push(
+		`${resolved.i18nDir}/**`,
+		`${resolved.build.outDir}/**`
+	);
+	validateConfig(resolved);
+	return resolved;
+}
+
+// --- LOCALE STORAGE ---
+// Locale data is always handled as one nested object per locale. In the 'single' layout it is stored
+// in one file per locale (`<locale>.json` by default); in the 'namespaced' layout each top-level key is
+// a namespace stored in its own file, so `checkout.cta` lives in `de/checkout.json` as `cta`. The file
+// format is read and written by the adapter of `fileFormat` (see `LOCALE_FORMATS`).
+
+/**
+ * Returns the file name pattern of the locale files, relative to the locales directory.
+ * @param {object} [cfg=config] - The config to resolve against.
+ * @returns {string} The pattern, with `{locale}` and (in the namespaced layout) `{namespace}` placeholders.
+ */
+function getFilePattern(cfg = config) {
+	if (cfg.filePattern) return cfg.filePattern;
+	const { extension, filePattern } = LOCALE_FORMATS[cfg.fileFormat];
+	return cfg.layout === 'namespaced'
+		? `{locale}/{namespace}${extension}`
+		: filePattern;
+}
+
+/**
+ * Returns the path of a locale's file. In the namespaced layout, this is the file of `namespace`, or
+ * without one the directory holding the locale's namespace files.
+ * @param {string} locale - The locale code (e.g., "en").
+ * @param {object} [cfg=config] - The config to resolve against.
+ * @param {string} [namespace] - The namespace (namespaced layout only).
+ * @returns {string} The absolute file or directory path.
+ */
+function getLocaleFilePath(locale, cfg = config, namespace) {
+	if (cfg.layout !== 'namespaced' && cfg.files[locale])
+		return path.resolve(cfg.localesDir, cfg.files[locale]);
+	const file = getFilePattern(cfg).split('{locale}').join(locale);
+	if (cfg.layout !== 'namespaced') return path.join(cfg.localesDir, file);
+	return namespace === undefined
+		? path.join(cfg.localesDir, path.dirname(file))
+		: path.join(cfg.localesDir, file.split('{namespace}').join(namespace));
+}
+
+/**
+ * Names the file a key of a locale is stored in, for messages.
+ * @param {string} locale - The locale code.
+ * @param {string} key - The key path.
+ * @returns {string} The file relative to the locales directory, e.g. "de.json" or "de/checkout.json".
+ */
+function getKeyFileLabel(locale, key) {
+	return path.relative(
+		config.localesDir,
+		getLocaleFilePath(
+			locale,
+			config,
+			config.layout === 'namespaced' ? key.split('.')[0] : undefined
+		)
+	);
+}
+
+/**
+ * Decodes a text file. UTF-8 and UTF-16 byte order marks are recognized (Xcode may save `.strings` files
+ * as UTF-16), and Windows line breaks are normalized.
+ * @param {Buffer} buffer - The file content.
+ * @returns {{ text: string, crlf: boolean }} The text with "\n" line breaks, and whether it used "\r\n".
+ */
+function decodeTextFile(buffer) {
+	let text;
+	if (buffer[0] === 0xff && buffer[1] === 0xfe)
+		text = buffer.toString('utf16le', 2);
+	else if (buffer[0] === 0xfe && buffer[1] === 0xff)
+		text = Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+	else text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+	return { text: text.replace(/\r\n/g, '\n'), crlf: text.includes('\r\n') };
+}
+
+/**
+ * The latest contents of the locale files read, by revision. A save based on an older revision of a file
+ * is merged with the changes made on disk since by comparing against it (see `findSaveConflicts`).
+ */
+const localeSnapshots = new Map();
+const MAX_LOCALE_SNAPSHOTS = 200;
+
+/**
+ * Computes the revision of a locale file, a hash of its content.
+ * @param {string} text - The decoded file content.
+ * @returns {string} The revision.
+ */
+function getRevision(text) {
+	return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Reads a locale file with the adapter of the configured file format.
+ * @param {string} filePath - The file path.
+ * @param {object} [cfg=config] - The config whose `fileFormat` to use.
+ * @returns {Promise<{ data: object, meta: object, text: string, crlf: boolean, revision: string }>} The
+ *   parsed file, with the revision of its content.
+ * @throws {ConfigError} If the file cannot be parsed.
+ */
+async function readDataFile(filePath, cfg = config) {
+	const { text, crlf } = decodeTextFile(await fs.readFile(filePath));
+	const revision = getRevision(text);
+	localeSnapshots.delete(revision); // Re-insert it as the most recent one.
+	localeSnapshots.set(revision, text);
+	if (localeSnapshots.size > MAX_LOCALE_SNAPSHOTS)
+		localeSnapshots.delete(localeSnapshots.keys().next().value);
+	try {
+		return {
+			...LOCALE_FORMATS[cfg.fileFormat].parse(text),
+			text,
+			crlf,
+			revision
+		};
+	} catch (error) {
+		if (error instanceof ConfigError) throw error;
+		throw new ConfigError(`Could not parse ${filePath}: ${error.message}`);
+	}
+}
+
+/**
+ * Writes data to a locale file with the adapter of the configured file format. An existing file is
+ * updated in place, keeping its comments, key order, indentation and line breaks; it is not written
+ * at all if its content would not change.
+ * @param {string} filePath - The file path.
+ * @param {object} data - The data.
+ * @param {string} locale - The locale code (some formats record it in the file).
+ * @param {object} [cfg=config] - The config whose `fileFormat` to use.
+ */
+async function writeDataFile(filePath, data, locale, cfg = config) {
+	let previous = null;
+	try {
+		previous = await readDataFile(filePath, cfg);
+	} catch (error) {
+		if (error.code !== 'ENOENT') throw error;
+	}
+	const content = LOCALE_FORMATS[cfg.fileFormat].serialize(
+		data,
+		previous && previous.meta,
+		{ locale }
+	);
+	if (previous && previous.text === content) return;
+	await fs.mkdir(path.dirname(filePath), { recursive: true });
+	await writeFileAtomic(
+		filePath,
+		previous && previous.crlf ? content.replace(/\n/g, '\r\n') : content
+	);
+}
+
+/**
+ * Lists the namespaces of a locale in the namespaced layout, from the files matching the file pattern.
+ * @param {string} locale - The locale code.
+ * @param {object} [cfg=config] - The config to resolve against.
+ * @returns {Promise<string[]>} The sorted namespace names.
+ */
+async function listNamespaces(locale, cfg = config) {
+	const [before, after] = path
+		.basename(getFilePattern(cfg).split('{locale}').join(locale))
+		.split('{namespace}');
+	let files;
+	try {
+		files = await fs.readdir(getLocaleFilePath(locale, cfg));
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw error;
+	}
+	return files
+		.filter(
+			(file) =>
+				file.length > before.length + after.length &&
+				file.startsWith(before) &&
+				file.endsWith(after)
+		)
+		.map((file) => file.slice(before.length, file.length - after.length))
+		.sort();
+}
+
+/**
+ * Reads a locale's translation data. In the namespaced layout, the namespace files are combined into
+ * one object with a top-level key per namespace.
+ * @param {string} locale - The locale code.
+ * @param {object} [cfg=config] - The config to resolve against.
+ * @param {object} [revisions] - Receives the revision of every file read, by its path relative to
+ *   `localesDir` (as named by `getKeyFileLabel`).
+ * @returns {Promise<object>} The nested translation data.
+ */
+async function readLocaleFile(locale, cfg = config, revisions = {}) {
+	const read = async (filePath) => {
+		const file = await readDataFile(filePath, cfg);
+		revisions[path.relative(cfg.localesDir, filePath)] = file.revision;
+		return file.data;
+	};
+	if (cfg.layout !== 'namespaced')
+		return read(getLocaleFilePath(locale, cfg));
+	const data = {};
+	for (const namespace of await listNamespaces(locale, cfg)) {
+		data[namespace] = await read(getLocaleFilePath(locale, cfg, namespace));
+	}
+	return data;
+}
+
+/**
+ * Writes a locale's translation data back to its file(s). In the namespaced layout, missing
+ * namespace files are created, and namespaces without keys are kept as empty files because the
+ * app may still load them.
+ * @param {string} locale - The locale code.
+ * @param {object} data - The nested translation data.
+ * @param {object} [cfg=config] - The config to resolve against.
+ * @throws {ConfigError} In the namespaced layout, if a top-level key is not a namespace object.
+ */
+async function writeLocaleFile(locale, data, cfg = config) {
+	if (cfg.layout !== 'namespaced') {
+		await writeDataFile(getLocaleFilePath(locale, cfg), data, locale, cfg);
+		return;
+	}
+	// Check every namespace before writing anything, so that a bad key cannot leave half-written files.
+	for (const [namespace, value] of Object.entries(data)) {
+		if (!value || typeof value !== 'object')
+			throw new ConfigError(
+				`The key "${namespace}" has no namespace. In the namespaced layout, the first segment of every key is its namespace (e.g. "${cfg.defaultNamespace}.${namespace}").`
+			);
+		if (/[/\\]/.test(namespace))
+			throw new ConfigError(
+				`"${namespace}" is not a valid namespace name.`
+			);
+	}
+	for (const namespace of await listNamespaces(locale, cfg)) {
+		if (!(namespace in data))
+			await writeDataFile(
+				getLocaleFilePath(locale, cfg, namespace),
+				{},
+				locale,
+				cfg
+			);
+	}
+	for (const [namespace, value] of Object.entries(data)) {
+		await writeDataFile(
+			getLocaleFilePath(locale, cfg, namespace),
+			value,
+			locale,
+			cfg
+		);
+	}
+}
+
+/**
+ * Loads the translation data of every configured locale.
+ * @param {object} [revisions] - Receives the revision of every locale file (see `readLocaleFile`).
+ * @returns {Promise<object>} A map of locale code to nested translation data.
+ */
+async function loadLocaleData(revisions = {}) {
+	const localeData = {};
+	for (const locale of config.locales) {
+		localeData[locale] = await readLocaleFile(locale, config, revisions);
+	}
+	return localeData;
+}
+
+// --- MESSAGE PARSING ---
+// Translation values can contain placeholders in i18next (`{{name}}`) or ICU MessageFormat
+// (`{name}`, `{count, plural, one {# item} other {# items}}`) syntax. These helpers parse them
+// so that the generated types know each key's parameters.
+
+// i18next-style plural suffixes (`cart.items_one`, `cart.items_other`, `place_ordinal_few`).
+const PLURAL_SUFFIX_REGEX = /_(?:ordinal_)?(?:zero|one|two|few|many|other)$/;
+
+/**
+ * Parses a translation message into a list of nodes.
+ * Understands i18next interpolation (`{{name}}`, `{{value, number}}`) and ICU MessageFormat arguments
+ * (`{name}`, `{n, number}`, `{d, date, short}`, `plural`, `selectordinal` and `select` with `#`).
+ * ICU apostrophe quoting (`'{'`, `''`) is honored.
+ * @param {string} message - The translation text.
+ * @returns {object[]} The nodes: `{ type: 'text', value }`, `{ type: 'argument', syntax, name, format, style }`,
+ *   `{ type: 'plural' | 'selectordinal' | 'select', name, offset, options }` (options map each selector
+ *   to its own nodes) and `{ type: 'pound' }`.
+ * @throws {Error} If the message has unbalanced braces or a malformed plural/select.
+ */
+function parseMessage(message) {
+	let pos = 0;
+	const fail = (reason) => {
+		throw new Error(`${reason} at position ${pos} in "${message}"`);
+	};
+	const skipSpace = () => {
+		while (pos < message.length && /\s/.test(message[pos])) pos++;
+	};
+	const readWord = () => {
+		const start = pos;
+		while (pos < message.length && !/[\s,{}]/.test(message[pos])) pos++;
+		return message.slice(start, pos);
+	};
+
+	const parseArgument = (inPlural) => {
+		pos++; // Skip "{".
+		skipSpace();
+		const name = readWord();
+		if (!name) fail('Missing argument name');
+		skipSpace();
+		if (message[pos] === '}') {
+			pos++;
+			return { type: 'argument', syntax: 'icu', name, format: null };
+		}
+		if (message[pos] !== ',') fail('Expected "," or "}"');
+		pos++;
+		skipSpace();
+		const format = readWord();
+		skipSpace();
+		if (
+			format === 'plural' ||
+			format === 'selectordinal' ||
+			format === 'select'
+		) {
+			if (message[pos] !== ',') fail(`Expected "," after "${format}"`);
+			pos++;
+			skipSpace();
+			let offset = 0;
+			const options = {};
+			while (message[pos] !== '}') {
+				if (pos >= message.length) fail(`Unclosed "${format}"`);
+				const selector = readWord();
+				if (!selector) fail('Missing selector');
+				skipSpace();
+				if (selector.startsWith('offset:')) {
+					offset = Number(selector.slice(7));
+					continue;
+				}
+				if (message[pos] !== '{')
+					fail(`Expected "{" after selector "${selector}"`);
+				pos++;
+				// `#` is the number inside plural branches, and stays so in nested selects.
+				options[selector] = parseNodes(
+					format !== 'select' || inPlural,
+					1
+				);
+				if (message[pos] !== '}') fail(`Unclosed option "${selector}"`);
+				pos++;
+				skipSpace();
+			}
+			pos++;
+			return { type: format, name, offset, options };
+		}
+		// Simple formats such as `{n, number}` or `{d, date, short}`: the style runs to the closing brace.
+		let style = null;
+		if (message[pos] === ',') {
+			const end = message.indexOf('}', pos);
+			if (end === -1) fail('Unclosed argument');
+			style = message.slice(pos + 1, end).trim();
+			pos = end;
+		}
+		if (message[pos] !== '}') fail('Unclosed argument');
+		pos++;
+		return { type: 'argument', syntax: 'icu', name, format, style };
+	};
+
+	const parseNodes = (inPlural, depth) => {
+		const nodes = [];
+		let text = '';
+		const flush = () => {
+			if (text) nodes.push({ type: 'text', value: text });
+			text = '';
+		};
+		while (pos < message.length) {
+			const ch = message[pos];
+			const next = message[pos + 1];
+			if (ch === "'" && next === "'") {
+				text += "'";
+				pos += 2;
+			} else if (
+				ch === "'" &&
+				(next === '{' || next === '}' || (inPlural && next === '#'))
+			) {
+				// Quoted literal text, e.g. '{' or '{not an argument}'.
+				const end = message.indexOf("'", pos + 1);
+				text += message.slice(pos + 1, end === -1 ? undefined : end);
+				pos = end === -1 ? message.length : end + 1;
+			} else if (ch === '{' && next === '{') {
+				flush();
+				const end = message.indexOf('}}', pos);
+				if (end === -1) fail('Unclosed "{{"');
+				const [name, format] = message
+					.slice(pos + 2, end)
+					.split(',')
+					.map((part) => part.trim());
+				if (!name) fail('Missing argument name');
+				nodes.push({
+					type: 'argument',
+					syntax: 'i18next',
+					name,
+					format: format || null
+				});
+				pos = end + 2;
+			} else if (ch === '{') {
+				flush();
+				nodes.push(parseArgument(inPlural));
+			} else if (ch === '}') {
+				if (depth > 0) break;
+				fail('Unexpected "}"');
+			} else if (ch === '#' && inPlural) {
+				flush();
+				nodes.push({ type: 'pound' });
+				pos++;
+			} else {
+				text += ch;
+				pos++;
+			}
+		}
+		flush();
+		return nodes;
+	};
+
+	return parseNodes(false, 0);
+}
+
+/**
+ * Collects the parameters a parsed message expects, with their TypeScript types.
+ * @param {object[]} nodes - The nodes returned by `parseMessage`.
+ * @param {object} [params={}] - Parameters collected so far (mutated and returned).
+ * @returns {object} A map of parameter name to TypeScript type (e.g., { count: 'number' }).
+ */
+function collectMessageParams(nodes, params = {}) {
+	for (const node of nodes) {
+		if (node.type === 'argument') {
+			let type = 'string | number';
+			if (
+				node.format === 'number' ||
+				(node.syntax === 'i18next' && node.name === 'count')
+			)
+				type = 'number';
+			else if (['date', 'time', 'datetime'].includes(node.format))
+				type = 'Date | number';
+			// A more specific type wins when the same argument appears several times.
+			if (!params[node.name] || params[node.name] === 'string | number')
+				params[node.name] = type;
+		} else if (node.type === 'select') {
+			params[node.name] = 'string';
+			Object.values(node.options).forEach((option) =>
+				collectMessageParams(option, params)
+			);
+		} else if (node.type === 'plural' || node.type === 'selectordinal') {
+			params[node.name] = 'number';
+			Object.values(node.options).forEach((option) =>
+				collectMessageParams(option, params)
+			);
+		}
+	}
+	return params;
+}
+
+/**
+ * Returns the logical key of an i18next plural variant ("cart.items_one" → "cart.items").
+ * @param {string} key - A key path.
+ * @returns {string|null} The key without its plural suffix, or null if it has none.
+ */
+function getPluralBaseKey(key) {
+	return PLURAL_SUFFIX_REGEX.test(key)
+		? key.replace(PLURAL_SUFFIX_REGEX, '')
+		: null;
+}
+
+/**
+ * Finds the plural variants stored for a logical key, e.g. `items_one` and `items_other` for "cart.items".
+ * @param {object} data - The nested locale data.
+ * @param {string} key - The logical key path.
+ * @returns {object} A map of suffix (e.g., "one", "ordinal_few") to the variant's value.
+ */
+function getPluralVariants(data, key) {
+	const segments = key.split('.');
+	const last = segments.pop();
+	const parent = segments.length ? getValue(data, segments.join('.')) : data;
+	const variants = {};
+	if (!parent || typeof parent !== 'object') return variants;
+	for (const [childKey, value] of Object.entries(parent)) {
+		if (
+			childKey.startsWith(`${last}_`) &&
+			getPluralBaseKey(childKey) === last &&
+			typeof value === 'string'
+		)
+			variants[childKey.slice(last.length + 1)] = value;
+	}
+	return variants;
+}
+
+/**
+ * Returns the translation of a logical key, looking at its plural variants when the key itself is absent.
+ * @param {object} data - The nested locale data.
+ * @param {string} key - The logical key path.
+ * @returns {*} The value, the "other" (or first) plural variant, or undefined if not translated.
+ */
+function getTranslation(data, key) {
+	const value = getValue(data, key);
+	if (value !== undefined) return value;
+	const variants = getPluralVariants(data, key);
+	return variants.other !== undefined
+		? variants.other
+		: Object.values(variants)[0];
+}
+
+/**
+ * Determines the parameters of a key from its source-locale text (and plural variants).
+ * @param {object} data - The nested source locale data.
+ * @param {string} key - The logical key path.
+ * @returns {object} A map of parameter name to TypeScript type; empty if the key takes no parameters.
+ */
+function getKeyParams(data, key) {
+	const value = getValue(data, key);
+	const variants = getPluralVariants(data, key);
+	const messages = typeof value === 'string' ? [value] : [];
+	const params = {};
+	if (value === undefined && Object.keys(variants).length > 0) {
+		messages.push(...Object.values(variants));
+		params.count = 'number'; // i18next selects the plural form from `count`.
+	}
+	for (const message of messages) {
+		try {
+			collectMessageParams(parseMessage(message), params);
+		} catch (error) {
+			log(
+				`⚠️  Could not parse the message of "${key}": ${error.message}`
+			);
+		}
+	}
+	return params;
+}
+
+// --- FALLBACK LOCALES ---
+// Regional variants such as de-CH only store the texts that differ from their parent locale (see
+// `fallbackLocales`). A key they do not translate is inherited from the nearest locale of their fallback
+// chain that has it, so it is neither missing nor exported for translation.
+
+/**
+ * Lists the locales a locale falls back to, nearest first.
+ * @param {string} locale - The locale code.
+ * @returns {string[]} The fallback chain, e.g. ["de-CH", "de"] for "de-LI"; empty for a locale without fallback.
+ */
+function getFallbackChain(locale) {
+	const chain = [];
+	for (
+		let next = config.fallbackLocales[locale];
+		next && !chain.includes(next);
+		next = config.fallbackLocales[next]
+	)
+		chain.push(next);
+	return chain;
+}
+
+/**
+ * Finds the value a locale inherits for a key from its fallback chain.
+ * @param {object} localeData - The data of all locales.
+ * @param {string} locale - The locale code.
+ * @param {string} key - The logical key, or a leaf key such as a plural variant.
+ * @returns {{ value: string, from: string }|null} The inherited value and the locale it comes from, or null
+ *   if no locale of the chain has the key.
+ */
+function getInheritedTranslation(localeData, locale, key) {
+	for (const fallback of getFallbackChain(locale)) {
+		const value = getTranslation(localeData[fallback], key);
+		if (value !== undefined) return { value, from: fallback };
+	}
+	return null;
+}
+
+/**
+ * Tells whether a locale has a key, either itself or inherited from its fallback chain.
+ * @param {object} localeData - The data of all locales.
+ * @param {string} locale - The locale code.
+ * @param {string} key - The logical key.
+ * @returns {boolean} Whether the key has a value for the locale.
+ */
+function hasTranslation(localeData, locale, key) {
+	return (
+		getTranslation(localeData[locale], key) !== undefined ||
+		getInheritedTranslation(localeData, locale, key) !== null
+	);
+}
+
+/**
+ * Collects the values that locales inherit for keys they do not translate themselves.
+ * @param {Iterable<string>} keys - The logical keys.
+ * @param {object} localeData - The data of all locales.
+ * @returns {object} Per key and locale, the inherited `{ value, from }` (see `getInheritedTranslation`).
+ */
+function findInheritedTranslations(keys, localeData) {
+	const inherited = {};
+	for (const key of keys) {
+		for (const locale of Object.keys(config.fallbackLocales)) {
+			if (getTranslation(localeData[locale], key) !== undefined) continue;
+			const fallback = getInheritedTranslation(localeData, locale, key);
+			if (fallback)
+				(inherited[key] = inherited[key] || {})[locale] = fallback;
+		}
+	}
+	return inherited;
+}
+
+/**
+ * Finds the overrides of locales with a fallback that equal the value they would inherit anyway, which
+ * `clean --overrides` removes.
+ * @param {object} localeData - The data of all locales.
+ * @returns {{ locale: string, key: string, value: string, from: string }[]} The redundant leaf values.
+ */
+function findRedundantOverrides(localeData) {
+	const redundant = [];
+	for (const locale of Object.keys(config.fallbackLocales)) {
+		for (const key of collectLeafKeys(localeData[locale] || {})) {
+			const value = getValue(localeData[locale], key);
+			const inherited = getFallbackChain(locale)
+				.map((from) => ({
+					from,
+					value: getValue(localeData[from], key)
+				}))
+				.find((candidate) => candidate.value !== undefined);
+			if (inherited && inherited.value === value)
+				redundant.push({ locale, key, value, from: inherited.from });
+		}
+	}
+	return redundant;
+}
+
+// --- VALIDATION ---
+// Checks that every translation keeps the placeholders, markup, plural forms and surrounding
+// whitespace/punctuation of its source text. The message-level functions below are self-contained
+// so that they can also run in the browser (see `CLIENT_SHARED_FUNCTIONS`).
+
+/**
+ * Calls `fn` for every node of a parsed message, including the nodes inside plural/select options.
+ * @param {object[]} nodes - The nodes returned by `parseMessage`.
+ * @param {(node: object) => void} fn - The callback.
+ */
+function forEachMessageNode(nodes, fn) {
+	for (const node of nodes) {
+		fn(node);
+		if (node.options)
+			Object.values(node.options).forEach((option) =>
+				forEachMessageNode(option, fn)
+			);
+	}
+}
+
+/**
+ * Collects the names of all arguments used in a parsed message.
+ * @param {object[]} nodes - The nodes returned by `parseMessage`.
+ * @returns {Set<string>} The argument names.
+ */
+function getMessageArguments(nodes) {
+	const names = new Set();
+	forEachMessageNode(nodes, (node) => {
+		if (node.name) names.add(node.name);
+	});
+	return names;
+}
+
+/**
+ * Lists the HTML/JSX tags of a text, e.g. ["/b", "b", "br/"] for "<b>Hi</b><br/>".
+ * Numbered tags as used by react-i18next's `<Trans>` (`<0>...</0>`) are included.
+ * @param {string} text - The translation text.
+ * @returns {string[]} The sorted tags, with "/" marking closing and self-closing tags.
+ */
+function getMarkupTags(text) {
+	const tags = [];
+	const tagRegex = /<(\/?)([A-Za-z0-9][\w.-]*)(?:\s[^<>]*?)?(\/?)>/g;
+	let match;
+	while ((match = tagRegex.exec(text)) !== null) {
+		tags.push(`${match[1]}${match[2]}${match[3]}`);
+	}
+	return tags.sort();
+}
+
+/**
+ * Returns the CLDR plural categories of a locale, e.g. ["one", "few", "many", "other"] for "pl".
+ * @param {string} locale - The locale code.
+ * @param {string} [type='cardinal'] - "cardinal" or "ordinal".
+ * @returns {string[]} The plural categories the locale distinguishes.
+ */
+function getPluralCategories(locale, type = 'cardinal') {
+	try {
+		return new Intl.PluralRules(locale, { type }).resolvedOptions()
+			.pluralCategories;
+	} catch (error) {
+		return ['one', 'other'];
+	}
+}
+
+/**
+ * Compares a translation with its source text.
+ * @param {string} source - The source-locale text.
+ * @param {string} target - The translated text.
+ * @param {string} locale - The locale of the translation (used for its plural rules).
+ * @param {object} [options]
+ * @param {string[]} [options.optionalArguments=[]] - Source arguments the translation may omit
+ *   (e.g. `count` in the `_one` form of an i18next plural).
+ * @param {object[]} [options.glossary] - Glossary entries to check the translation against (see `checkGlossary`).
+ * @returns {object[]} The issues found, as `{ severity: 'error' | 'warning', type, message }`.
+ */
+function validateTranslation(source, target, locale, options = {}) {
+	const issues = [];
+	const add = (severity, type, message) =>
+		issues.push({ severity, type, message });
+	const optionalArguments = options.optionalArguments || [];
+
+	let targetNodes = null;
+	let sourceNodes = null;
+	try {
+		targetNodes = parseMessage(target);
+	} catch (error) {
+		add('error', 'syntax', `Invalid message syntax: ${error.message}`);
+	}
+	try {
+		sourceNodes = parseMessage(source);
+	} catch (error) {
+		// An invalid source text is reported for the source locale itself.
+	}
+
+	if (sourceNodes && targetNodes) {
+		// Interpolation variables must be kept exactly.
+		const sourceArgs = getMessageArguments(sourceNodes);
+		const targetArgs = getMessageArguments(targetNodes);
+		sourceArgs.forEach((name) => {
+			if (!targetArgs.has(name) && !optionalArguments.includes(name))
+				add('error', 'placeholder', `Missing placeholder "${name}"`);
+		});
+		targetArgs.forEach((name) => {
+			if (!sourceArgs.has(name))
+				add(
+					'error',
+					'placeholder',
+					`Unknown placeholder "${name}" (not in the source text)`
+				);
+		});
+		// ICU plurals need every form the target language distinguishes.
+		forEachMessageNode(targetNodes, (node) => {
+			if (node.type !== 'plural' && node.type !== 'selectordinal') return;
+			const required = getPluralCategories(
+				locale,
+				node.type === 'plural' ? 'cardinal' : 'ordinal'
+			);
+			const missing = required.filter((c) => !node.options[c]);
+			if (missing.length > 0)
+				add(
+					'error',
+					'plural',
+					`Plural "${node.name}" lacks the ${missing
+						.map((c) => `"${c}"`)
+						.join(', ')} form(s) required for ${locale}`
+				);
+		});
+	}
+
+	// HTML/JSX tags must be kept (their order may change).
+	const sourceTags = getMarkupTags(source).join(' ');
+	const targetTags = getMarkupTags(target).join(' ');
+	if (sourceTags !== targetTags)
+		add(
+			'error',
+			'markup',
+			`Markup differs from the source: expected [${sourceTags}], found [${targetTags}]`
+		);
+
+	// Leading/trailing whitespace and final punctuation usually matter for concatenated UI text.
+	if (/^\s/.test(source) !== /^\s/.test(target))
+		add(
+			'warning',
+			'whitespace',
+			/^\s/.test(source)
+				? 'The source starts with whitespace, the translation does not'
+				: 'The translation starts with whitespace, the source does not'
+		);
+	if (/\s$/.test(source) !== /\s$/.test(target))
+		add(
+			'warning',
+			'whitespace',
+			/\s$/.test(source)
+				? 'The source ends with whitespace, the translation does not'
+				: 'The translation ends with whitespace, the source does not'
+		);
+	const punctuationClass = (text) => {
+		const last = text.trim().slice(-1);
+		if ('.。।'.includes(last)) return '.';
+		if ('!！'.includes(last)) return '!';
+		if ('?？'.includes(last)) return '?';
+		if (':：'.includes(last)) return ':';
+		if ('…'.includes(last)) return '…';
+		return '';
+	};
+	const sourcePunctuation = punctuationClass(source);
+	const targetPunctuation = punctuationClass(target);
+	if (sourcePunctuation !== targetPunctuation)
+		add(
+			'warning',
+			'punctuation',
+			sourcePunctuation
+				? `The source ends with "${sourcePunctuation}", the translation does not`
+				: `The translation ends with "${targetPunctuation}", the source does not`
+		);
+	if (options.glossary)
+		issues.push(...checkGlossary(source, target, locale, options.glossary));
+	return issues;
+}
+
+/**
+ * Validates every translation of the given keys against the source locale.
+ * Besides `validateTranslation`, this checks the syntax of the source texts and that i18next
+ * plural variants (`_one`, `_few`, ...) exist for every plural category of each target locale.
+ * @param {Iterable<string>} keys - The logical keys to validate.
+ * @param {object} localeData - A map of locale code to nested translation data.
+ * @param {object[]} [glossary=[]] - The glossary entries to check the translations against (see `readGlossary`).
+ * @returns {object[]} The issues, as `{ key, locale, severity, type, message }`.
+ */
+function validateLocaleData(keys, localeData, glossary = []) {
+	const issues = [];
+	const sourceData = localeData[config.sourceLocale];
+	for (const key of keys) {
+		const sourceValue = getValue(sourceData, key);
+		const sourceVariants = getPluralVariants(sourceData, key);
+		const report = (locale, keyIssues, variantKey = key) =>
+			keyIssues.forEach((issue) =>
+				issues.push({ key: variantKey, locale, ...issue })
+			);
+
+		// Source texts are only checked for syntax.
+		const sourceTexts =
+			typeof sourceValue === 'string'
+				? { [key]: sourceValue }
+				: Object.fromEntries(
+						Object.entries(sourceVariants).map(([suffix, text]) => [
+							`${key}_${suffix}`,
+							text
+						])
+				  );
+		for (const [variantKey, text] of Object.entries(sourceTexts)) {
+			try {
+				parseMessage(text);
+			} catch (error) {
+				report(
+					config.sourceLocale,
+					[
+						{
+							severity: 'error',
+							type: 'syntax',
+							message: `Invalid message syntax: ${error.message}`
+						}
+					],
+					variantKey
+				);
+			}
+		}
+
+		for (const locale of config.locales) {
+			if (locale === config.sourceLocale) continue;
+			const data = localeData[locale];
+			const value = getValue(data, key);
+			if (typeof sourceValue === 'string' && typeof value === 'string') {
+				report(
+					locale,
+					validateTranslation(sourceValue, value, locale, {
+						glossary
+					})
+				);
+				continue;
+			}
+			const variants = getPluralVariants(data, key);
+			if (Object.keys(variants).length === 0) continue;
+			const cardinalSuffixes = Object.keys(variants).filter(
+				(suffix) => !suffix.startsWith('ordinal_')
+			);
+			if (cardinalSuffixes.length > 0) {
+				const missing = getPluralCategories(locale).filter(
+					(c) => variants[c] === undefined
+				);
+				if (missing.length > 0)
+					report(locale, [
+						{
+							severity: 'error',
+							type: 'plural',
+							message: `Missing plural form(s) ${missing
+								.map((c) => `"${key}_${c}"`)
+								.join(', ')} required for ${locale}`
+						}
+					]);
+			}
+			for (const [suffix, text] of Object.entries(variants)) {
+				const category = suffix.replace(/^ordinal_/, '');
+				const sourceText =
+					sourceVariants[suffix] !== undefined
+						? sourceVariants[suffix]
+						: sourceVariants[
+								suffix.startsWith('ordinal_')
+									? 'ordinal_other'
+									: 'other'
+						  ];
+				if (sourceText === undefined) continue;
+				report(
+					locale,
+					validateTranslation(sourceText, text, locale, {
+						// Singular-like forms ("One item") often leave out the number.
+						optionalArguments:
+							category === 'other' ? [] : ['count'],
+						glossary
+					}),
+					`${key}_${suffix}`
+				);
+			}
+		}
+	}
+	return issues;
+}
+
+/**
+ * Returns the logical keys of a locale: its leaf keys with plural variants collapsed.
+ * @param {object} data - The nested locale data.
+ * @returns {string[]} The sorted, unique logical keys.
+ */
+function getLogicalKeys(data) {
+	const keys = new Set(
+		collectLeafKeys(data).map((key) => getPluralBaseKey(key) || key)
+	);
+	return [...keys].sort();
+}
+
+/**
+ * Prints validation issues grouped by key, as used by the `validate` command.
+ * @param {object[]} issues - The issues returned by `validateLocaleData`.
+ */
+function printValidationIssues(issues) {
+	for (const { key, locale, severity, message } of issues) {
+		console.log(
+			`${
+				severity === 'error' ? '❌' : '⚠️ '
+			} ${key} [${locale}]: ${message}`
+		);
+	}
+}
+
+// --- GLOSSARY AND TRANSLATION MEMORY ---
+// The glossary (`glossaryFile`) lists protected terms, which translations must keep unchanged, and terms
+// with a forced translation per locale. Translations are checked against it and its terms are added to
+// the AI prompt. The translation memory pairs source texts with their translations, taken from the locale
+// files and from the translations saved in the web UI, and suggests them for similar missing texts.
+
+// The most saved translations kept in the translation memory file.
+const TRANSLATION_MEMORY_LIMIT = 5000;
+
+/**
+ * Finds the glossary entries whose term occurs in a text as a whole word (ignoring case, unless the
+ * entry is `caseSensitive`).
+ * @param {string} text - The text to search.
+ * @param {object[]} glossary - The glossary entries (see `readGlossary`).
+ * @returns {object[]} The entries found.
+ */
+function findGlossaryTerms(text, glossary) {
+	return glossary.filter((entry) => {
+		const term = entry.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		return new RegExp(
+			`(?:^|[^\\p{L}\\p{N}_])${term}(?![\\p{L}\\p{N}_])`,
+			entry.caseSensitive ? 'u' : 'iu'
+		).test(text);
+	});
+}
+
+/**
+ * Checks a translation against the glossary terms of its source text. Protected terms (entries without
+ * `translations`) must occur in the translation unchanged; terms with a translation for the locale must
+ * be translated with it (which may be inflected or part of a compound word).
+ * @param {string} source - The source-locale text.
+ * @param {string} target - The translated text.
+ * @param {string} locale - The locale of the translation.
+ * @param {object[]} glossary - The glossary entries (see `readGlossary`).
+ * @returns {object[]} The issues found, as `{ severity: 'warning', type: 'glossary', message }`.
+ */
+function checkGlossary(source, target, locale, glossary) {
+	const issues = [];
+	for (const entry of findGlossaryTerms(source, glossary)) {
+		if (!entry.translations) {
+			if (findGlossaryTerms(target, [entry]).length === 0)
+				issues.push({
+					severity: 'warning',
+					type: 'glossary',
+					message: `The protected term "${entry.term}" must not be translated`
+				});
+			continue;
+		}
+		const expected = entry.translations[locale];
+		if (
+			expected !== undefined &&
+			!target.toLowerCase().includes(expected.toLowerCase())
+		)
+			issues.push({
+				severity: 'warning',
+				type: 'glossary',
+				message: `The glossary translates "${entry.term}" as "${expected}"`
+			});
+	}
+	return issues;
+}
+
+/**
+ * Reads the glossary file, a JSON array of `{ term, translations, caseSensitive, note }` entries, e.g.
+ * `[{ "term": "Acme Cloud" }, { "term": "checkout", "translations": { "de": "Kasse" } }]`. Entries without
+ * `translations` are protected terms. The file is read on every call, so edits apply right away.
+ * @returns {Promise<object[]>} The entries; empty if there is no glossary file.
+ * @throws {ConfigError} If the file is not valid JSON or an entry is malformed.
+ */
+async function readGlossary() {
+	let entries;
+	try {
+		entries = JSON.parse(await fs.readFile(config.glossaryFile, 'utf-8'));
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw new ConfigError(
+			`Could not parse ${config.glossaryFile}: ${error.message}`
+		);
+	}
+	if (!Array.isArray(entries))
+		throw new ConfigError(
+			`The glossary ${config.glossaryFile} must be an array of terms.`
+		);
+	entries.forEach((entry, i) => {
+		if (!entry || typeof entry.term !== 'string' || !entry.term.trim())
+			throw new ConfigError(
+				`Entry ${i + 1} of the glossary ${
+					config.glossaryFile
+				} has no \`term\`.`
+			);
+		const { translations } = entry;
+		if (
+			translations !== undefined &&
+			(!translations ||
+				typeof translations !== 'object' ||
+				!Object.values(translations).every(
+					(text) => typeof text === 'string' && text
+				))
+		)
+			throw new ConfigError(
+				`The \`translations\` of "${entry.term}" in the glossary ${config.glossaryFile} must map locales to texts.`
+			);
+	});
+	return entries;
+}
+
+/**
+ * Normalizes a text for the translation memory: trimmed, lower case, with single spaces.
+ * @param {string} text - The text.
+ * @returns {string} The normalized text.
+ */
+function normalizeMemoryText(text) {
+	return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Scores the similarity of two texts from 0 to 1: one minus their edit (Levenshtein) distance relative
+ * to the length of the longer text, so 1 is an exact match.
+ * @param {string} a - The first text.
+ * @param {string} b - The second text.
+ * @returns {number} The similarity.
+ */
+function getTextSimilarity(a, b) {
+	if (a === b) return 1;
+	let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++)
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+		previous = current;
+	}
+	return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Returns the path of the translation memory file, which records the translations saved in the web UI.
+ * @returns {string} The absolute file path.
+ */
+function getTranslationMemoryFilePath() {
+	return path.join(config.stateDir, 'translation-memory.json');
+}
+
+/**
+ * Reads the saved translations of the translation memory file.
+ * @returns {Promise<object[]>} The entries, oldest first, as `{ key, locale, source, target, savedAt }`.
+ */
+async function readTranslationMemory() {
+	try {
+		return JSON.parse(
+			await fs.readFile(getTranslationMemoryFilePath(), 'utf-8')
+		);
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw error;
+	}
+}
+
+/**
+ * Adds saved translations to the translation memory file, with their source texts, so that they are
+ * suggested even after the keys were changed or removed. Keeps the latest `TRANSLATION_MEMORY_LIMIT`.
+ * @param {{ key: string, locale: string, value: string }[]} changes - The saved changes.
+ * @param {object} localeData - The data of all locales after the save.
+ */
+async function recordTranslationMemory(changes, localeData) {
+	const sourceData = localeData[config.sourceLocale];
+	const savedAt = new Date().toISOString();
+	const added = changes
+		.filter(({ locale, value }) => locale !== config.sourceLocale && value)
+		.map(({ key, locale, value }) => ({
+			key,
+			locale,
+			source: getTranslation(sourceData, key),
+			target: value,
+			savedAt
+		}))
+		.filter((entry) => typeof entry.source === 'string' && entry.source);
+	if (added.length === 0) return;
+	const id = (entry) =>
+		JSON.stringify([entry.locale, entry.source, entry.target]);
+	const addedIds = new Set(added.map(id));
+	const entries = (await readTranslationMemory()).filter(
+		(entry) => !addedIds.has(id(entry))
+	);
+	entries.push(...added);
+	await fs.mkdir(config.stateDir, { recursive: true });
+	await writeFileAtomic(
+		getTranslationMemoryFilePath(),
+		JSON.stringify(entries.slice(-TRANSLATION_MEMORY_LIMIT), null, '\t')
+	);
+}
+
+/**
+ * Builds the translation memory: the source text and translation of every key translated in the locale
+ * files, and the saved translations of the memory file.
+ * @param {object} localeData - A map of locale code to nested translation data.
+ * @returns {Promise<Map<string, object[]>>} Per target locale, the unique entries as `{ key, source,
+ *   target, origin, normalized }`, where `origin` is "locale" or "saved" and `normalized` is the
+ *   normalized source text.
+ */
+async function buildTranslationMemory(localeData) {
+	const memory = new Map(
+		config.locales
+			.filter((l) => l !== config.sourceLocale)
+			.map((l) => [l, []])
+	);
+	const seen = new Set();
+	const add = (locale, entry) => {
+		const id = JSON.stringify([locale, entry.source, entry.target]);
+		if (!memory.has(locale) || seen.has(id)) return;
+		seen.add(id);
+		memory
+			.get(locale)
+			.push({ ...entry, normalized: normalizeMemoryText(entry.source) });
+	};
+	const sourceData = localeData[config.sourceLocale];
+	for (const key of collectLeafKeys(sourceData)) {
+		const source = getValue(sourceData, key);
+		if (typeof source !== 'string' || !source) continue;
+		for (const locale of memory.keys()) {
+			const target = getValue(localeData[locale], key);
+			if (typeof target === 'string' && target)
+				add(locale, { key, source, target, origin: 'locale' });
+		}
+	}
+	for (const { key, locale, source, target } of await readTranslationMemory())
+		add(locale, { key, source, target, origin: 'saved' });
+	return memory;
+}
+
+/**
+ * The translation memory built from the latest locale files and memory file, with the revisions it was
+ * built from (see `loadTranslationMemory`).
+ */
+let translationMemoryCache = null;
+
+/**
+ * Loads the locale data and its translation memory. The memory is only built again when a locale file
+ * or the memory file changed since the last call.
+ * @returns {Promise<{ localeData: object, memory: Map<string, object[]> }>} The locale data and the
+ *   memory (see `buildTranslationMemory`).
+ */
+async function loadTranslationMemory() {
+	const revisions = {};
+	const localeData = await loadLocaleData(revisions);
+	let savedAt = null;
+	try {
+		savedAt = (await fs.stat(getTranslationMemoryFilePath())).mtimeMs;
+	} catch (error) {
+		if (error.code !== 'ENOENT') throw error;
+	}
+	const id = JSON.stringify([config.locales, revisions, savedAt]);
+	if (!translationMemoryCache || translationMemoryCache.id !== id)
+		translationMemoryCache = {
+			id,
+			memory: await buildTranslationMemory(localeData)
+		};
+	return { localeData, memory: translationMemoryCache.memory };
+}
+
+/**
+ * Suggests translations for a missing cell from the translation memory of its locale: the translations
+ * of other keys whose source text is the same (score 1) or similar (`translationMemory`).
+ * @param {Map<string, object[]>} memory - The translation memory (see `buildTranslationMemory`).
+ * @param {string} key - The key of the cell.
+ * @param {string} locale - The locale of the cell.
+ * @param {string} source - The source text of the key.
+ * @returns {object[]} The suggestions as `{ text, score, key, source, origin }`, best first. Texts
+ *   suggested more than once are listed with their best score.
+ */
+function getMemorySuggestions(memory, key, locale, source) {
+	const { minScore, maxSuggestions } = config.translationMemory;
+	if (maxSuggestions === 0 || !memory.has(locale)) return [];
+	const normalized = normalizeMemoryText(source);
+	const best = new Map(); // Suggestion by text.
+	for (const entry of memory.get(locale)) {
+		if (entry.key === key) continue;
+		// The edit distance is at least the difference in length.
+		const shorter = Math.min(normalized.length, entry.normalized.length);
+		const longer = Math.max(normalized.length, entry.normalized.length);
+		if (shorter < minScore * longer) continue;
+		const score = getTextSimilarity(normalized, entry.normalized);
+		if (score < minScore) continue;
+		const previous = best.get(entry.target);
+		if (!previous || score > previous.score)
+			best.set(entry.target, {
+				text: entry.target,
+				score: Math.round(score * 100) / 100,
+				key: entry.key,
+				source: entry.source,
+				origin: entry.origin
+			});
+	}
+	return [...best.values()]
+		.sort((a, b) => b.score - a.score)
+		.slice(0, maxSuggestions);
+}
+
+// --- OUTDATED TRANSLATIONS ---
+// The lock file (`lockFile`) records, for every translation, a hash of the source text it was translated
+// from. When a source text changes, the translations based on its previous text are outdated until they
+// are updated or marked as reviewed. The lock file keeps the source texts of the hashes it uses, so the
+// change can be shown, and belongs in version control next to the locale files.
+
+/**
+ * Hashes a source text for the lock file.
+ * @param {string} text - The source text.
+ * @returns {string} The hash.
+ */
+function getSourceHash(text) {
+	return crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Returns the source text a translation is based on. A plural form the source locale does not have
+ * (e.g. `items_few` for English) is based on the source's "other" form.
+ * @param {object} sourceData - The nested source locale data.
+ * @param {string} key - The key path of the translation.
+ * @returns {string|undefined} The source text, or undefined if there is none.
+ */
+function getSourceText(sourceData, key) {
+	const value = getValue(sourceData, key);
+	if (value !== undefined)
+		return typeof value === 'string' ? value : undefined;
+	const baseKey = getPluralBaseKey(key);
+	if (!baseKey) return undefined;
+	const suffix = key.slice(baseKey.length + 1);
+	const variants = getPluralVariants(sourceData, baseKey);
+	return variants[suffix] !== undefined
+		? variants[suffix]
+		: variants[suffix.startsWith('ordinal_') ? 'ordinal_other' : 'other'];
+}
+
+/**
+ * Reads the lock file.
+ * @returns {Promise<{ sources: object, translations: object }|null>} The lock, as `sources` (source text
+ *   by hash) and `translations` (per locale, the source hash of each key); null if there is no lock file.
+ * @throws {ConfigError} If the lock file cannot be parsed.
+ */
+async function readTranslationLock() {
+	let lock;
+	try {
+		lock = JSON.parse(await fs.readFile(config.lockFile, 'utf-8'));
+	} catch (error) {
+		if (error.code === 'ENOENT') return null;
+		throw new ConfigError(
+			`Could not parse ${config.lockFile}: ${error.message}`
+		);
+	}
+	return {
+		sources: (lock && lock.sources) || {},
+		translations: (lock && lock.translations) || {}
+	};
+}
+
+/**
+ * Brings the lock file up to date after translations were written, creating it if needed. Updated and
+ * reviewed translations are recorded with their current source text, as are translations the lock does
+ * not know yet; the entries of removed translations are dropped. The file is only written when it changes.
+ * @param {object} localeData - The data of all locales, as written.
+ * @param {object} [options]
+ * @param {{ key: string, locale: string }[]} [options.updated=[]] - Translations that were written or
+ *   reviewed, so that they are now based on the current source text.
+ * @param {{ locale: string, from: string, to: string }[]} [options.moved=[]] - Keys that were moved (see
+ *   `moveKeys`); their entries move along.
+ */
+async function updateTranslationLock(
+	localeData,
+	{ updated = [], moved = [] } = {}
+) {
+	const lock = (await readTranslationLock()) || {
+		sources: {},
+		translations: {}
+	};
+	const sourceData = localeData[config.sourceLocale];
+	const isUpdated = new Set(
+		updated.map(({ key, locale }) => `${locale}|${key}`)
+	);
+	const sources = {};
+	const translations = {};
+	for (const locale of config.locales) {
+		if (locale === config.sourceLocale) continue;
+		const previous = { ...lock.translations[locale] };
+		for (const { from, to } of moved.filter((m) => m.locale === locale)) {
+			for (const key of Object.keys(previous)) {
+				if (key !== from && !key.startsWith(`${from}.`)) continue;
+				previous[to + key.slice(from.length)] = previous[key];
+				delete previous[key];
+			}
+		}
+		const hashes = {};
+		for (const key of collectLeafKeys(localeData[locale]).sort()) {
+			const source = getSourceText(sourceData, key);
+			if (
+				typeof getValue(localeData[locale], key) !== 'string' ||
+				source === undefined
+			)
+				continue;
+			const currentHash = getSourceHash(source);
+			const hash =
+				!isUpdated.has(`${locale}|${key}`) &&
+				typeof previous[key] === 'string'
+					? previous[key]
+					: currentHash;
+			hashes[key] = hash;
+			if (hash === currentHash) sources[hash] = source;
+			else if (lock.sources[hash] !== undefined)
+				sources[hash] = lock.sources[hash];
+		}
+		translations[locale] = hashes;
+	}
+	const content = `${JSON.stringify(
+		{
+			sources: Object.fromEntries(
+				Object.keys(sources)
+					.sort()
+					.map((hash) => [hash, sources[hash]])
+			),
+			translations
+		},
+		null,
+		'\t'
+	)}\n`;
+	let current = null;
+	try {
+		current = await fs.readFile(config.lockFile, 'utf-8');
+	} catch (error) {
+		if (error.code !== 'ENOENT') throw error;
+	}
+	if (content !== current) await writeFileAtomic(config.lockFile, content);
+}
+
+/**
+ * Finds the translations whose source text changed since they were translated or last reviewed.
+ * @param {object} localeData - A map of locale code to nested translation data.
+ * @param {object|null} lock - The lock (see `readTranslationLock`); without one, nothing is outdated.
+ * @returns {object[]} The outdated translations, sorted by key, as `{ key, locale, value, previousSource,
+ *   source }`; `previousSource` is null if the lock file does not know the previous text.
+ */
+function findOutdatedTranslations(localeData, lock) {
+	if (!lock) return [];
+	const sourceData = localeData[config.sourceLocale];
+	const outdated = [];
+	for (const locale of config.locales) {
+		if (locale === config.sourceLocale) continue;
+		for (const [key, hash] of Object.entries(
+			lock.translations[locale] || {}
+		)) {
+			const value = getValue(localeData[locale], key);
+			const source = getSourceText(sourceData, key);
+			if (
+				typeof value !== 'string' ||
+				source === undefined ||
+				hash === getSourceHash(source)
+			)
+				continue;
+			const previousSource =
+				lock.sources[hash] !== undefined ? lock.sources[hash] : null;
+			outdated.push({ key, locale, value, previousSource, source });
+		}
+	}
+	return outdated.sort(
+		(a, b) => a.key.localeCompare(b.key) || a.locale.localeCompare(b.locale)
+	);
+}
+
+/**
+ * Groups outdated translations by key, for the rows of the web UI.
+ * @param {object[]} outdated - The outdated translations (see `findOutdatedTranslations`).
+ * @param {object} localeData - A map of locale code to nested translation data.
+ * @returns {Map<string, { values: object, locales: object }>} A Map of key paths to the current values of
+ *   all locales (`values`) and the `{ previousSource, source }` of each outdated locale (`locales`).
+ */
+function groupOutdatedTranslations(outdated, localeData) {
+	const rows = new Map();
+	for (const { key, locale, previousSource, source } of outdated) {
+		if (!rows.has(key)) {
+			const values = {};
+			for (const l of config.locales)
+				values[l] = getTranslation(localeData[l], key);
+			rows.set(key, { values, locales: {} });
+		}
+		rows.get(key).locales[locale] = { previousSource, source };
+	}
+	return rows;
+}
+
+/**
+ * Prints outdated translations with the change of their source text, as used by the `check` and
+ * `outdated` commands.
+ * @param {object[]} outdated - The outdated translations (see `findOutdatedTranslations`).
+ */
+function printOutdatedTranslations(outdated) {
+	for (const { key, locale, value, previousSource, source } of outdated) {
+		console.log(`   - ${key} [${locale}]: ${JSON.stringify(value)}`);
+		console.log(
+			`     source: ${
+				previousSource === null
+					? '(unknown)'
+					: JSON.stringify(previousSource)
+			} → ${JSON.stringify(source)}`
+		);
+	}
+}
+
+/**
+ * Compares two texts word by word (the longest common subsequence of words and whitespace).
+ * @param {string} before - The previous text.
+ * @param {string} after - The current text.
+ * @returns {{ type: 'same' | 'removed' | 'added', text: string }[]} The parts of the diff, in order.
+ */
+function diffWords(before, after) {
+	const a = before.split(/(\s+)/).filter(Boolean);
+	const b = after.split(/(\s+)/).filter(Boolean);
+	// lengths[i][j]: the length of the longest common subsequence of a[i..] and b[j..].
+	const lengths = Array.from({ length: a.length + 1 }, () =>
+		new Array(b.length + 1).fill(0)
+	);
+	for (let i = a.length - 1; i >= 0; i--)
+		for (let j = b.length - 1; j >= 0; j--)
+			lengths[i][j] =
+				a[i] === b[j]
+					? lengths[i + 1][j + 1] + 1
+					: Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+	const parts = [];
+	const push = (type, text) => {
+		const last = parts[parts.length - 1];
+		if (last && last.type === type) last.text += text;
+		else parts.push({ type, text });
+	};
+	let i = 0;
+	let j = 0;
+	while (i < a.length || j < b.length) {
+		if (i < a.length && j < b.length && a[i] === b[j]) {
+			push('same', a[i]);
+			i++;
+			j++;
+		} else if (
+			i < a.length &&
+			(j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])
+		)
+			push('removed', a[i++]);
+		else push('added', b[j++]);
+	}
+	return parts;
+}
+
+// --- TRANSLATION PROVIDERS ---
+// Machine translation for missing cells, used by the web UI's "Translate missing" button.
+// Every provider implements `translateBatch({ items, sourceLocale, targetLocale, glossary })`, where
+// each item is `{ key, text, context }`, and resolves to a Map of key to translated text.
+// Requests go through a shared rate limiter and are retried on rate limits and server errors.
+
+// The prompt used for the manual copy & paste flow and by the LLM providers. Variables:
+// {{sourceLocale}}, {{sourceLanguage}}, {{targetLocales}}, {{otherLocales}}, {{glossary}} and {{csv}}.
+const DEFAULT_PROMPT_TEMPLATE = `You are an expert translator for a web application. I will provide a table of translation keys in CSV format.
+The 'key' column must not be changed.
+The 'context' column shows the source code where the text is used (file:line: code). Use it to understand the meaning, but do not translate it.
+The '{{sourceLocale}}' column usually contains the source text in {{sourceLanguage}}, otherwise you will have to derive the meaning from the key or the other languages columns {{otherLocales}} if given.
+Keep placeholders such as {{name}} or {count} and HTML tags exactly as they are.{{glossary}}
+
+Your task is to translate the text into the following languages and fill in all of their respective columns: {{targetLocales}}.
+If a value already exists in a target language column, you can use it as context, but prioritize translating from the '{{sourceLocale}}' column.
+Please provide the response as a single, complete CSV block including the header.
+
+Here is the data:
+\`\`\`csv
+{{csv}}
+\`\`\``;
+
+/**
+ * Fills the `{{variable}}` slots of a prompt template. Unknown variables are left untouched,
+ * so placeholders inside the template's example text survive.
+ * @param {string} template - The prompt template.
+ * @param {object} variables - The values by variable name.
+ * @returns {string} The prompt.
+ */
+function renderPromptTemplate(template, variables) {
+	return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+		Object.prototype.hasOwnProperty.call(variables, name)
+			? String(variables[name])
+			: match
+	);
+}
+
+/**
+ * Builds the variables for `renderPromptTemplate`.
+ * @param {string} sourceLocale - The source locale.
+ * @param {string[]} targetLocales - The locales to translate into.
+ * @param {string[]} allLocales - All configured locales (the CSV columns).
+ * @param {string} csv - The CSV data.
+ * @param {object[]} [glossary=[]] - The glossary entries (see `readGlossary`). Those whose term occurs in
+ *   the data and that apply to the target locales become the `glossary` variable.
+ * @returns {object} The template variables.
+ */
+function getPromptVariables(
+	sourceLocale,
+	targetLocales,
+	allLocales,
+	csv,
+	glossary = []
+) {
+	let sourceLanguage = sourceLocale;
+	try {
+		sourceLanguage =
+			new Intl.DisplayNames(['en'], { type: 'language' }).of(
+				sourceLocale
+			) || sourceLocale;
+	} catch (error) {
+		// Intl.DisplayNames is unavailable in older runtimes; the locale code will do.
+	}
+	const otherLocales = allLocales.filter((l) => l !== sourceLocale);
+	const terms = [];
+	for (const entry of findGlossaryTerms(csv, glossary)) {
+		const note = entry.note ? ` (${entry.note})` : '';
+		if (!entry.translations) {
+			terms.push(`- "${entry.term}": keep unchanged${note}`);
+			continue;
+		}
+		const translations = targetLocales
+			.filter((l) => entry.translations[l] !== undefined)
+			.map((l) => `${l}: "${entry.translations[l]}"`);
+		if (translations.length > 0)
+			terms.push(`- "${entry.term}" → ${translations.join(', ')}${note}`);
+	}
+	return {
+		sourceLocale,
+		sourceLanguage,
+		targetLocales: targetLocales.join(', '),
+		otherLocales: otherLocales.map((l) => `'${l}'`).join(', '),
+		glossary:
+			terms.length > 0
+				? `\nFollow this glossary: keep protected terms unchanged and use the given translations.\n${terms.join(
+						'\n'
+				  )}`
+				: '',
+		csv
+	};
+}
+
+// The functions that are also sent to the browser (see `getClientScript`), in dependency order.
+const CLIENT_SHARED_FUNCTIONS = [
+	parseMessage,
+	forEachMessageNode,
+	getMessageArguments,
+	getMarkupTags,
+	getPluralCategories,
+	findGlossaryTerms,
+	checkGlossary,
+	validateTranslation,
+	renderPromptTemplate,
+	getPromptVariables,
+	toCsv,
+	parseCsv,
+	diffWords
+];
+
+/**
+ * Error raised by translation providers. `retryable` errors (rate limits, server errors,
+ * network failures) are retried with exponential backoff.
+ */
+class ProviderError extends Error {
+	constructor(
+		message,
+		{ status = null, retryable = false, retryAfter = null } = {}
+	) {
+		super(message);
+		this.name = 'ProviderError';
+		this.status = status;
+		this.retryable = retryable;
+		this.retryAfter = retryAfter; // Seconds, from a Retry-After header.
+	}
+}
+
+/**
+ * Sends an HTTP(S) request with a JSON (or form) body and parses the JSON response.
+ * @param {string} url - The request URL.
+ * @param {object} [options]
+ * @param {string} [options.method='POST'] - The HTTP method.
+ * @param {object} [options.headers={}] - Extra request headers.
+ * @param {*} [options.body] - The request body, sent as JSON.
+ * @param {number} [options.timeout=60000] - Timeout in milliseconds.
+ * @returns {Promise<*>} The parsed response body.
+ * @throws {ProviderError} On network errors, timeouts, non-2xx responses and invalid JSON.
+ */
+function requestJson(
+	url,
+	{ method = 'POST', headers = {}, body, timeout = 60000 } = {}
+) {
+	const client = url.startsWith('https:') ? https : http;
+	const payload = body === undefined ? undefined : JSON.stringify(body);
+	return new Promise((resolve, reject) => {
+		const req = client.request(
+			url,
+			{
+				method,
+				headers: {
+					Accept: 'application/json',
+					...(payload
+						? {
+								'Content-Type': 'application/json',
+								'Content-Length': Buffer.byteLength(payload)
+						  }
+						: {}),
+					...headers
+				},
+				timeout
+			},
+			(res) => {
+				let data = '';
+				res.setEncoding('utf-8');
+				res.on('data', (chunk) => (data += chunk));
+				res.on('end', () => {
+					const status = res.statusCode;
+					if (status < 200 || status >= 300) {
+						const retryAfter =
+							Number(res.headers['retry-after']) || null;
+						reject(
+							new ProviderError(
+								`HTTP ${status} from ${url}: ${data.slice(
+									0,
+									300
+								)}`,
+								{
+									status,
+									retryable: status === 429 || status >= 500,
+									retryAfter
+								}
+							)
+						);
+						return;
+					}
+					try {
+						resolve(data ? JSON.parse(data) : null);
+					} catch (error) {
+						reject(new ProviderError(`Invalid JSON from ${url}`));
+					}
+				});
+			}
+		);
+		req.on('timeout', () =>
+			req.destroy(new Error(`Timed out after ${timeout}ms`))
+		);
+		req.on('error', (error) =>
+			reject(
+				new ProviderError(
+					`Request to ${url} failed: ${error.message}`,
+					{
+						retryable: true
+					}
+				)
+			)
+		);
+		if (payload) req.write(payload);
+		req.end();
+	});
+}
+
+/**
+ * Creates a limiter that spaces calls evenly to stay within a number of requests per minute.
+ * @param {number} requestsPerMinute - The maximum request rate (0 or less disables limiting).
+ * @returns {() => Promise<void>} Resolves when the next request may be sent.
+ */
+function createRateLimiter(requestsPerMinute) {
+	const interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+	let next = 0;
+	return async () => {
+		const now = Date.now();
+		const wait = Math.max(0, next - now);
+		next = Math.max(now, next) + interval;
+		if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+	};
+}
+
+/**
+ * Runs `fn`, retrying retryable `ProviderError`s with exponential backoff (1s, 2s, 4s, ...).
+ * @param {() => Promise<*>} fn - The operation.
+ * @param {number} maxRetries - How often to retry.
+ * @returns {Promise<*>} The result of `fn`.
+ */
+async function withRetries(fn, maxRetries) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await fn();
+		} catch (error) {
+			if (
+				!(error instanceof ProviderError) ||
+				!error.retryable ||
+				attempt >= maxRetries
+			)
+				throw error;
+			const delay = error.retryAfter
+				? error.retryAfter * 1000
+				: 1000 * 2 ** attempt;
+			log(
+				`⚠️  ${error.message} (retrying in ${Math.round(
+					delay / 1000
+				)}s, attempt ${attempt + 1} of ${maxRetries})`
+			);
+			await new Promise((resolve) => setTimeout(resolve, delay));
+		}
+	}
+}
+
+/**
+ * Roughly estimates the number of tokens of a text (about four characters per token).
+ * @param {string} text - The text.
+ * @returns {number} The estimated token count.
+ */
+function estimateTokens(text) {
+	return Math.ceil(text.length / 4);
+}
+
+/**
+ * Splits items into batches whose estimated size stays within a token budget.
+ * An item larger than the budget gets a batch of its own.
+ * @param {object[]} items - The items to translate (`{ key, text, context }`).
+ * @param {number} tokenBudget - The maximum estimated tokens per batch.
+ * @returns {object[][]} The batches.
+ */
+function createBatches(items, tokenBudget) {
+	const batches = [];
+	let batch = [];
+	let size = 0;
+	for (const item of items) {
+		const itemSize = estimateTokens(
+			`${item.key},${item.context || ''},${item.text}\n`
+		);
+		if (batch.length > 0 && size + itemSize > tokenBudget) {
+			batches.push(batch);
+			batch = [];
+			size = 0;
+		}
+		batch.push(item);
+		size += itemSize;
+	}
+	if (batch.length > 0) batches.push(batch);
+	return batches;
+}
+
+/**
+ * Reads an API key from the provider options: `apiKey`, or the environment variable named by `apiKeyEnv`.
+ * @param {object} options - The provider options.
+ * @param {string} defaultEnv - The environment variable to use when `apiKeyEnv` is not set.
+ * @returns {string|undefined} The API key.
+ */
+function getApiKey(options, defaultEnv) {
+	return options.apiKey || process.env[options.apiKeyEnv || defaultEnv];
+}
+
+// Placeholders and tags that machine translation services must not touch.
+const PROTECTED_TOKEN_REGEX = /\{\{[^}]*\}\}|\{[^{}]*\}|<[^<>]+>/g;
+
+const TRANSLATION_PROVIDERS = {
+	/**
+	 * OpenAI-compatible chat completion endpoints (OpenAI, Azure OpenAI, Ollama, vLLM, ...).
+	 * Uses the prompt template and reads the CSV block of the reply.
+	 */
+	openai: (options) => ({
+		async translateBatch({ items, sourceLocale, targetLocale, glossary }) {
+			const baseUrl = (
+				options.baseUrl || 'https://api.openai.com/v1'
+			).replace(/\/$/, '');
+			const columns = ['key', 'context', sourceLocale, targetLocale];
+			const csv = toCsv([
+				columns,
+				...items.map((item) => [
+					item.key,
+					item.context || '',
+					item.text,
+					''
+				])
+			]);
+			const prompt = renderPromptTemplate(
+				config.promptTemplate,
+				getPromptVariables(
+					sourceLocale,
+					[targetLocale],
+					[sourceLocale, targetLocale],
+					csv,
+					glossary
+				)
+			);
+			const apiKey = getApiKey(options, 'OPENAI_API_KEY');
+			const response = await requestJson(`${baseUrl}/chat/completions`, {
+				headers: {
+					...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+					...options.headers
+				},
+				body: {
+					model: options.model || 'gpt-4o-mini',
+					temperature: 0,
+					messages: [{ role: 'user', content: prompt }]
+				}
+			});
+			const reply = response?.choices?.[0]?.message?.content;
+			if (typeof reply !== 'string')
+				throw new ProviderError(
+					'The chat completion response has no message content.'
+				);
+			return readCsvTranslations(reply, targetLocale);
+		}
+	}),
+
+	/** DeepL (free and pro API). Placeholders and tags are protected with ignored XML tags. */
+	deepl: (options) => ({
+		async translateBatch({ items, sourceLocale, targetLocale }) {
+			const apiKey = getApiKey(options, 'DEEPL_API_KEY');
+			if (!apiKey)
+				throw new ProviderError(
+					'DeepL needs an API key (set DEEPL_API_KEY).'
+				);
+			const baseUrl =
+				options.baseUrl ||
+				(apiKey.endsWith(':fx')
+					? 'https://api-free.deepl.com'
+					: 'https://api.deepl.com');
+			const escapeXml = (text) =>
+				text
+					.replace(/&/g, '&amp;')
+					.replace(/</g, '&lt;')
+					.replace(/>/g, '&gt;');
+			const unescapeXml = (text) =>
+				text
+					.replace(/&lt;/g, '<')
+					.replace(/&gt;/g, '>')
+					.replace(/&amp;/g, '&');
+			const text = items.map((item) => {
+				let result = '';
+				let last = 0;
+				item.text.replace(PROTECTED_TOKEN_REGEX, (token, offset) => {
+					result += `${escapeXml(
+						item.text.slice(last, offset)
+					)}<x>${escapeXml(token)}</x>`;
+					last = offset + token.length;
+				});
+				return result + escapeXml(item.text.slice(last));
+			});
+			const response = await requestJson(`${baseUrl}/v2/translate`, {
+				headers: { Authorization: `DeepL-Auth-Key ${apiKey}` },
+				body: {
+					text,
+					source_lang: sourceLocale.split('-')[0].toUpperCase(),
+					target_lang: targetLocale.toUpperCase(),
+					tag_handling: 'xml',
+					ignore_tags: ['x']
+				}
+			});
+			const translations = new Map();
+			(response?.translations || []).forEach((t, i) => {
+				if (items[i])
+					translations.set(
+						items[i].key,
+						unescapeXml(t.text.replace(/<\/?x>/g, ''))
+					);
+			});
+			return translations;
+		}
+	}),
+
+	/** A LibreTranslate server. */
+	libretranslate: (options) => ({
+		async translateBatch({ items, sourceLocale, targetLocale }) {
+			const baseUrl = (
+				options.baseUrl || 'http://localhost:5000'
+			).replace(/\/$/, '');
+			const response = await requestJson(`${baseUrl}/translate`, {
+				body: {
+					q: items.map((item) => item.text),
+					source: sourceLocale.split('-')[0],
+					target: targetLocale.split('-')[0],
+					format: 'text',
+					...(getApiKey(options, 'LIBRETRANSLATE_API_KEY')
+						? {
+								api_key: getApiKey(
+									options,
+									'LIBRETRANSLATE_API_KEY'
+								)
+						  }
+						: {})
+				}
+			});
+			const texts = Array.isArray(response?.translatedText)
+				? response.translatedText
+				: [response?.translatedText];
+			const translations = new Map();
+			texts.forEach((text, i) => {
+				if (items[i] && typeof text === 'string')
+					translations.set(items[i].key, text);
+			});
+			return translations;
+		}
+	}),
+
+	/**
+	 * A custom HTTP endpoint. It receives `{ sourceLocale, targetLocale, items: [{ key, text, context }],
+	 * glossary }` and must answer `{ translations: { [key]: text } }`.
+	 */
+	http: (options) => ({
+		async translateBatch({ items, sourceLocale, targetLocale, glossary }) {
+			if (!options.url)
+				throw new ConfigError(
+					'The "http" translation provider needs a `url`.'
+				);
+			const response = await requestJson(options.url, {
+				headers: options.headers,
+				body: { sourceLocale, targetLocale, items, glossary }
+			});
+			return new Map(Object.entries(response?.translations || {}));
+		}
+	}),
+
+	/**
+	 * An offline provider for tests and demos. It reads `{ [locale]: { [key]: text } }` from `file`
+	 * and, for keys not in the file, returns the source text prefixed with "[locale] " (unless
+	 * `fallback` is false).
+	 */
+	mock: (options) => ({
+		async translateBatch({ items, targetLocale }) {
+			let data = {};
+			if (options.file) {
+				try {
+					data = JSON.parse(await fs.readFile(options.file, 'utf-8'));
+				} catch (error) {
+					if (error.code !== 'ENOENT')
+						throw new ProviderError(
+							`Could not read mock file ${options.file}: ${error.message}`
+						);
+				}
+			}
+			const translations = new Map();
+			for (const item of items) {
+				const text = data[targetLocale]?.[item.key];
+				if (text !== undefined) translations.set(item.key, text);
+				else if (options.fallback !== false)
+					translations.set(
+						item.key,
+						`[${targetLocale}] ${item.text}`
+					);
+			}
+			return translations;
+		}
+	})
+};
+
+/**
+ * Reads the translations of one locale from a CSV reply (optionally wrapped in a ```csv fence).
+ * @param {string} reply - The reply text.
+ * @param {string} locale - The column to read.
+ * @returns {Map<string, string>} The translations by key.
+ * @throws {ProviderError} If the reply has no usable CSV table.
+ */
+function readCsvTranslations(reply, locale) {
+	const fenced = reply.match(/```(?:csv)?\s*\n([\s\S]*?)```/);
+	const rows = parseCsv((fenced ? fenced[1] : reply).trim());
+	const header = rows.shift() || [];
+	const keyIndex = header.indexOf('key');
+	const localeIndex = header.indexOf(locale);
+	if (keyIndex === -1 || localeIndex === -1)
+		throw new ProviderError(
+			`The reply has no CSV table with "key" and "${locale}" columns.`
+		);
+	const translations = new Map();
+	for (const row of rows) {
+		if (row[keyIndex] && row[localeIndex])
+			translations.set(row[keyIndex], row[localeIndex]);
+	}
+	return translations;
+}
+
+/**
+ * Creates the translation service configured under `translation`.
+ * @param {object} options - The `translation` config.
+ * @returns {{ name: string, translate: Function }|null} The service, or null if no provider is configured.
+ */
+function createTranslationService(options) {
+	if (!options || !options.provider) return null;
+	const provider = TRANSLATION_PROVIDERS[options.provider](options);
+	const limit = createRateLimiter(options.requestsPerMinute ?? 30);
+	const maxRetries = options.maxRetries ?? 3;
+	const tokenBudget = options.batchTokens || 2000;
+
+	return {
+		name: options.provider,
+		/**
+		 * Translates items into one locale, batch by batch.
+		 * @param {object[]} items - The items (`{ key, text, context }`).
+		 * @param {string} targetLocale - The locale to translate into.
+		 * @returns {Promise<{ translations: Map<string, string>, errors: string[] }>} The translations,
+		 *   and the errors of batches that failed after all retries.
+		 */
+		async translate(items, targetLocale) {
+			const translations = new Map();
+			const errors = [];
+			const glossary = await readGlossary();
+			for (const batch of createBatches(items, tokenBudget)) {
+				try {
+					const result = await withRetries(async () => {
+						await limit();
+						return provider.translateBatch({
+							items: batch,
+							sourceLocale: config.sourceLocale,
+							targetLocale,
+							glossary
+						});
+					}, maxRetries);
+					result.forEach((text, key) => translations.set(key, text));
+				} catch (error) {
+					errors.push(`${targetLocale}: ${error.message}`);
+				}
+			}
+			return { translations, errors };
+		}
+	};
+}
+
+// --- INTERCHANGE FORMATS ---
+// Translations can be exchanged with translators and agencies as XLIFF 1.2/2.0, gettext PO, CSV or
+// XLSX. XLIFF and PO files hold the units of one target locale; CSV and XLSX hold a column per locale.
+// Plural keys are exported as one unit per plural form the target locale needs (`items_one`, `items_few`, ...).
+
+/**
+ * Escapes text for XML content and attribute values.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Decodes the predefined and numeric XML entities.
+ * @param {string} text - The raw XML text.
+ * @returns {string} The decoded text.
+ */
+function decodeXmlEntities(text) {
+	const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+	return text.replace(
+		/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi,
+		(_, entity) =>
+			entity[0] === '#'
+				? String.fromCodePoint(
+						entity[1].toLowerCase() === 'x'
+							? parseInt(entity.slice(2), 16)
+							: parseInt(entity.slice(1), 10)
+				  )
+				: named[entity]
+	);
+}
+
+/**
+ * A small XML parser for interchange and resource files. Elements become `{ name, attributes, children,
+ * start, openEnd, innerEnd, end }`, where children are elements or text strings and the offsets locate
+ * the element's tags in the source. Comments, processing instructions and doctypes are skipped.
+ * @param {string} text - The XML document.
+ * @returns {object} The root element.
+ * @throws {Error} If the document is not well-formed (the message includes the line number).
+ */
+function parseXml(text) {
+	const TAG_REGEX =
+		/<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+	const CLOSING_TAG_REGEX = /<\/([^\s>]+)\s*>/y;
+	const document = { name: '#document', attributes: {}, children: [] };
+	const stack = [document];
+	let pos = 0;
+	const fail = (message, index = pos) => {
+		throw new Error(
+			`Line ${text.slice(0, index).split('\n').length}: ${message}`
+		);
+	};
+	const skipPast = (terminator, what) => {
+		const end = text.indexOf(terminator, pos);
+		if (end === -1) fail(`Unclosed ${what}.`);
+		const content = text.slice(pos, end);
+		pos = end + terminator.length;
+		return content;
+	};
+	const addText = (value) => {
+		if (stack.length > 1) stack[stack.length - 1].children.push(value);
+		else if (value.trim()) fail('Text outside of the root element.');
+	};
+
+	while (pos < text.length) {
+		const next = text.indexOf('<', pos);
+		const end = next === -1 ? text.length : next;
+		if (end > pos) addText(decodeXmlEntities(text.slice(pos, end)));
+		if (next === -1) break;
+		pos = next;
+		if (text.startsWith('<!--', pos)) skipPast('-->', 'comment');
+		else if (text.startsWith('<![CDATA[', pos)) {
+			pos += '<![CDATA['.length;
+			addText(skipPast(']]>', 'CDATA section'));
+		} else if (text.startsWith('<?', pos)) skipPast('?>', 'declaration');
+		else if (text.startsWith('<!', pos)) skipPast('>', 'doctype');
+		else if (text.startsWith('</', pos)) {
+			CLOSING_TAG_REGEX.lastIndex = pos;
+			const match = CLOSING_TAG_REGEX.exec(text);
+			if (!match) fail('Malformed closing tag.');
+			const open = stack[stack.length - 1];
+			if (stack.length === 1 || open.name !== match[1])
+				fail(
+					stack.length === 1
+						? `Unexpected </${match[1]}>.`
+						: `Expected </${open.name}> but found </${match[1]}>.`
+				);
+			Object.assign(stack.pop(), {
+				innerEnd: pos,
+				end: CLOSING_TAG_REGEX.lastIndex
+			});
+			pos = CLOSING_TAG_REGEX.lastIndex;
+		} else {
+			TAG_REGEX.lastIndex = pos;
+			const match = TAG_REGEX.exec(text);
+			if (!match) fail('Malformed tag.');
+			const attributes = {};
+			for (const [
+				,
+				name,
+				doubleQuoted,
+				singleQuoted
+			] of match[2].matchAll(
+				/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+			)) {
+				attributes[name] = decodeXmlEntities(
+					doubleQuoted !== undefined ? doubleQuoted : singleQuoted
+				);
+			}
+			const element = {
+				name: match[1],
+				attributes,
+				children: [],
+				start: pos,
+				openEnd: TAG_REGEX.lastIndex,
+				// Updated by the closing tag.
+				innerEnd: TAG_REGEX.lastIndex,
+				end: TAG_REGEX.lastIndex
+			};
+			if (stack.length === 1 && document.children.length > 0)
+				fail('The document has more than one root element.');
+			stack[stack.length - 1].children.push(element);
+			if (!match[3]) stack.push(element);
+			pos = TAG_REGEX.lastIndex;
+		}
+	}
+	if (stack.length > 1)
+		fail(
+			`Unclosed element <${stack[stack.length - 1].name}>.`,
+			text.length
+		);
+	if (document.children.length === 0) fail('The document is empty.');
+	return document.children[0];
+}
+
+/**
+ * Finds the child elements (or, with `deep`, all descendants) with a name, ignoring namespace prefixes.
+ * @param {object} element - The parent element.
+ * @param {string} name - The local element name.
+ * @param {boolean} [deep=false] - Whether to search all descendants.
+ * @returns {object[]} The matching elements.
+ */
+function findXmlElements(element, name, deep = false) {
+	const found = [];
+	for (const child of element.children) {
+		if (typeof child === 'string') continue;
+		if (child.name.split(':').pop() === name) found.push(child);
+		if (deep) found.push(...findXmlElements(child, name, true));
+	}
+	return found;
+}
+
+/**
+ * Returns the text content of an element. Inline markup (`<g>`, `<ph>`, ...) contributes its text.
+ * @param {object|undefined} element - The element.
+ * @returns {string|undefined} The text, or undefined if there is no element.
+ */
+function getXmlText(element) {
+	if (!element) return undefined;
+	return element.children
+		.map((child) => (typeof child === 'string' ? child : getXmlText(child)))
+		.join('');
+}
+
+/**
+ * Formats a gettext PO keyword with a quoted, escaped string. Multi-line strings are split after each line break.
+ * @param {string} keyword - The keyword, e.g. "msgid".
+ * @param {string} text - The string.
+ * @returns {string} The PO lines.
+ */
+function formatPoString(keyword, text) {
+	const escape = (str) =>
+		str
+			.replace(/\\/g, '\\\\')
+			.replace(/"/g, '\\"')
+			.replace(/\t/g, '\\t')
+			.replace(/\r/g, '\\r')
+			.replace(/\n/g, '\\n');
+	const lines = text.split(/(?<=\n)/);
+	if (lines.length < 2) return `${keyword} "${escape(text)}"`;
+	return [`${keyword} ""`, ...lines.map((line) => `"${escape(line)}"`)].join(
+		'\n'
+	);
+}
+
+/**
+ * Parses a quoted PO string (`"..."`).
+ * @param {string} quoted - The quoted string.
+ * @param {number} lineNumber - The line number, for error messages.
+ * @returns {string} The unescaped string.
+ * @throws {Error} If the string is not properly quoted.
+ */
+function parsePoString(quoted, lineNumber) {
+	if (!/^"(?:[^"\\]|\\.)*"$/.test(quoted))
+		throw new Error(`Line ${lineNumber}: Malformed string ${quoted}.`);
+	const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+	return quoted
+		.slice(1, -1)
+		.replace(/\\(.)/g, (_, ch) => (ch in escapes ? escapes[ch] : ch));
+}
+
+/**
+ * Parses a gettext PO file into its entries.
+ * @param {string} text - The PO file content.
+ * @returns {object[]} The entries: `{ fields: { msgctxt?, msgid, msgid_plural?, msgstr, 'msgstr[n]'? }, flags, notes, line }`.
+ * @throws {Error} If the file is malformed (the message includes the line number).
+ */
+function parsePo(text) {
+	const entries = [];
+	const newEntry = (line) => ({ fields: {}, flags: [], notes: [], line });
+	const hasMsgstr = (entry) =>
+		Object.keys(entry.fields).some((field) => field.startsWith('msgstr'));
+	const finish = (entry) => {
+		if (Object.keys(entry.fields).length === 0) return;
+		if (entry.fields.msgid === undefined || !hasMsgstr(entry))
+			throw new Error(
+				`Line ${entry.line}: An entry needs both "msgid" and "msgstr".`
+			);
+		entries.push(entry);
+	};
+	const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+	let entry = newEntry(1);
+	let field = null; // The field that continuation strings are appended to.
+	lines.forEach((rawLine, index) => {
+		const line = rawLine.trim();
+		const lineNumber = index + 1;
+		if (!line || line.startsWith('#~')) {
+			field = null; // Blank lines and obsolete entries.
+			return;
+		}
+		if (line.startsWith('#')) {
+			if (hasMsgstr(entry)) {
+				finish(entry);
+				entry = newEntry(lineNumber);
+			}
+			if (line.startsWith('#,'))
+				entry.flags.push(
+					...line
+						.slice(2)
+						.split(',')
+						.map((flag) => flag.trim())
+				);
+			else if (line.startsWith('#.'))
+				entry.notes.push(line.slice(2).trim());
+			field = null;
+			return;
+		}
+		const match =
+			/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+(.*)$/.exec(
+				line
+			);
+		if (match) {
+			const [, keyword, quoted] = match;
+			if (
+				(keyword === 'msgctxt' || keyword === 'msgid') &&
+				hasMsgstr(entry)
+			) {
+				finish(entry);
+				entry = newEntry(lineNumber);
+			}
+			if (entry.fields[keyword] !== undefined)
+				throw new Error(`Line ${lineNumber}: Duplicate "${keyword}".`);
+			if (Object.keys(entry.fields).length === 0) entry.line = lineNumber;
+			entry.fields[keyword] = parsePoString(quoted, lineNumber);
+			field = keyword;
+		} else if (line.startsWith('"') && field)
+			entry.fields[field] += parsePoString(line, lineNumber);
+		else
+			throw new Error(
+				`Line ${lineNumber}: Unexpected "${line.slice(0, 40)}".`
+			);
+	});
+	finish(entry);
+	return entries;
+}
+
+/**
+ * Loads `exceljs` for XLSX files. It is an optional dependency, so that projects that
+ * do not exchange spreadsheets do not need to install it.
+ * @returns {object} The `exceljs` module.
+ * @throws {ConfigError} If `exceljs` is not installed.
+ */
+function loadExcelJs() {
+	try {
+		return require('exceljs');
+	} catch (error) {
+		throw new ConfigError(
+			'XLSX files need the "exceljs" package. Install it with "npm install --save-dev exceljs".'
+		);
+	}
+}
+
+// Interchange formats by name. Per-locale formats (`perLocale: true`) serialize the units of one target
+// locale (`{ key, source, target, note, state }`) and parse to `{ locale, units }` (units may be `fuzzy`
+// drafts); table formats serialize
+// `{ locales, rows: [{ key, context, values: { [locale]: text } }] }` and parse to the same shape.
+const INTERCHANGE_FORMATS = {
+	xliff: {
+		extension: '.xlf',
+		description: 'XLIFF 1.2',
+		perLocale: true,
+		serialize(units, { sourceLocale, locale }) {
+			const body = units
+				.map(
+					(unit) =>
+						`      <trans-unit id="${escapeXml(
+							unit.key
+						)}" resname="${escapeXml(
+							unit.key
+						)}" xml:space="preserve">\n        <source>${escapeXml(
+							unit.source
+						)}</source>\n        <target state="${
+							unit.state
+						}">${escapeXml(unit.target)}</target>\n${
+							unit.note
+								? `        <note from="developer">${escapeXml(
+										unit.note
+								  )}</note>\n`
+								: ''
+						}      </trans-unit>`
+				)
+				.join('\n');
+			return `<?xml version="1.0" encoding="UTF-8"?>\n<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">\n  <file original="i18n" datatype="plaintext" source-language="${escapeXml(
+				sourceLocale
+			)}" target-language="${escapeXml(
+				locale
+			)}">\n    <body>\n${body}\n    </body>\n  </file>\n</xliff>\n`;
+		},
+		parse: (content) => parseXliff(content)
+	},
+	xliff2: {
+		extension: '.xlf',
+		description: 'XLIFF 2.0',
+		perLocale: true,
+		serialize(units, { sourceLocale, locale }) {
+			const body = units
+				.map((unit, index) => {
+					// Unit ids must be NMTOKENs; the key itself is kept in `name`.
+					const id = /^[\w.:-]+$/.test(unit.key)
+						? unit.key
+						: `u${index + 1}`;
+					return `    <unit id="${escapeXml(id)}" name="${escapeXml(
+						unit.key
+					)}">\n${
+						unit.note
+							? `      <notes>\n        <note category="context">${escapeXml(
+									unit.note
+							  )}</note>\n      </notes>\n`
+							: ''
+					}      <segment state="${
+						unit.state === 'translated' ? 'translated' : 'initial'
+					}">\n        <source xml:space="preserve">${escapeXml(
+						unit.source
+					)}</source>\n${
+						unit.target
+							? `        <target xml:space="preserve">${escapeXml(
+									unit.target
+							  )}</target>\n`
+							: ''
+					}      </segment>\n    </unit>`;
+				})
+				.join('\n');
+			return `<?xml version="1.0" encoding="UTF-8"?>\n<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${escapeXml(
+				sourceLocale
+			)}" trgLang="${escapeXml(
+				locale
+			)}">\n  <file id="i18n">\n${body}\n  </file>\n</xliff>\n`;
+		},
+		parse: (content) => parseXliff(content)
+	},
+	po: {
+		extension: '.po',
+		description: 'gettext PO',
+		perLocale: true,
+		serialize(units, { sourceLocale, locale }) {
+			const header = formatPoString(
+				'msgstr',
+				`Content-Type: text/plain; charset=UTF-8\nContent-Transfer-Encoding: 8bit\nLanguage: ${locale}\nX-Source-Language: ${sourceLocale}\n`
+			);
+			const entries = units.map((unit) =>
+				[
+					...(unit.note ? unit.note.split('\n') : []).map(
+						(line) => `#. ${line}`
+					),
+					// Translations to review are fuzzy, with the source text they were translated from.
+					...(unit.state === 'needs-review-translation'
+						? [
+								'#, fuzzy',
+								...(unit.previousSource
+									? formatPoString(
+											'msgid',
+											unit.previousSource
+									  )
+											.split('\n')
+											.map((line) => `#| ${line}`)
+									: [])
+						  ]
+						: []),
+					// The key is the context, so equal source texts of different keys stay separate entries.
+					formatPoString('msgctxt', unit.key),
+					formatPoString('msgid', unit.source || unit.key),
+					formatPoString('msgstr', unit.target)
+				].join('\n')
+			);
+			return `msgid ""\n${header}\n\n${entries.join('\n\n')}\n`;
+		},
+		parse(content) {
+			const entries = parsePo(content);
+			const headerEntry = entries.find(
+				(entry) =>
+					entry.fields.msgid === '' &&
+					entry.fields.msgctxt === undefined
+			);
+			const language = headerEntry
+				? /^Language:\s*(.+)$/m.exec(headerEntry.fields.msgstr)
+				: null;
+			const units = [];
+			for (const entry of entries) {
+				if (entry === headerEntry) continue;
+				if (entry.fields.msgid_plural !== undefined)
+					throw new Error(
+						`Line ${entry.line}: Plural entries (msgid_plural) are not supported; plural forms are exchanged as separate keys such as "items_one".`
+					);
+				const target = entry.fields.msgstr || '';
+				// Fuzzy entries are drafts that gettext itself does not use.
+				const fuzzy = entry.flags.includes('fuzzy');
+				units.push({
+					key:
+						entry.fields.msgctxt !== undefined
+							? entry.fields.msgctxt
+							: entry.fields.msgid,
+					source: entry.fields.msgid,
+					target,
+					note: entry.notes.join('\n'),
+					fuzzy
+				});
+			}
+			return { locale: language ? language[1].trim() : null, units };
+		}
+	},
+	csv: {
+		extension: '.csv',
+		description: 'CSV (RFC 4180)',
+		perLocale: false,
+		serialize: ({ locales, rows }) =>
+			`${toCsv([
+				['key', 'context', ...locales],
+				...rows.map((row) => [
+					row.key,
+					row.context,
+					...locales.map((locale) => row.values[locale])
+				])
+			])}\n`,
+		parse: (content) => readTranslationTable(parseCsv(content))
+	},
+	xlsx: {
+		extension: '.xlsx',
+		description: 'Excel workbook',
+		perLocale: false,
+		binary: true,
+		async serialize({ locales, rows }) {
+			const ExcelJS = loadExcelJs();
+			const workbook = new ExcelJS.Workbook();
+			const sheet = workbook.addWorksheet('Translations', {
+				views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }]
+			});
+			sheet.columns = [
+				{ header: 'key', key: 'key', width: 40 },
+				{ header: 'context', key: 'context', width: 40 },
+				...locales.map((locale) => ({
+					header: locale,
+					key: locale,
+					width: 40,
+					style: { alignment: { wrapText: true } }
+				}))
+			];
+			sheet.getRow(1).font = { bold: true };
+			rows.forEach((row) =>
+				sheet.addRow({
+					key: row.key,
+					context: row.context,
+					...row.values
+				})
+			);
+			return Buffer.from(await workbook.xlsx.writeBuffer());
+		},
+		async parse(content) {
+			const ExcelJS = loadExcelJs();
+			const workbook = new ExcelJS.Workbook();
+			try {
+				await workbook.xlsx.load(content);
+			} catch (error) {
+				throw new Error(
+					`Not a valid XLSX workbook (${error.message}).`
+				);
+			}
+			const sheet = workbook.worksheets[0];
+			if (!sheet) throw new Error('The workbook has no worksheet.');
+			const table = [];
+			sheet.eachRow((row) => {
+				const cells = [];
+				for (let i = 1; i <= row.cellCount; i++)
+					cells.push(row.getCell(i).text);
+				table.push(cells);
+			});
+			return readTranslationTable(table);
+		}
+	}
+};
+
+/**
+ * Parses an XLIFF 1.2 or 2.0 document.
+ * @param {string} content - The XLIFF document.
+ * @returns {{ locale: string|null, units: object[] }} The target locale and the units.
+ * @throws {Error} If the document is malformed or has an unsupported version.
+ */
+function parseXliff(content) {
+	const root = parseXml(content);
+	if (root.name.split(':').pop() !== 'xliff')
+		throw new Error(
+			`Expected an <xliff> root element, found <${root.name}>.`
+		);
+	const version = root.attributes.version || '';
+	const units = [];
+	if (version.startsWith('1.')) {
+		const files = findXmlElements(root, 'file');
+		for (const unit of findXmlElements(root, 'trans-unit', true)) {
+			units.push({
+				key: unit.attributes.resname || unit.attributes.id,
+				source: getXmlText(findXmlElements(unit, 'source')[0]) || '',
+				target: getXmlText(findXmlElements(unit, 'target')[0]) || '',
+				note: findXmlElements(unit, 'note').map(getXmlText).join('\n')
+			});
+		}
+		return {
+			locale: files[0] ? files[0].attributes['target-language'] : null,
+			units
+		};
+	}
+	if (version.startsWith('2.')) {
+		for (const unit of findXmlElements(root, 'unit', true)) {
+			const segments = findXmlElements(unit, 'segment');
+			const text = (name) =>
+				segments
+					.map((s) => getXmlText(findXmlElements(s, name)[0]) || '')
+					.join('');
+			units.push({
+				key: unit.attributes.name || unit.attributes.id,
+				source: text('source'),
+				target: text('target'),
+				note: findXmlElements(unit, 'note', true)
+					.map(getXmlText)
+					.join('\n')
+			});
+		}
+		return { locale: root.attributes.trgLang || null, units };
+	}
+	throw new Error(`Unsupported XLIFF version "${version}".`);
+}
+
+/**
+ * Reads a table of translations (CSV or XLSX rows) with a header row of `key`, `context` and locale columns.
+ * @param {string[][]} table - The rows, header first.
+ * @returns {{ locales: string[], rows: object[] }} The locale columns and the rows.
+ * @throws {Error} If the header has no `key` column.
+ */
+function readTranslationTable(table) {
+	const [header = [], ...body] = table;
+	const columns = header.map((name) => String(name).trim());
+	const keyIndex = columns.indexOf('key');
+	if (keyIndex === -1) throw new Error('The header row has no "key" column.');
+	const locales = columns.filter(
+		(name) => name && name !== 'key' && name !== 'context'
+	);
+	const rows = body
+		.filter((cells) => cells[keyIndex])
+		.map((cells) => {
+			const values = {};
+			columns.forEach((name, i) => {
+				if (locales.includes(name) && cells[i]) values[name] = cells[i];
+			});
+			return {
+				key: cells[keyIndex].trim(),
+				context: cells[columns.indexOf('context')] || '',
+				values
+			};
+		});
+	return { locales, rows };
+}
+
+/**
+ * Picks the interchange format of a file from `--format` or its extension.
+ * XLIFF 1.2 and 2.0 share an extension; the parser detects the version itself.
+ * @param {string} fileName - The file name.
+ * @param {string} [format] - The explicit format name.
+ * @returns {string} The format name.
+ * @throws {ConfigError} If the format is unknown or cannot be derived from the extension.
+ */
+function getInterchangeFormat(fileName, format) {
+	if (format) {
+		if (!INTERCHANGE_FORMATS[format])
+			throw new ConfigError(
+				`Unknown format "${format}". Supported formats: ${Object.keys(
+					INTERCHANGE_FORMATS
+				).join(', ')}.`
+			);
+		return format;
+	}
+	const extension = path.extname(fileName).toLowerCase();
+	if (extension === '.xliff') return 'xliff';
+	const name = Object.keys(INTERCHANGE_FORMATS).find(
+		(n) => INTERCHANGE_FORMATS[n].extension === extension
+	);
+	if (!name)
+		throw new ConfigError(
+			`Cannot tell the format of ${fileName} from its extension. Pass --format.`
+		);
+	return name;
+}
+
+/**
+ * Lists the units of a key for one locale. Plural keys yield one unit per plural form of the locale,
+ * with the source locale's "other" form as the source text of forms it does not have.
+ * @param {object} localeData - The data of all locales.
+ * @param {string} key - The logical key.
+ * @param {string} locale - The target locale.
+ * @returns {{ key: string, source: string, target: string }[]} The units.
+ */
+function getKeyUnits(localeData, key, locale) {
+	const sourceData = localeData[config.sourceLocale];
+	const asText = (value) => (typeof value === 'string' ? value : '');
+	const sourceValue = getValue(sourceData, key);
+	const variants = getPluralVariants(sourceData, key);
+	if (sourceValue !== undefined || Object.keys(variants).length === 0)
+		return typeof sourceValue === 'object'
+			? [] // A namespace, not a translation.
+			: [
+					{
+						key,
+						source: asText(sourceValue),
+						target: asText(getValue(localeData[locale], key))
+					}
+			  ];
+	const prefix = Object.keys(variants).some((s) => s.startsWith('ordinal_'))
+		? 'ordinal_'
+		: '';
+	return getPluralCategories(locale, prefix ? 'ordinal' : 'cardinal').map(
+		(category) => {
+			const variantKey = `${key}_${prefix}${category}`;
+			return {
+				key: variantKey,
+				source: asText(
+					variants[prefix + category] !== undefined
+						? variants[prefix + category]
+						: variants[`${prefix}other`]
+				),
+				target: asText(getValue(localeData[locale], variantKey))
+			};
+		}
+	);
+}
+
+/**
+ * Lists the logical keys to exchange with translators: the keys found in the source code, plus the
+ * source-locale keys that count as used (under the prefix of a dynamic key or matching a `keep` pattern).
+ * @param {object} scanResult - The result of `scanForKeys`.
+ * @param {object} localeData - The data of all locales.
+ * @returns {string[]} The sorted keys.
+ */
+function getProjectKeys(scanResult, localeData) {
+	const isUsed = createUsedKeyMatcher(scanResult);
+	const sourceKeys = getLogicalKeys(localeData[config.sourceLocale]);
+	return [
+		...new Set([...scanResult.keys, ...sourceKeys.filter(isUsed)])
+	].sort();
+}
+
+/**
+ * Builds the export files for translators.
+ * @param {object} options
+ * @param {string} options.format - The interchange format.
+ * @param {'missing'|'all'} options.scope - Whether to export only untranslated and outdated units or all of
+ *   them. Units a locale inherits from its fallback locales are not untranslated.
+ * @param {string[]} options.locales - The target locales.
+ * @param {string[]} options.keys - The logical keys to export.
+ * @param {object} options.localeData - The data of all locales.
+ * @param {Map<string, object[]>} options.usages - Where each key is used, for the notes.
+ * @param {object[]} [options.outdated=[]] - The outdated translations (see `findOutdatedTranslations`), which
+ *   are exported for review with the previous source text.
+ * @returns {Promise<{ fileName: string, content: string|Buffer, count: number }[]>} One file per target
+ *   locale for per-locale formats, a single file for table formats. Locales without units are skipped.
+ */
+async function buildExport({
+	format,
+	scope,
+	locales,
+	keys,
+	localeData,
+	usages,
+	outdated = []
+}) {
+	const definition = INTERCHANGE_FORMATS[format];
+	const targetLocales = locales.filter((l) => l !== config.sourceLocale);
+	const previousSources = new Map(
+		outdated.map(({ key, locale, previousSource }) => [
+			`${locale}|${key}`,
+			previousSource
+		])
+	);
+	const describeChange = (previousSource) =>
+		previousSource === null
+			? 'The source text changed since this was translated.'
+			: `The source text changed since this was translated. It was: ${previousSource}`;
+	const files = [];
+	if (definition.perLocale) {
+		for (const locale of targetLocales) {
+			const units = keys.flatMap((key) =>
+				getKeyUnits(localeData, key, locale)
+					.map((unit) => ({
+						...unit,
+						outdated: previousSources.has(`${locale}|${unit.key}`)
+					}))
+					.filter(
+						(unit) =>
+							scope === 'all' ||
+							unit.outdated ||
+							(!unit.target &&
+								!getInheritedTranslation(
+									localeData,
+									locale,
+									unit.key
+								))
+					)
+					.map(({ outdated: isOutdated, ...unit }) => {
+						const previousSource = previousSources.get(
+							`${locale}|${unit.key}`
+						);
+						return {
+							...unit,
+							note: [
+								getKeyContext(usages, key),
+								isOutdated ? describeChange(previousSource) : ''
+							]
+								.filter(Boolean)
+								.join('\n'),
+							state: isOutdated
+								? 'needs-review-translation'
+								: unit.target
+								? 'translated'
+								: 'needs-translation',
+							previousSource: isOutdated ? previousSource : null
+						};
+					})
+			);
+			if (units.length === 0) continue;
+			files.push({
+				fileName: `${locale}${definition.extension}`,
+				content: await definition.serialize(units, {
+					sourceLocale: config.sourceLocale,
+					locale
+				}),
+				count: units.length
+			});
+		}
+		return files;
+	}
+	// Tables have a row per unit key (the plural forms of all selected locales) and a column per locale.
+	const columns = [config.sourceLocale, ...targetLocales];
+	const rows = [];
+	for (const key of keys) {
+		const unitKeys = new Set(
+			columns.flatMap((locale) =>
+				getKeyUnits(localeData, key, locale).map((unit) => unit.key)
+			)
+		);
+		for (const unitKey of unitKeys) {
+			const values = {};
+			for (const locale of columns) {
+				const value = getValue(localeData[locale], unitKey);
+				values[locale] = typeof value === 'string' ? value : '';
+			}
+			const outdatedLocales = targetLocales.filter((l) =>
+				previousSources.has(`${l}|${unitKey}`)
+			);
+			if (
+				scope === 'all' ||
+				outdatedLocales.length > 0 ||
+				targetLocales.some(
+					(l) =>
+						!values[l] &&
+						!getInheritedTranslation(localeData, l, unitKey)
+				)
+			)
+				rows.push({
+					key: unitKey,
+					context: [
+						getKeyContext(usages, key),
+						outdatedLocales.length > 0
+							? `Outdated in ${outdatedLocales.join(
+									', '
+							  )}: ${describeChange(
+									previousSources.get(
+										`${outdatedLocales[0]}|${unitKey}`
+									)
+							  )}`
+							: ''
+					]
+						.filter(Boolean)
+						.join('\n'),
+					values
+				});
+		}
+	}
+	if (rows.length > 0)
+		files.push({
+			fileName: `translations${definition.extension}`,
+			content: await definition.serialize({ locales: columns, rows }),
+			count: rows.length
+		});
+	return files;
+}
+
+/**
+ * Reads the translations of an interchange file.
+ * @param {Buffer} content - The file content.
+ * @param {string} format - The interchange format.
+ * @param {string} [locale] - The target locale of per-locale files, overriding the one in the file.
+ * @returns {Promise<{ entries: object[], fuzzy: number }>} The non-empty translations
+ *   (`{ key, locale, value }`) and the number of fuzzy (draft) units that were skipped.
+ * @throws {Error} If the file is malformed or its target locale is unknown.
+ */
+async function readInterchangeFile(content, format, locale) {
+	const definition = INTERCHANGE_FORMATS[format];
+	const parsed = await definition.parse(
+		definition.binary
+			? content
+			: content.toString('utf-8').replace(/^\uFEFF/, '')
+	);
+	const entries = [];
+	let fuzzy = 0;
+	if (definition.perLocale) {
+		const targetLocale = locale || parsed.locale;
+		if (!targetLocale)
+			throw new Error(
+				'The file does not name its target language. Pass --locale.'
+			);
+		for (const unit of parsed.units) {
+			if (!unit.key || !unit.target) continue;
+			if (unit.fuzzy) fuzzy++;
+			else
+				entries.push({
+					key: unit.key,
+					locale: targetLocale,
+					value: unit.target
+				});
+		}
+	} else {
+		for (const row of parsed.rows) {
+			for (const [rowLocale, value] of Object.entries(row.values))
+				entries.push({ key: row.key, locale: rowLocale, value });
+		}
+	}
+	return { entries, fuzzy };
+}
+
+/**
+ * Merges imported translations into the locale files.
+ * @param {object[]} entries - The translations (`{ key, locale, value }`).
+ * @param {object} scanResult - The result of `scanForKeys`; entries for keys the project does not use are rejected.
+ * @param {object} [options]
+ * @param {boolean} [options.overwrite=false] - Replace existing, different translations. Outdated translations
+ *   (see `findOutdatedTranslations`) are replaced either way.
+ * @param {boolean} [options.dryRun=false] - Report without writing.
+ * @returns {Promise<object>} The report: `updated` and `conflicts` (`{ key, locale, current, value }`),
+ *   `unknownKeys` and `unknownLocales` (`{ key, locale }`), the number of `unchanged` entries, and the
+ *   imported translations that do not follow the glossary (`glossary`: `{ key, locale, value, message }`).
+ */
+async function importTranslations(
+	entries,
+	scanResult,
+	{ overwrite = false, dryRun = false } = {}
+) {
+	const localeData = await loadLocaleData();
+	const glossary = await readGlossary();
+	const isKnown = createUsedKeyMatcher(scanResult);
+	// Outdated translations are replaced like missing ones.
+	const isOutdated = new Set(
+		findOutdatedTranslations(localeData, await readTranslationLock()).map(
+			({ key, locale }) => `${locale}|${key}`
+		)
+	);
+	const report = {
+		updated: [],
+		conflicts: [],
+		unknownKeys: [],
+		unknownLocales: [],
+		unchanged: 0,
+		glossary: []
+	};
+	for (const { key, locale, value } of entries) {
+		if (!config.locales.includes(locale)) {
+			report.unknownLocales.push({ key, locale });
+			continue;
+		}
+		if (!isKnown(key)) {
+			report.unknownKeys.push({ key, locale });
+			continue;
+		}
+		const current = getValue(localeData[locale], key);
+		if (current === value) report.unchanged++;
+		// Never replace a namespace object with a string, even with --overwrite.
+		else if (
+			(current !== undefined &&
+				current !== '' &&
+				!overwrite &&
+				!isOutdated.has(`${locale}|${key}`)) ||
+			(current !== null && typeof current === 'object')
+		)
+			report.conflicts.push({ key, locale, current, value });
+		else {
+			setValue(localeData[locale], key, value);
+			report.updated.push({ key, locale, current, value });
+		}
+	}
+	for (const { key, locale, value } of report.updated) {
+		const source = getValue(localeData[config.sourceLocale], key);
+		if (locale === config.sourceLocale || typeof source !== 'string')
+			continue;
+		checkGlossary(source, value, locale, glossary).forEach(({ message }) =>
+			report.glossary.push({ key, locale, value, message })
+		);
+	}
+	if (!dryRun) {
+		const changedLocales = new Set(report.updated.map((u) => u.locale));
+		for (const locale of changedLocales)
+			await writeLocaleFile(locale, localeData[locale]);
+		if (changedLocales.size > 0)
+			await updateTranslationLock(localeData, {
+				updated: report.updated
+			});
+	}
+	return report;
+}
+
+/**
+ * Prints an import report, as used by the `import` command.
+ * @param {object} report - The report returned by `importTranslations`.
+ * @param {boolean} dryRun - Whether nothing was written.
+ */
+function printImportReport(report, dryRun) {
+	log(
+		`\n📥 ${dryRun ? 'Would import' : 'Imported'} ${
+			report.updated.length
+		} translations (${report.unchanged} unchanged)${
+			dryRun ? ' (dry run)' : ''
+		}.`
+	);
+	report.updated.forEach(({ key, locale, value }) =>
+		log(
+			`   + ${getKeyFileLabel(locale, key)} ${key}: ${JSON.stringify(
+				value
+			)}`
+		)
+	);
+	if (report.conflicts.length > 0) {
+		log(
+			`⚠️  ${report.conflicts.length} translations differ from the existing values and were not imported (use --overwrite to replace them):`
+		);
+		report.conflicts.forEach(({ key, locale, current, value }) =>
+			log(
+				`   ! ${getKeyFileLabel(locale, key)} ${key}: ${JSON.stringify(
+					current
+				)} → ${JSON.stringify(value)}`
+			)
+		);
+	}
+	if (report.unknownKeys.length > 0) {
+		log(
+			`⚠️  ${report.unknownKeys.length} translations are for keys that do not exist in the project:`
+		);
+		report.unknownKeys.forEach(({ key, locale }) =>
+			log(`   ? ${locale} ${key}`)
+		);
+	}
+	if (report.unknownLocales.length > 0)
+		log(
+			`⚠️  ${
+				report.unknownLocales.length
+			} translations are for locales that are not configured: ${[
+				...new Set(report.unknownLocales.map((e) => e.locale))
+			].join(', ')}`
+		);
+	if (report.glossary.length > 0) {
+		log(
+			`⚠️  ${report.glossary.length} imported translations do not follow the glossary:`
+		);
+		report.glossary.forEach(({ key, locale, message }) =>
+			log(`   ~ ${getKeyFileLabel(locale, key)} ${key}: ${message}`)
+		);
+	}
+}
+
+// --- LOCALE FILE FORMATS ---
+// Adapters between locale files and the nested locale data. `parse(text)` returns `{ data, meta }`, where
+// `meta` records what the data does not: comments, key order, indentation and format-specific extras.
+// `serialize(data, meta, { locale })` writes the data back in the layout recorded by `meta` (null for a
+// new file), so that saving a file only touches the entries whose values changed. Formats with flat keys
+// (ARB, .strings, Android) store nested keys as dotted names.
+
+/**
+ * Loads the `yaml` package on first use, so that projects without YAML locale files do not need it.
+ * @returns {object} The `yaml` module.
+ * @throws {ConfigError} If `yaml` is not installed.
+ */
+function loadYaml() {
+	try {
+		return require('yaml');
+	} catch (error) {
+		throw new ConfigError(
+			'YAML locale files need the "yaml" package. Install it with "npm install --save-dev yaml".'
+		);
+	}
+}
+
+/**
+ * Returns the indentation of the first indented line of a file.
+ * @param {string} text - The file content.
+ * @param {string} fallback - The indentation to use when no line is indented.
+ * @returns {string} The indentation.
+ */
+function detectIndent(text, fallback) {
+	const match = text.match(/^([ \t]+)\S/m);
+	return match ? match[1] : fallback;
+}
+
+/**
+ * Flattens nested locale data to a map of dotted key to value, in key order.
+ * @param {object} data - The nested locale data.
+ * @returns {Map<string, *>} The flat entries.
+ */
+function flattenLocaleData(data) {
+	return new Map(
+		collectLeafKeys(data).map((key) => [key, getValue(data, key)])
+	);
+}
+
+/**
+ * Splits a file of consecutive entries into the entries' source text and the text around them. The text
+ * between two entries is divided at its first line break: the rest of the line (such as a trailing
+ * comment) stays with the entry before, and the following lines (blank lines, leading comments) go with
+ * the entry after. A block separated from the first entry by a blank line is kept as the file's header.
+ * @param {string} text - The file content.
+ * @param {object[]} spans - The entries in source order, each with `start` and `end` offsets.
+ * @param {number} [start=0] - Where the entries may begin (e.g. after an XML root tag).
+ * @param {number} [end=text.length] - Where the entries must end (e.g. before an XML closing tag).
+ * @returns {{ head: string, items: object[], tail: string }} The spans with `raw`, `before` and `after` text.
+ */
+function splitEntryDocument(text, spans, start = 0, end = text.length) {
+	const items = [];
+	let head = text.slice(0, start);
+	let previousEnd = start;
+	for (const span of spans) {
+		let gap = text.slice(previousEnd, span.start);
+		if (items.length === 0) {
+			const header = /^[\s\S]*\n[ \t]*\n/.exec(gap);
+			if (header) {
+				head += header[0];
+				gap = gap.slice(header[0].length);
+			}
+		} else {
+			const lineEnd = gap.indexOf('\n');
+			if (lineEnd !== -1) {
+				items[items.length - 1].after = gap.slice(0, lineEnd);
+				gap = gap.slice(lineEnd);
+			}
+		}
+		items.push({
+			...span,
+			raw: text.slice(span.start, span.end),
+			before: gap,
+			after: ''
+		});
+		previousEnd = span.end;
+	}
+	let tail = text.slice(previousEnd);
+	if (items.length > 0) {
+		const lineEnd = text.slice(previousEnd, end).indexOf('\n');
+		if (lineEnd !== -1) {
+			items[items.length - 1].after = tail.slice(0, lineEnd);
+			tail = tail.slice(lineEnd);
+		}
+	}
+	return { head, items, tail };
+}
+
+/**
+ * Writes entries into a document split by `splitEntryDocument`. Entries keep their original position and
+ * surrounding comments, unchanged entries keep their exact source text, items marked `keep` (resources
+ * that are not translations) are always written, and new entries are appended after the last one.
+ * @param {{ head: string, items: object[], tail: string }} document - The split document.
+ * @param {Map<string, *>} entries - The entries to write, by key.
+ * @param {function(string, *, string): string} formatEntry - Formats an entry, given its key, value and indentation.
+ * @param {string} defaultIndent - The indentation of new entries when the document has none.
+ * @returns {string} The file content.
+ */
+function renderEntryDocument(document, entries, formatEntry, defaultIndent) {
+	const parts = [document.head];
+	const written = new Set();
+	let separator = `\n${defaultIndent}`;
+	let lineEnded = !document.head || document.head.endsWith('\n');
+	for (const item of document.items) {
+		if (!item.keep && (!entries.has(item.key) || written.has(item.key)))
+			continue;
+		const lastLine = item.before.slice(item.before.lastIndexOf('\n') + 1);
+		const indentation = /^[ \t]*$/.test(lastLine)
+			? lastLine
+			: defaultIndent;
+		separator = `\n${indentation}`;
+		const value = entries.get(item.key);
+		const unchanged =
+			item.keep || JSON.stringify(value) === JSON.stringify(item.value);
+		// When the entry before was removed, the line break that ended its line is not needed.
+		const before =
+			lineEnded && item.before.startsWith('\n')
+				? item.before.slice(1)
+				: item.before;
+		const text =
+			before +
+			(unchanged ? item.raw : formatEntry(item.key, value, indentation)) +
+			item.after;
+		if (text) lineEnded = text.endsWith('\n');
+		parts.push(text);
+		written.add(item.key);
+	}
+	for (const [key, value] of entries) {
+		if (written.has(key)) continue;
+		parts.push(
+			lineEnded ? separator.slice(1) : separator,
+			formatEntry(key, value, separator.slice(1))
+		);
+		lineEnded = false;
+	}
+
+	parts.push(document.tail);
+	return parts.join('');
+}
+
+/**
+ * Makes a YAML mapping match the data: removed keys are deleted, changed values are replaced and new
+ * keys are appended. Untouched pairs keep their comments, quoting style and position.
+ * @param {object} YAML - The `yaml` module.
+ * @param {object} document - The YAML document.
+ * @param {object} map - A YAML map node of the document.
+ * @param {object} data - The nested data the map should hold.
+ */
+function syncYamlMap(YAML, document, map, data) {
+	map.items = map.items.filter((pair) =>
+		Object.prototype.hasOwnProperty.call(
+			data,
+			String(YAML.isScalar(pair.key) ? pair.key.value : pair.key)
+		)
+	);
+	for (const [key, value] of Object.entries(data)) {
+		// Compare keys as strings, as the data does: `1:` in YAML is the key "1".
+		const pair = map.items.find(
+			(item) =>
+				String(YAML.isScalar(item.key) ? item.key.value : item.key) ===
+				key
+		);
+		const node = pair && pair.value;
+		if (value && typeof value === 'object' && YAML.isMap(node))
+			syncYamlMap(YAML, document, node, value);
+		else if ((value && typeof value === 'object') || !YAML.isScalar(node)) {
+			if (pair) pair.value = document.createNode(value);
+			else map.set(key, document.createNode(value));
+		} else if (node.value !== value) node.value = value;
+	}
+}
+
+/**
+ * Reads the object literal exported by a JS/TS locale module (`export default { ... }`, `module.exports =
+ * { ... }` or an exported `const`), along with the comments and code style needed to write it back.
+ * Values must be string literals, template literals without expressions or nested objects.
+ * @param {string} text - The module source.
+ * @param {boolean} typescript - Whether the module is TypeScript.
+ * @returns {{ data: object, meta: object }} The data and the module's layout.
+ * @throws {Error} If the module does not export a static object literal.
+ */
+function parseLocaleModule(text, typescript) {
+	const ast = babelParser.parse(text, {
+		sourceType: 'module',
+		plugins: typescript ? ['typescript'] : []
+	});
+	const unwrap = (node) => {
+		while (
+			node &&
+			[
+				'TSAsExpression',
+				'TSSatisfiesExpression',
+				'TSTypeAssertion',
+				'ParenthesizedExpression'
+			].includes(node.type)
+		)
+			node = node.expression;
+		return node;
+	};
+	const fail = (node, message) => {
+		throw new Error(`Line ${node.loc.start.line}: ${message}`);
+	};
+	const constants = new Map();
+	let exported = null;
+	for (const statement of ast.program.body) {
+		if (statement.type === 'VariableDeclaration') {
+			for (const declarator of statement.declarations) {
+				if (declarator.id.type === 'Identifier' && declarator.init)
+					constants.set(declarator.id.name, declarator.init);
+			}
+		} else if (statement.type === 'ExportDefaultDeclaration')
+			exported = statement.declaration;
+		else if (
+			statement.type === 'ExpressionStatement' &&
+			statement.expression.type === 'AssignmentExpression' &&
+			getCalleeName(statement.expression.left) === 'module.exports'
+		)
+			exported = statement.expression.right;
+	}
+	let root = unwrap(exported);
+	if (root && root.type === 'Identifier')
+		root = unwrap(constants.get(root.name));
+	if (!root || root.type !== 'ObjectExpression')
+		throw new Error(
+			'The module must export an object literal with `export default { ... }` or `module.exports = { ... }`.'
+		);
+
+	const comments = new Map(); // Key path → { leading: string[], trailing: string|null }
+	const closing = new Map(); // Object key path → comments after its last property
+	const commentsOf = (keyPath) => {
+		if (!comments.has(keyPath))
+			comments.set(keyPath, { leading: [], trailing: null });
+		return comments.get(keyPath);
+	};
+	// Assigns the comments between two offsets to the property before (same line) or after them.
+	const assignComments = (from, to, previous, next) => {
+		for (const comment of ast.comments) {
+			if (comment.start < from || comment.end > to) continue;
+			const source = text.slice(comment.start, comment.end);
+			if (previous && comment.loc.start.line === previous.line)
+				commentsOf(previous.keyPath).trailing = source;
+			else next(source);
+		}
+	};
+	const readObject = (node, prefix) => {
+		const result = {};
+		let previous = null;
+		let previousEnd = node.start + 1;
+		for (const property of node.properties) {
+			if (property.type !== 'ObjectProperty' || property.computed)
+				fail(
+					property,
+					'Only plain `key: value` properties are supported in locale modules.'
+				);
+			const { key: keyNode } = property;
+			const key =
+				keyNode.type === 'Identifier'
+					? keyNode.name
+					: String(keyNode.value);
+			const keyPath = prefix ? `${prefix}.${key}` : key;
+			assignComments(previousEnd, property.start, previous, (source) =>
+				commentsOf(keyPath).leading.push(source)
+			);
+			const value = unwrap(property.value);
+			if (value.type === 'ObjectExpression')
+				result[key] = readObject(value, keyPath);
+			else if (
+				value.type === 'NumericLiteral' ||
+				value.type === 'BooleanLiteral'
+			)
+				result[key] = value.value;
+			else {
+				const string = evaluateStaticString(value);
+				if (string === null)
+					fail(
+						value,
+						`The value of "${keyPath}" is not a string literal.`
+					);
+				result[key] = string;
+			}
+			previous = { keyPath, line: property.loc.end.line };
+			previousEnd = property.end;
+		}
+		assignComments(previousEnd, node.end - 1, previous, (source) => {
+			if (!closing.has(prefix)) closing.set(prefix, []);
+			closing.get(prefix).push(source);
+		});
+		return result;
+	};
+	const data = readObject(root, '');
+
+	const lineIndent = (offset) =>
+		text.slice(text.lastIndexOf('\n', offset - 1) + 1).match(/^[ \t]*/)[0];
+	const baseIndent = lineIndent(root.start);
+	const [first] = root.properties;
+	const last = root.properties[root.properties.length - 1];
+	// The quote style of the first string value is used for rewritten strings.
+	const findString = (node) => {
+		for (const property of node.properties) {
+			const value = unwrap(property.value);
+			const found =
+				value.type === 'ObjectExpression'
+					? findString(value)
+					: value.type === 'StringLiteral' && value;
+			if (found) return found;
+		}
+		return null;
+	};
+	const firstString = findString(root);
+	return {
+		data,
+		meta: {
+			prefix: text.slice(0, root.start),
+			suffix: text.slice(root.end),
+			baseIndent,
+			indent:
+				(first && lineIndent(first.start).slice(baseIndent.length)) ||
+				detectIndent(text, '\t'),
+			quote: firstString ? firstString.extra.raw[0] : "'",
+			quoteKeys: Boolean(first && first.key.type === 'StringLiteral'),
+			trailingComma: Boolean(
+				last &&
+					text
+						.slice(last.end, root.end - 1)
+						.trim()
+						.startsWith(',')
+			),
+			comments,
+			closing
+		}
+	};
+}
+
+/**
+ * Writes locale data as the object literal of a JS/TS locale module, keeping the rest of the module,
+ * the comments and the code style recorded by `parseLocaleModule`.
+ * @param {object} data - The nested locale data.
+ * @param {object|null} meta - The module layout, or null for a new module.
+ * @returns {string} The module source.
+ */
+function serializeLocaleModule(data, meta) {
+	const {
+		prefix = 'export default ',
+		suffix = ';\n',
+		baseIndent = '',
+		indent = '\t',
+		quote = "'",
+		quoteKeys = false,
+		trailingComma = false,
+		comments = new Map(),
+		closing = new Map()
+	} = meta || {};
+	const quoteString = (value) => {
+		const escaped = JSON.stringify(String(value)).slice(1, -1);
+		return quote === '"'
+			? `"${escaped}"`
+			: `'${escaped.replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+	};
+	const writeObject = (obj, keyPath, depth) => {
+		const inner = baseIndent + indent.repeat(depth + 1);
+		const entries = Object.entries(obj);
+		const lines = [];
+		entries.forEach(([key, value], index) => {
+			const childPath = keyPath ? `${keyPath}.${key}` : key;
+			const { leading = [], trailing = null } =
+				comments.get(childPath) || {};
+			leading.forEach((comment) => lines.push(inner + comment));
+			const formatted =
+				value && typeof value === 'object'
+					? writeObject(value, childPath, depth + 1)
+					: typeof value === 'string'
+					? quoteString(value)
+					: String(value);
+			const comma =
+				index < entries.length - 1 || trailingComma ? ',' : '';
+			lines.push(
+				`${inner}${
+					isValidIdentifier(key) && !quoteKeys
+						? key
+						: quoteString(key)
+				}: ${formatted}${comma}${trailing ? ` ${trailing}` : ''}`
+			);
+		});
+		(closing.get(keyPath) || []).forEach((comment) =>
+			lines.push(inner + comment)
+		);
+		if (lines.length === 0) return '{}';
+		return `{\n${lines.join('\n')}\n${baseIndent}${indent.repeat(depth)}}`;
+	};
+	return prefix + writeObject(data, '', 0) + suffix;
+}
+
+/**
+ * Parses the entries of an Apple `.strings` file (`"key" = "value";`, with C-style comments).
+ * @param {string} text - The file content.
+ * @returns {object[]} The entries as `{ key, value, start, end }`.
+ * @throws {Error} If the file is malformed (the message includes the line number).
+ */
+function parseStringsEntries(text) {
+	const ESCAPES = { n: '\n', t: '\t', r: '\r', 0: '\0' };
+	const entries = [];
+	let pos = 0;
+	const fail = (message) => {
+		throw new Error(
+			`Line ${text.slice(0, pos).split('\n').length}: ${message}`
+		);
+	};
+	const skipSpace = () => {
+		while (pos < text.length) {
+			if (/\s/.test(text[pos])) pos++;
+			else if (text.startsWith('/*', pos)) {
+				const end = text.indexOf('*/', pos + 2);
+				if (end === -1) fail('Unclosed comment.');
+				pos = end + 2;
+			} else if (text.startsWith('//', pos)) {
+				const end = text.indexOf('\n', pos);
+				pos = end === -1 ? text.length : end;
+			} else break;
+		}
+	};
+	const readString = () => {
+		if (text[pos] !== '"') {
+			const match = /[^\s=;"]+/y;
+			match.lastIndex = pos;
+			const word = match.exec(text);
+			if (!word) fail('Expected a quoted string.');
+			pos = match.lastIndex;
+			return word[0];
+		}
+		let value = '';
+		for (pos++; pos < text.length; pos++) {
+			const char = text[pos];
+			if (char === '"') {
+				pos++;
+				return value;
+			}
+			if (char !== '\\') {
+				value += char;
+				continue;
+			}
+			const next = text[++pos];
+			const unicode = /^[uU]([0-9a-fA-F]{4})/.exec(
+				text.slice(pos, pos + 5)
+			);
+			if (unicode) {
+				value += String.fromCharCode(parseInt(unicode[1], 16));
+				pos += 4;
+			} else value += ESCAPES[next] !== undefined ? ESCAPES[next] : next;
+		}
+		fail('Unclosed string.');
+	};
+	const expect = (char) => {
+		skipSpace();
+		if (text[pos] !== char) fail(`Expected "${char}".`);
+		pos++;
+		skipSpace();
+	};
+	skipSpace();
+	while (pos < text.length) {
+		const start = pos;
+		const key = readString();
+		expect('=');
+		const value = readString();
+		skipSpace();
+		if (text[pos] !== ';') fail('Expected ";".');
+		entries.push({ key, value, start, end: ++pos });
+		skipSpace();
+	}
+	return entries;
+}
+
+/**
+ * Quotes a string for an Apple `.strings` file.
+ * @param {string} value - The string.
+ * @returns {string} The quoted string.
+ */
+function quoteStringsValue(value) {
+	return `"${String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n')
+		.replace(/\r/g, '\\r')
+		.replace(/\t/g, '\\t')}"`;
+}
+
+// Inline markup in Android string resources, such as `<b>` or `<xliff:g id="count">`.
+const ANDROID_TAG_REGEX = /<\/?[A-Za-z][^<>]*>/y;
+// The quantities of Android `<plurals>`, stored as i18next-style plural variants (`items_one`).
+const ANDROID_QUANTITY_REGEX = /_(zero|one|two|few|many|other)$/;
+
+/**
+ * Decodes the text of an Android string resource: backslash escapes are resolved, double quotes are
+ * removed, and whitespace outside of them is collapsed as Android does. Inline markup is kept as is.
+ * @param {string} text - The element content, with XML entities decoded.
+
+ * @returns {string} The translation.
+ */
+function decodeAndroidText(text) {
+	const ESCAPES = { n: '\n', t: '\t' };
+	let result = '';
+	let quoted = false;
+	let pendingSpace = false;
+	const emit = (value) => {
+		if (pendingSpace && result) result += ' ';
+		pendingSpace = false;
+		result += value;
+	};
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		ANDROID_TAG_REGEX.lastIndex = i;
+		const tag = char === '<' && ANDROID_TAG_REGEX.exec(text);
+		if (tag) {
+			emit(tag[0]);
+			i += tag[0].length - 1;
+		} else if (char === '\\' && i + 1 < text.length) {
+			const next = text[++i];
+			const unicode = /^u([0-9a-fA-F]{4})/.exec(text.slice(i, i + 5));
+			if (unicode) {
+				emit(String.fromCharCode(parseInt(unicode[1], 16)));
+				i += 4;
+			} else emit(ESCAPES[next] !== undefined ? ESCAPES[next] : next);
+		} else if (char === '"') quoted = !quoted;
+		else if (!quoted && /\s/.test(char)) pendingSpace = true;
+		else emit(char);
+	}
+	return result;
+}
+
+/**
+ * Encodes a translation as the content of an Android string resource. Inline markup is written as is.
+ * @param {string} value - The translation.
+ * @returns {string} The element content.
+ */
+function encodeAndroidText(value) {
+	const escapeText = (text) =>
+		text
+			.replace(/&/g, '&amp;')
+
+			.replace(/</g, '&lt;')
+			.replace(/\\/g, '\\\\')
+			.replace(/"/g, '\\"')
+			.replace(/'/g, "\\'")
+			.replace(/\n/g, '\\n')
+			.replace(/\t/g, '\\t');
+	const parts = String(value).split(
+		new RegExp(`(${ANDROID_TAG_REGEX.source})`)
+	);
+
+	let encoded = parts
+		.map((part, index) => (index % 2 ? part : escapeText(part)))
+		.join('');
+	if (/^[@?]/.test(encoded)) encoded = `\\${encoded}`;
+	// Android collapses whitespace outside of double quotes.
+	return /^\s|\s$|\s\s/.test(encoded) ? `"${encoded}"` : encoded;
+}
+
+/**
+ * Reads the translation of an Android `<string>` or plural `<item>` element.
+ * @param {string} text - The file content.
+ * @param {object} element - The parsed element.
+ * @returns {string} The translation.
+ */
+function readAndroidString(text, element) {
+	if (element.children.every((child) => typeof child === 'string'))
+		return decodeAndroidText(getXmlText(element));
+	// Keep the inline markup, but decode the entities of the text around it.
+	return decodeAndroidText(
+		text
+			.slice(element.openEnd, element.innerEnd)
+			.split(new RegExp(`(${ANDROID_TAG_REGEX.source})`))
+			.map((part, index) => (index % 2 ? part : decodeXmlEntities(part)))
+			.join('')
+	);
+}
+
+// Locale file formats by name (the `fileFormat` option). `filePattern` is the default file of a locale in
+// the single layout, relative to `localesDir`.
+const LOCALE_FORMATS = {
+	json: {
+		extension: '.json',
+		filePattern: '{locale}.json',
+		description: 'JSON',
+		parse(text) {
+			return {
+				data: JSON.parse(text),
+				meta: {
+					indent: detectIndent(text, '\t'),
+					newline: text.endsWith('\n')
+				}
+			};
+		},
+		serialize(data, meta) {
+			return (
+				JSON.stringify(data, null, meta ? meta.indent : '\t') +
+				(meta && meta.newline ? '\n' : '')
+			);
+		}
+	},
+	yaml: {
+		extension: '.yaml',
+		filePattern: '{locale}.yaml',
+		description: 'YAML (needs the "yaml" package)',
+		parse(text) {
+			const YAML = loadYaml();
+			const document = YAML.parseDocument(text);
+			if (document.errors.length > 0) throw document.errors[0];
+			const data = document.toJS() || {};
+			if (typeof data !== 'object' || Array.isArray(data))
+				throw new Error('The top level must be a mapping of keys.');
+			return {
+				data,
+				meta: {
+					document,
+					indent: detectIndent(text, '  ').replace(/\t/g, '  ').length
+				}
+			};
+		},
+		serialize(data, meta) {
+			const YAML = loadYaml();
+			const options = { indent: meta ? meta.indent : 2, lineWidth: 0 };
+			if (!meta) return new YAML.Document(data).toString(options);
+			const { document } = meta;
+			if (YAML.isMap(document.contents))
+				syncYamlMap(YAML, document, document.contents, data);
+			else document.contents = document.createNode(data);
+			return document.toString(options);
+		}
+	},
+	js: {
+		extension: '.js',
+		filePattern: '{locale}.js',
+		description: 'JavaScript module (`export default { ... }`)',
+		parse: (text) => parseLocaleModule(text, false),
+		serialize: serializeLocaleModule
+	},
+	ts: {
+		extension: '.ts',
+		filePattern: '{locale}.ts',
+		description: 'TypeScript module (`export default { ... }`)',
+		parse: (text) => parseLocaleModule(text, true),
+		serialize: serializeLocaleModule
+	},
+	arb: {
+		extension: '.arb',
+		filePattern: 'app_{locale}.arb',
+		description: 'Flutter Application Resource Bundle',
+		parse(text) {
+			const entries = JSON.parse(text);
+			const data = {};
+			for (const [key, value] of Object.entries(entries)) {
+				if (!key.startsWith('@')) setValue(data, key, value);
+			}
+			return {
+				data,
+				meta: {
+					entries,
+					indent: detectIndent(text, '  '),
+					newline: text.endsWith('\n')
+				}
+			};
+		},
+		serialize(data, meta, { locale }) {
+			const values = flattenLocaleData(data);
+			const {
+				entries = { '@@locale': locale },
+				indent = '  ',
+				newline = true
+			} = meta || {};
+			// Messages keep their position and `@key` metadata; `@@` globals are kept as well.
+			const result = {};
+			for (const [key, value] of Object.entries(entries)) {
+				if (key === '@@locale') result[key] = locale;
+				else if (key.startsWith('@@')) result[key] = value;
+				else if (key.startsWith('@')) {
+					if (values.has(key.slice(1))) result[key] = value;
+				} else if (values.has(key)) result[key] = values.get(key);
+			}
+			for (const [key, value] of values) {
+				if (!Object.prototype.hasOwnProperty.call(result, key))
+					result[key] = value;
+			}
+			return JSON.stringify(result, null, indent) + (newline ? '\n' : '');
+		}
+	},
+	strings: {
+		extension: '.strings',
+		filePattern: '{locale}.lproj/Localizable.strings',
+		description: 'Apple strings file',
+		parse(text) {
+			const entries = parseStringsEntries(text);
+			const data = {};
+			entries.forEach(({ key, value }) => setValue(data, key, value));
+			return { data, meta: splitEntryDocument(text, entries) };
+		},
+		serialize(data, meta) {
+			return renderEntryDocument(
+				meta || { head: '', items: [], tail: '\n' },
+				flattenLocaleData(data),
+				(key, value) =>
+					`${quoteStringsValue(key)} = ${quoteStringsValue(value)};`,
+				''
+			);
+		}
+	},
+	android: {
+		extension: '.xml',
+		filePattern: 'values-{locale}/strings.xml',
+		description: 'Android string resources',
+		parse(text) {
+			const root = parseXml(text);
+			if (root.name !== 'resources')
+				throw new Error('The root element must be <resources>.');
+			const data = {};
+			const spans = [];
+			for (const element of root.children) {
+				if (typeof element === 'string') continue;
+				const { name, translatable } = element.attributes;
+				const span = { start: element.start, end: element.end };
+				if (
+					element.name === 'string' &&
+					name &&
+					translatable !== 'false'
+				) {
+					const value = readAndroidString(text, element);
+					setValue(data, name, value);
+					spans.push({ ...span, key: name, value });
+				} else if (
+					element.name === 'plurals' &&
+					name &&
+					translatable !== 'false'
+				) {
+					const value = {};
+					for (const item of findXmlElements(element, 'item')) {
+						value[item.attributes.quantity] = readAndroidString(
+							text,
+							item
+						);
+						setValue(
+							data,
+							`${name}_${item.attributes.quantity}`,
+							value[item.attributes.quantity]
+						);
+					}
+					spans.push({ ...span, key: name, value });
+				} else {
+					// Other resources (string arrays, non-translatable strings, ...) are kept as they are.
+					spans.push({ ...span, key: null, keep: true });
+				}
+			}
+			return {
+				data,
+				meta:
+					root.openEnd === root.end
+						? null // `<resources/>` has no room for entries; it is rewritten.
+						: splitEntryDocument(
+								text,
+								spans,
+								root.openEnd,
+								root.innerEnd
+						  )
+			};
+		},
+		serialize(data, meta) {
+			// Plural variants (`items_one`, `items_other`) are grouped into one `<plurals>` resource.
+			const entries = new Map();
+			for (const [key, value] of flattenLocaleData(data)) {
+				const match = ANDROID_QUANTITY_REGEX.exec(key);
+				if (!match) {
+					entries.set(key, value);
+					continue;
+				}
+				const name = key.slice(0, match.index);
+				if (!entries.has(name) || typeof entries.get(name) !== 'object')
+					entries.set(name, {});
+				entries.get(name)[match[1]] = value;
+			}
+			const document =
+				meta ||
+				splitEntryDocument(
+					'<?xml version="1.0" encoding="utf-8"?>\n<resources>\n</resources>\n',
+					[],
+					'<?xml version="1.0" encoding="utf-8"?>\n<resources>'.length
+				);
+			return renderEntryDocument(
+				document,
+				entries,
+				(key, value, indentation) => {
+					if (typeof value !== 'object')
+						return `<string name="${escapeXml(
+							key
+						)}">${encodeAndroidText(value)}</string>`;
+					const itemIndentation =
+						indentation + (indentation || '    ');
+					const items = Object.entries(value).map(
+						([quantity, text]) =>
+							`\n${itemIndentation}<item quantity="${quantity}">${encodeAndroidText(
+								text
+							)}</item>`
+					);
+					return `<plurals name="${escapeXml(key)}">${items.join(
+						''
+					)}\n${indentation}</plurals>`;
+				},
+				'    '
+			);
+		}
+	}
+};
+
+// --- CORE LOGIC: STEP 1 - GENERATION ---
+// This step identifies all translation keys used in the application's source code
+// and generates a TypeScript type definition file based on these keys.
+
+// AST node types that open a new variable scope for translator bindings.
+const SCOPE_NODE_TYPES = new Set([
+	'Program',
+	'BlockStatement',
+	'FunctionDeclaration',
+	'FunctionExpression',
+	'ArrowFunctionExpression',
+	'ObjectMethod',
+	'ClassMethod'
+]);
+
+/**
+ * Returns the dotted name of a callee or JSX element name (e.g., "i18n.t" or "Trans").
+ * @param {object} node - An Identifier, MemberExpression or JSX name node.
+ * @returns {string|null} The dotted name, or null for computed or unsupported expressions.
+ */
+function getCalleeName(node) {
+	if (!node) return null;
+	if (node.type === 'Identifier' || node.type === 'JSXIdentifier')
+		return node.name;
+	if (node.type === 'ThisExpression') return 'this';
+	if (
+		(node.type === 'MemberExpression' ||
+			node.type === 'OptionalMemberExpression') &&
+		!node.computed
+	) {
+		const object = getCalleeName(node.object);
+		return object && `${object}.${node.property.name}`;
+	}
+	if (node.type === 'JSXMemberExpression') {
+		const object = getCalleeName(node.object);
+		return object && `${object}.${node.property.name}`;
+	}
+	return null;
+}
+
+/**
+ * Statically evaluates a key expression.
+ * String literals, template literals without expressions and `+` concatenations of those are static.
+ * @param {object} node - The AST node of the key argument.
+ * @returns {string|null} The key string, or null if it can only be known at runtime.
+ */
+function evaluateStaticString(node) {
+	if (!node) return null;
+	switch (node.type) {
+		case 'StringLiteral':
+			return node.value;
+		case 'TemplateLiteral':
+			return node.expressions.length === 0
+				? node.quasis[0].value.cooked
+				: null;
+		case 'BinaryExpression': {
+			if (node.operator !== '+') return null;
+			const left = evaluateStaticString(node.left);
+			const right = evaluateStaticString(node.right);
+			return left !== null && right !== null ? left + right : null;
+		}
+		case 'TSAsExpression':
+		case 'TSSatisfiesExpression':
+		case 'TSNonNullExpression':
+		case 'ParenthesizedExpression':
+			return evaluateStaticString(node.expression);
+		default:
+			return null;
+	}
+}
+
+/**
+ * Returns the static beginning of a dynamic key expression, e.g. "status." for `` `status.${s}` ``.
+ * @param {object} node - The AST node of the key argument.
+ * @returns {string} The static prefix (empty if the key starts with a runtime value).
+ */
+function getStaticPrefix(node) {
+	if (node.type === 'TemplateLiteral') return node.quasis[0].value.cooked;
+	if (node.type === 'BinaryExpression' && node.operator === '+') {
+		const left = evaluateStaticString(node.left);
+		return left !== null ? left : getStaticPrefix(node.left);
+	}
+	return '';
+}
+
+/**
+ * Parses a JS/TS/JSX source file and extracts the translation keys it uses.
+ * Recognized call signatures come from the `translators`, `components` and `namespaceHooks`
+ * config options. Keys that cannot be resolved statically are returned as `dynamicKeys`.
+ * The relative imports are collected as well, so that the keys of a route can include those of the
+ * components it imports (see `buildRuntimeBundles`).
+ * @param {string} content - The source code.
+ * @param {string} file - The file path relative to the workspace (used for parser options and reports).
+ * @returns {{ keys: object[], dynamicKeys: object[], imports: string[] }} Key occurrences as
+ *   `{ key, line, column }`, dynamic keys as `{ file, line, column, expression, prefix }`, and the
+ *   relative module specifiers of `import`, `export ... from`, `import()` and `require()`.
+ */
+function extractKeysFromSource(content, file) {
+	const isTypeScript = /\.tsx?$/.test(file);
+	const plugins = isTypeScript
+		? file.endsWith('.tsx')
+			? ['typescript', 'jsx']
+			: ['typescript']
+		: ['jsx'];
+	const ast = babelParser.parse(content, {
+		sourceType: 'unambiguous',
+		plugins: [...plugins, 'decorators-legacy'],
+		errorRecovery: true
+	});
+
+	const translators = new Map(
+		config.translators.map((t) => [t.name, { arg: t.arg || 0, prefix: '' }])
+	);
+	const components = new Map(config.components.map((c) => [c.name, c]));
+	const hooks = new Map(config.namespaceHooks.map((h) => [h.name, h]));
+	const keys = [];
+	const dynamicKeys = [];
+	const imports = new Set();
+	const scopes = [];
+
+	const lookupTranslator = (name) => {
+		for (let i = scopes.length - 1; i >= 0; i--) {
+			if (scopes[i].has(name)) return scopes[i].get(name);
+		}
+		return translators.get(name);
+	};
+	const bind = (name, translator) =>
+		scopes[scopes.length - 1].set(name, translator);
+
+	// Turns a key as written in the code into a key path. Namespaces bound by a hook are prefixed
+	// (next-intl style). In the namespaced layout, an explicit "ns:key" or an `ns` option selects the
+	// namespace, and keys without any namespace belong to the default namespace, as in i18next.
+	const qualifyKey = (key, prefix, namespace) => {
+		if (config.layout !== 'namespaced') return prefix + key;
+		const separator = key.indexOf(config.nsSeparator);
+		if (separator > 0)
+			return `${key.slice(0, separator)}.${key.slice(
+				separator + config.nsSeparator.length
+			)}`;
+		if (namespace) return `${namespace}.${key}`;
+		return prefix ? prefix + key : `${config.defaultNamespace}.${key}`;
+	};
+
+	const recordKey = (keyNode, translator, namespace = null) => {
+		const { line, column } = keyNode.loc.start;
+		const key = evaluateStaticString(keyNode);
+		if (key !== null) {
+			keys.push({
+				key: qualifyKey(key, translator.prefix, namespace),
+				line,
+				column: column + 1
+			});
+			return;
+		}
+		// Without any static text, even the namespace of the key is unknown (it may contain "ns:").
+		const staticPrefix = getStaticPrefix(keyNode);
+		dynamicKeys.push({
+			file,
+			line,
+			column: column + 1,
+			expression: content.slice(keyNode.start, keyNode.end),
+			prefix:
+				staticPrefix || namespace
+					? qualifyKey(staticPrefix, translator.prefix, namespace)
+					: translator.prefix
+		});
+	};
+
+	// Reads the namespace from an i18next options object (`t('cta', { ns: 'checkout' })`).
+	const getNamespaceOption = (optionsNode) => {
+		if (!optionsNode || optionsNode.type !== 'ObjectExpression')
+			return null;
+		const nsProperty = optionsNode.properties.find(
+			(p) => p.type === 'ObjectProperty' && getCalleeName(p.key) === 'ns'
+		);
+		return nsProperty ? evaluateStaticString(nsProperty.value) : null;
+	};
+
+	// Binds the variables declared by `const t = useTranslations('ns')` or
+	// `const { t: translate } = useTranslation('ns')` as translators with the hook's namespace.
+	const bindHookResult = (declarator) => {
+		let init = declarator.init;
+		if (init && init.type === 'AwaitExpression') init = init.argument;
+		if (!init || init.type !== 'CallExpression') return;
+		const hook = hooks.get(getCalleeName(init.callee));
+		if (!hook) return;
+		let nsNode = init.arguments[hook.arg || 0];
+		if (nsNode && nsNode.type === 'ArrayExpression')
+			nsNode = nsNode.elements[0]; // The first namespace is the default one.
+		const namespace = nsNode ? evaluateStaticString(nsNode) : '';
+		if (namespace === null) return;
+		const translator = { arg: 0, prefix: namespace ? `${namespace}.` : '' };
+		const property = hook.property || 't';
+		if (declarator.id.type === 'Identifier') {
+			bind(declarator.id.name, translator);
+			bind(`${declarator.id.name}.${property}`, translator);
+		} else if (declarator.id.type === 'ObjectPattern') {
+			for (const prop of declarator.id.properties) {
+				if (
+					prop.type === 'ObjectProperty' &&
+					getCalleeName(prop.key) === property &&
+					prop.value.type === 'Identifier'
+				)
+					bind(prop.value.name, translator);
+			}
+		}
+	};
+
+	// Records a module specifier if it names a file of the project (`./Button`, `../lib/format`).
+	const recordImport = (sourceNode) => {
+		if (
+			sourceNode &&
+			sourceNode.type === 'StringLiteral' &&
+			sourceNode.value.startsWith('.')
+		)
+			imports.add(sourceNode.value);
+	};
+
+	const visit = (node) => {
+		if (!node || typeof node.type !== 'string') return;
+		const opensScope = SCOPE_NODE_TYPES.has(node.type);
+		if (opensScope) scopes.push(new Map());
+
+		if (
+			node.type === 'ImportDeclaration' ||
+			node.type === 'ExportNamedDeclaration' ||
+			node.type === 'ExportAllDeclaration' ||
+			node.type === 'ImportExpression'
+		)
+			recordImport(node.source);
+		else if (
+			node.type === 'CallExpression' &&
+			(node.callee.type === 'Import' ||
+				getCalleeName(node.callee) === 'require')
+		)
+			recordImport(node.arguments[0]);
+		if (node.type === 'VariableDeclarator') {
+			bindHookResult(node);
+			// Aliases such as `const translate = t;` keep the translator's namespace.
+			if (node.id.type === 'Identifier' && node.init) {
+				const alias = lookupTranslator(getCalleeName(node.init));
+				if (alias) bind(node.id.name, alias);
+			}
+		} else if (node.type === 'ImportSpecifier') {
+			// `import { t as translate } from '...'`
+			const imported = getCalleeName(node.imported);
+			const translator = translators.get(imported);
+			if (translator && node.local.name !== imported)
+				bind(node.local.name, translator);
+		} else if (
+			node.type === 'CallExpression' ||
+			node.type === 'OptionalCallExpression'
+		) {
+			const translator = lookupTranslator(getCalleeName(node.callee));
+			const keyNode = translator && node.arguments[translator.arg];
+			if (keyNode && keyNode.type !== 'SpreadElement')
+				recordKey(
+					keyNode,
+					translator,
+					config.layout === 'namespaced'
+						? getNamespaceOption(node.arguments[translator.arg + 1])
+						: null
+				);
+		} else if (node.type === 'JSXOpeningElement') {
+			const component = components.get(getCalleeName(node.name));
+			const getAttributeValue = (name) => {
+				const attr =
+					component &&
+					node.attributes.find(
+						(a) => a.type === 'JSXAttribute' && a.name.name === name
+					);
+				if (!attr || !attr.value) return null;
+				return attr.value.type === 'JSXExpressionContainer'
+					? attr.value.expression
+					: attr.value;
+			};
+			const valueNode = getAttributeValue(
+				component && (component.prop || 'i18nKey')
+			);
+			if (valueNode) {
+				// `<Trans i18nKey="cta" ns="checkout">` in the namespaced layout.
+				const nsNode =
+					config.layout === 'namespaced' && getAttributeValue('ns');
+				recordKey(
+					valueNode,
+					{ prefix: '' },
+					nsNode ? evaluateStaticString(nsNode) : null
+				);
+			}
+		}
+
+		for (const key of Object.keys(node)) {
+			if (
+				key === 'loc' ||
+				key === 'leadingComments' ||
+				key === 'trailingComments' ||
+				key === 'innerComments'
+			)
+				continue;
+			const child = node[key];
+			if (Array.isArray(child)) child.forEach(visit);
+			else if (child && typeof child.type === 'string') visit(child);
+		}
+		if (opensScope) scopes.pop();
+	};
+	visit(ast.program);
+	return { keys, dynamicKeys, imports: [...imports] };
+}
+
+/**
+ * Scans one source file for translation calls (see `extractKeysFromSource`).
+ * @param {string} file - The file path relative to the workspace.
+ * @returns {{ keys: object[], dynamicKeys: object[], imports: string[] }|null} The uses of static keys
+ *   (`{ key, line, column, snippet }`), the dynamic keys and the relative imports, or null if the file
+ *   cannot be read.
+ */
+function scanSourceFile(file) {
+	const filePath = path.join(config.workspaceDir, file);
+	let content;
+	try {
+		content = fsSync.readFileSync(filePath, 'utf-8');
+	} catch (err) {
+		console.warn(`⚠️  Could not read file: ${filePath}`);
+		return null;
+	}
+	try {
+		const result = extractKeysFromSource(content, file);
+		const lines = content.split('\n');
+		return {
+			// Keep the source line as context for translators.
+			keys: result.keys.map(({ key, line, column }) => ({
+				key,
+				line,
+				column,
+				snippet: lines[line - 1].trim().slice(0, 200)
+			})),
+			dynamicKeys: result.dynamicKeys,
+			imports: result.imports
+		};
+	} catch (err) {
+		const where = err.loc ? `:${err.loc.line}:${err.loc.column + 1}` : '';
+		console.warn(
+			`⚠️  Could not parse file: ${filePath}${where} (${err.message})`
+		);
+		return { keys: [], dynamicKeys: [], imports: [] };
+	}
+}
+
+// Extensions tried, in order, for an import without one (`./Button`), and for a directory's index file.
+const IMPORT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx'];
+
+/**
+ * Resolves a relative import to a scanned file, the way bundlers do: the exact file, the file with one
+ * of `IMPORT_EXTENSIONS`, or the directory's index file. A ".js" import may name a TypeScript file.
+ * @param {string} file - The importing file, relative to the workspace.
+ * @param {string} specifier - The module specifier, e.g. "./Button" or "../lib/format.js".
+ * @param {Set<string>} files - The scanned files, relative to the workspace.
+ * @returns {string|null} The imported file relative to the workspace, or null if it is not scanned.
+ */
+function resolveImport(file, specifier, files) {
+	const base = path.posix.join(path.posix.dirname(file), specifier);
+	const withoutJs = base.replace(/\.jsx?$/, '');
+	const candidates = [
+		base,
+		...IMPORT_EXTENSIONS.map((ext) => withoutJs + ext),
+		...IMPORT_EXTENSIONS.map((ext) => `${base}/index${ext}`)
+	];
+	return candidates.find((candidate) => files.has(candidate)) || null;
+}
+
+/**
+ * Scans the project's source files for translation calls (see `extractKeysFromSource`)
+ * to extract used translation keys and where they are used.
+ * @param {object} [options]
+ * @param {Map<string, object>} [options.cache] - The results of `scanSourceFile` by file, kept up to date
+ *   by the scan. Watch mode keeps it between scans.
+ * @param {Set<string>} [options.changedFiles] - Rescan only these files (relative to the workspace) and
+ *   take the others from the cache. Without it, every file is scanned.
+ * @param {boolean} [options.listDynamicKeys=true] - Log the keys that cannot be resolved statically. The
+ *   `check` command lists them itself, after its results.
+ * @returns {{ keys: string[], usages: Map<string, object[]>, dynamicKeys: object[], invalidKeys: object[],
+ *   files: Map<string, object> }} A sorted array of unique translation keys found in the project, a Map of
+ *   each key to its usages (`{ file, line, column, snippet }`, with `file` relative to the workspace), the
+ *   keys that could not be resolved statically, with their file and position, the keys that are no valid
+ *   key path (see `isValidKeyPath`, e.g. `t('Are you sure.')`) as `{ file, line, column, key }`, which are
+ *   left out of the keys, and for every scanned file the `keys` and `dynamicKeys` it uses and the scanned
+ *   files it `imports`.
+ */
+function scanForKeys({
+	cache = new Map(),
+	changedFiles,
+	listDynamicKeys = true
+} = {}) {
+	log(`\n🔍 Scanning for translation calls in: ${config.workspaceDir}`);
+	const usages = new Map(); // Key -> usages; its keys are the unique keys found.
+	const dynamicKeys = [];
+	const invalidKeys = [];
+	const fileResults = new Map();
+	// Find all relevant source files (JS, JSX, TS, TSX) in the workspace, ignoring specified patterns.
+	const files = globSync('**/*.{js,jsx,ts,tsx}', {
+		cwd: config.workspaceDir,
+		ignore: config.ignore
+	}).sort();
+	const rescanned = changedFiles
+		? files.filter((file) => changedFiles.has(file) || !cache.has(file))
+		: files;
+	log(
+		changedFiles
+			? `...rescanning ${rescanned.length} of ${files.length} files.`
+			: `...found ${files.length} files to scan.`
+	);
+	for (const file of rescanned) {
+		const result = scanSourceFile(file);
+		if (result) cache.set(file, result);
+		else cache.delete(file);
+	}
+	// Forget deleted (or now ignored) files.
+	const fileSet = new Set(files);
+	for (const file of cache.keys()) {
+		if (!fileSet.has(file)) cache.delete(file);
+	}
+
+	for (const file of files) {
+		const result = cache.get(file);
+		if (!result) continue;
+		const fileKeys = new Set();
+		for (const { key, line, column, snippet } of result.keys) {
+			if (!isValidKeyPath(key)) {
+				invalidKeys.push({ file, line, column, key });
+				continue;
+			}
+			if (!usages.has(key)) usages.set(key, []);
+			usages.get(key).push({ file, line, column, snippet });
+			fileKeys.add(key);
+		}
+		dynamicKeys.push(...result.dynamicKeys);
+		fileResults.set(file, {
+			keys: [...fileKeys].sort(),
+			dynamicKeys: result.dynamicKeys,
+			imports: result.imports
+				.map((specifier) => resolveImport(file, specifier, fileSet))
+				.filter(Boolean)
+		});
+	}
+	if (dynamicKeys.length > 0 && listDynamicKeys) {
+		log(`⚠️  ${dynamicKeys.length} keys cannot be resolved statically:`);
+		for (const { file, line, column, expression, prefix } of dynamicKeys) {
+			log(
+				`   - ${file}:${line}:${column} ${expression}${
+					prefix
+						? ` (keys under "${prefix}" are treated as used)`
+						: ''
+				}`
+			);
+		}
+	}
+	if (invalidKeys.length > 0) {
+		log(
+			`⚠️  ${invalidKeys.length} keys are not valid key paths and are ignored:`
+		);
+		for (const { file, line, column, key } of invalidKeys) {
+			log(
+				`   - ${file}:${line}:${column} ${JSON.stringify(
+					key
+				)} (empty segment or "__proto__")`
+			);
+		}
+	}
+	return {
+		keys: [...usages.keys()].sort(), // Sort keys alphabetically.
+		usages,
+		dynamicKeys,
+		invalidKeys,
+		files: fileResults
+	};
+}
+
+/**
+ * Creates a predicate telling whether a locale key is used by the source code.
+ * Besides the statically known keys, every key under the static prefix of a dynamic key
+ * (e.g. "status." for `` t(`status.${s}`) ``) counts as used, so its translations are not deleted.
+ * Plural variants (`cart.items_one`) are used when their logical key (`cart.items`) is, and keys
+ * matching a `keep` pattern from the config are always treated as used.
+ * @param {{ keys: string[], dynamicKeys: object[] }} scanResult - The result of `scanForKeys`.
+ * @returns {(key: string) => boolean} The predicate.
+ */
+function createUsedKeyMatcher(scanResult) {
+	const keys = new Set(scanResult.keys);
+	const prefixes = scanResult.dynamicKeys
+		.map((d) => d.prefix)
+		.filter(Boolean);
+	const keepPatterns = config.keep.map(compileKeyPattern);
+	return (key) =>
+		keys.has(key) ||
+		keys.has(getPluralBaseKey(key)) ||
+		prefixes.some((p) => key.startsWith(p)) ||
+		keepPatterns.some((re) => re.test(key));
+}
+
+/**
+ * Generates a TypeScript interface file (`types.ts`) based on the scanned translation keys.
+ * This file provides type safety for translation keys in the application.
+ * @param {string[]} sortedKeys - A sorted array of unique translation keys.
+ * @returns {Promise<boolean>} Whether the file was written (false if it was up to date).
+ */
+async function generateTypesFile(sortedKeys) {
+	log(`\n📝 Generating TypeScript types from ${sortedKeys.length} keys...`);
+	const tsStructure = {};
+	// Build a nested object structure from the dot-separated keys, with 'string' as leaf values.
+	for (const key of sortedKeys) {
+		deepSet(tsStructure, key.split('.'), 'string');
+	}
+
+	/**
+	 * Recursively formats a JavaScript object into a TypeScript interface string.
+	 * @param {object} obj - The object representing the interface structure.
+	 * @param {number} indentLevel - Current indentation level.
+	 * @returns {string} The formatted TypeScript interface string.
+	 */
+	function formatToTsInterface(obj, indentLevel = 1) {
+		const indent = '\t'.repeat(indentLevel);
+		let result = '';
+		for (const [key, value] of Object.entries(obj)) {
+			// Format key: enclose in quotes if not a valid identifier (e.g., 'my-key').
+			const formattedKey = formatTsKey(key);
+			if (typeof value === 'object' && value !== null) {
+				// If value is an object, recursively format as a nested interface.
+				result += `${indent}${formattedKey}: {\n${formatToTsInterface(
+					value,
+					indentLevel + 1
+				)}${indent}};\n`;
+			} else {
+				// Otherwise, it's a string literal (the translation value).
+				result += `${indent}${formattedKey}: ${value};\n`;
+			}
+		}
+		return result;
+	}
+
+	const tsInterfaceBody = formatToTsInterface(tsStructure);
+
+	// Map every key to the parameters its source-locale text expects. Plural variants
+	// (`_one`, `_other`, ...) are collapsed into their logical key with a `count` parameter.
+	const sourceData = await readLocaleFile(config.sourceLocale);
+	const paramsBody = sortedKeys
+		.map((key) => {
+			const params = Object.entries(getKeyParams(sourceData, key));
+			const paramsType =
+				params.length === 0
+					? 'Record<string, never>'
+					: `{ ${params
+							.map(
+								([name, type]) =>
+									`${formatTsKey(name)}: ${type}`
+							)
+							.join('; ')} }`;
+			return `\t${formatTsKey(key, true)}: ${paramsType};\n`;
+		})
+		.join('');
+
+	// Assemble the final TypeScript file content.
+	const tsFileContent = `export interface LocaleStructure {\n${tsInterfaceBody}}
+
+/** The parameters of each translation key, derived from the ${config.sourceLocale} texts. */
+export interface TranslationParams {\n${paramsBody}}
+
+export type TranslationKey = keyof TranslationParams;
+
+type KeysWithoutParams = {
+\t[K in TranslationKey]: TranslationParams[K] extends Record<string, never> ? K : never;
+}[TranslationKey];
+type KeysWithParams = Exclude<TranslationKey, KeysWithoutParams>;
+
+/** A translate function that rejects unknown keys and missing or extra parameters. */
+export interface TypedTranslate {
+\t<K extends KeysWithoutParams>(key: K): string;
+\t<K extends KeysWithParams>(key: K, params: TranslationParams[K]): string;
+}
+`;
+	// Write the content to the types.ts file, unless it is up to date (which keeps watchers quiet).
+	const current = await fs
+		.readFile(config.typesFile, 'utf-8')
+		.catch(() => null);
+	if (current === tsFileContent) {
+		log(`✅ TypeScript types file is up to date: ${config.typesFile}`);
+		return false;
+	}
+	await fs.writeFile(config.typesFile, tsFileContent, 'utf-8');
+	log(`✅ Generated TypeScript types file: ${config.typesFile}`);
+	return true;
+}
+
+// --- PSEUDO-LOCALIZATION ---
+// Pseudo-locales (`pseudoLocales`) are generated from the source locale along with the types: every text
+// gets accented letters, extra length and brackets (and optionally right-to-left mirroring), so that
+// hardcoded strings, truncation and layout problems show up before real translations arrive. They are
+// not part of `locales`, so cleanup, validation and the web UI never treat them as translations.
+
+// The options of a pseudo-locale that are not configured.
+const PSEUDO_LOCALE_DEFAULTS = {
+	accents: true, // Replace letters with accented ones ("Settings" → "Šéţţîñĝš").
+	expansion: 0.35, // Lengthen every text by this fraction, as translations often are.
+	brackets: true, // Wrap every text in "[" and "]", to show where it is cut off.
+	mirror: false // Show the text right to left, like Android's "ar-XB".
+};
+const PSEUDO_ACCENTS = {
+	a: 'á',
+	b: 'ƀ',
+	c: 'ç',
+	d: 'ð',
+	e: 'é',
+	f: 'ƒ',
+	g: 'ĝ',
+	h: 'ĥ',
+	i: 'î',
+	j: 'ĵ',
+	k: 'ķ',
+	l: 'ļ',
+	m: 'ɱ',
+	n: 'ñ',
+	o: 'ö',
+	p: 'þ',
+	q: 'ǫ',
+	r: 'ŕ',
+	s: 'š',
+	t: 'ţ',
+	u: 'û',
+	v: 'ṽ',
+	w: 'ŵ',
+	x: 'ẋ',
+	y: 'ý',
+	z: 'ž',
+	A: 'Å',
+	B: 'Ɓ',
+	C: 'Ç',
+	D: 'Ð',
+	E: 'É',
+	F: 'Ƒ',
+	G: 'Ĝ',
+	H: 'Ĥ',
+	I: 'Î',
+	J: 'Ĵ',
+	K: 'Ķ',
+	L: 'Ļ',
+	M: 'Ṁ',
+	N: 'Ñ',
+	O: 'Ö',
+	P: 'Þ',
+	Q: 'Ǫ',
+	R: 'Ŕ',
+	S: 'Š',
+	T: 'Ţ',
+	U: 'Û',
+	V: 'Ṽ',
+	W: 'Ŵ',
+	X: 'Ẋ',
+	Y: 'Ý',
+	Z: 'Ž'
+};
+// Parts of a text that are not translated: i18next nesting (`$t(key)`), HTML/JSX tags, HTML entities and
+// printf-style placeholders of the Apple and Android formats (`%s`, `%1$@`, `%d`).
+const PSEUDO_PROTECTED_REGEX =
+	/^(?:\$t\([^)]*\)|<\/?[A-Za-z0-9][\w.-]*(?:\s[^<>]*?)?\/?>|&(?:#\d+|#x[\da-fA-F]+|\w+);|%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?(?:ll|l|h)?[@%a-zA-Z])/;
+
+/**
+ * Splits a translation message into its text and the parts that must be kept as they are: placeholders
+ * (`{{name}}`, ICU arguments and the structure of `plural` and `select`, where the texts of the options are
+ * text again), quoted ICU literals and the parts matching `PSEUDO_PROTECTED_REGEX`. Follows the syntax of
+ * `parseMessage`, but keeps the original characters so the parts can be put back together.
+ * @param {string} message - The translation text.
+ * @returns {{ text: boolean, value: string }[]} The parts in order; `text` is true for translatable text.
+ */
+function splitMessageText(message) {
+	const parts = [];
+	let pos = 0;
+	const push = (value, text) => {
+		if (!value) return;
+		const last = parts[parts.length - 1];
+		if (last && last.text === text) last.value += value;
+		else parts.push({ text, value });
+	};
+	const keepUntil = (end) => {
+		push(message.slice(pos, end), false);
+		pos = end;
+	};
+	const readArgument = (inPlural) => {
+		const header = /^\{\s*[^\s,{}]+\s*(?:,\s*([^\s,{}]+)\s*)?/.exec(
+			message.slice(pos)
+		);
+		const format = header && header[1];
+		if (
+			!['plural', 'selectordinal', 'select'].includes(format) ||
+			message[pos + header[0].length] !== ','
+		) {
+			const end = message.indexOf('}', pos);
+			keepUntil(end === -1 ? message.length : end + 1);
+			return;
+		}
+		keepUntil(pos + header[0].length + 1);
+		for (;;) {
+			// The selectors (and `offset:`) up to the option's text.
+			keepUntil(pos + /^[^{}]*/.exec(message.slice(pos))[0].length);
+			if (message[pos] !== '{') break;
+			keepUntil(pos + 1);
+			readNodes(format !== 'select' || inPlural, 1);
+			if (message[pos] === '}') keepUntil(pos + 1);
+		}
+		if (message[pos] === '}') keepUntil(pos + 1);
+	};
+	const readNodes = (inPlural, depth) => {
+		while (pos < message.length) {
+			const ch = message[pos];
+			const next = message[pos + 1];
+			const protectedMatch = PSEUDO_PROTECTED_REGEX.exec(
+				message.slice(pos)
+			);
+			if (ch === "'" && next === "'") keepUntil(pos + 2);
+			else if (
+				ch === "'" &&
+				(next === '{' || next === '}' || (inPlural && next === '#'))
+			) {
+				const end = message.indexOf("'", pos + 1);
+				keepUntil(end === -1 ? message.length : end + 1);
+			} else if (ch === '{' && next === '{') {
+				const end = message.indexOf('}}', pos);
+				keepUntil(end === -1 ? message.length : end + 2);
+			} else if (ch === '{') readArgument(inPlural);
+			else if (ch === '}') {
+				if (depth > 0) return;
+				keepUntil(pos + 1);
+			} else if (ch === '#' && inPlural) keepUntil(pos + 1);
+			else if (protectedMatch) keepUntil(pos + protectedMatch[0].length);
+			else {
+				push(ch, true);
+				pos++;
+			}
+		}
+	};
+	readNodes(false, 0);
+	return parts;
+}
+
+/**
+ * Pseudo-localizes a translation message, keeping its placeholders and markup intact.
+ * @param {string} message - The source text.
+ * @param {object} [options=PSEUDO_LOCALE_DEFAULTS] - The options of the pseudo-locale.
+ * @returns {string} The pseudo-localized text, e.g. "[Ĥéļļö {{name}} one two]" for "Hello {{name}}".
+ */
+function pseudoLocalize(message, options = PSEUDO_LOCALE_DEFAULTS) {
+	const { accents, expansion, brackets, mirror } = options;
+	const parts = splitMessageText(message);
+	const textLength = parts
+		.filter((part) => part.text)
+		.reduce((sum, part) => sum + part.value.trim().length, 0);
+	if (textLength === 0) return message;
+	// Padding words rather than repeated letters, so the extra length wraps like real text.
+	const words = ' one two three four five six seven eight nine ten';
+	const length = Math.ceil(textLength * expansion);
+	parts.push({
+		text: true,
+		value: words
+			.repeat(Math.ceil(length / words.length))
+			.slice(0, length)
+			.trimEnd()
+	});
+	const result = parts
+		.map(({ text, value }) => {
+			if (!text) return value;
+			let pseudo = accents
+				? value.replace(/[A-Za-z]/g, (ch) => PSEUDO_ACCENTS[ch])
+				: value;
+			// A right-to-left override (U+202E … U+202C) around every word, and a right-to-left mark (U+200F)
+			// around the whole text below.
+			if (mirror) pseudo = pseudo.replace(/\S+/g, '\u202E$&\u202C');
+			return pseudo;
+		})
+		.join('');
+	const bracketed = brackets ? `[${result}]` : result;
+	return mirror ? `\u200F${bracketed}\u200F` : bracketed;
+}
+
+/**
+ * Copies nested locale data with every string value replaced.
+ * @param {*} value - The data (or a value in it).
+ * @param {(text: string) => string} fn - Replaces a string.
+ * @returns {*} The copy.
+ */
+function mapLocaleStrings(value, fn) {
+	if (typeof value === 'string') return fn(value);
+	if (!value || typeof value !== 'object') return value;
+	return Object.fromEntries(
+		Object.entries(value).map(([key, child]) => [
+			key,
+			mapLocaleStrings(child, fn)
+		])
+	);
+}
+
+/**
+ * Writes the configured pseudo-locales, generated from the source locale, next to the locale files. Files
+ * that are up to date are left alone.
+ * @returns {Promise<{ locale: string, file: string }[]>} The pseudo-locales and their file (or, in the
+ *   namespaced layout, directory).
+ */
+async function generatePseudoLocales() {
+	const pseudoLocales = Object.entries(config.pseudoLocales);
+	if (pseudoLocales.length === 0) return [];
+	const sourceData = await readLocaleFile(config.sourceLocale);
+	const written = [];
+	for (const [locale, options] of pseudoLocales) {
+		const resolved = { ...PSEUDO_LOCALE_DEFAULTS, ...options };
+		await writeLocaleFile(
+			locale,
+			mapLocaleStrings(sourceData, (text) =>
+				pseudoLocalize(text, resolved)
+			)
+		);
+		written.push({ locale, file: getLocaleFilePath(locale) });
+	}
+	log(
+		`🧪 Generated pseudo-locales from "${config.sourceLocale}": ${written
+			.map(({ locale }) => locale)
+			.join(', ')}`
+	);
+	return written;
+}
+
+// --- CORE LOGIC: STEP 2 - CLEANUP ---
+// This step removes any translation keys from the locale files that are no longer
+// found in the application's source code (as determined by `scanForKeys`).
+// Removed entries are moved to a trash file so that they can be restored later.
+
+/**
+ * Returns the path of the trash file holding removed translations.
+ * @returns {string} The absolute file path.
+ */
+function getTrashFilePath() {
+	return path.join(config.stateDir, 'trash.json');
+}
+
+/**
+ * Reads the trash file.
+ * @returns {Promise<object[]>} The trashed entries as `{ removedAt, locale, key, value }`.
+ */
+async function readTrash() {
+	try {
+		return JSON.parse(await fs.readFile(getTrashFilePath(), 'utf-8'));
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw error;
+	}
+}
+
+/**
+ * Overwrites the trash file with the given entries.
+ * @param {object[]} entries - The trashed entries.
+ */
+async function writeTrash(entries) {
+	await fs.mkdir(config.stateDir, { recursive: true });
+	await fs.writeFile(
+		getTrashFilePath(),
+		JSON.stringify(entries, null, '\t'),
+		'utf-8'
+	);
+}
+
+/**
+ * Cleans up locale files by removing translation keys that are no longer used
+ * in the application's source code. Removed entries are appended to the trash file.
+ * @param {{ keys: string[], dynamicKeys: object[] }} scanResult - The result of `scanForKeys`.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only print what would be removed, without writing any file.
+ * @param {boolean} [options.overrides=false] - Also remove the values of locales with a fallback that equal
+ *   the value they inherit anyway (see `findRedundantOverrides`). Otherwise they are only reported.
+ * @returns {Promise<object>} A map of locale code to the removed entries (`{ key, value }`).
+ */
+async function cleanupLocaleFiles(
+	scanResult,
+	{ dryRun = false, overrides = false } = {}
+) {
+	log(
+		`\n🧹 Cleaning up unused keys from locale files...${
+			dryRun ? ' (dry run, no files will be changed)' : ''
+		}`
+	);
+	const isUsed = createUsedKeyMatcher(scanResult);
+	const removed = {};
+	const removedAt = new Date().toISOString();
+	const trashed = [];
+	const redundant = findRedundantOverrides(await loadLocaleData());
+	const describeRemoved = (count, overrideCount) =>
+		[
+			count > overrideCount ? `${count - overrideCount} unused keys` : '',
+			overrideCount > 0 ? `${overrideCount} redundant overrides` : ''
+		]
+			.filter(Boolean)
+			.join(' and ');
+	let totalRemoved = 0;
+	let totalOverrides = 0;
+
+	// Iterate over each supported locale.
+	for (const locale of config.locales) {
+		const filePath = getLocaleFilePath(locale);
+		try {
+			const data = await readLocaleFile(locale);
+			const removedEntries = [];
+
+			/**
+			 * Recursively traverses the locale data object and removes unused keys.
+			 * @param {object} obj - The current object being traversed.
+			 * @param {string[]} path - The current path (array of keys) to the object.
+			 */
+			function traverseAndClean(obj, path = []) {
+				for (const key in obj) {
+					if (Object.prototype.hasOwnProperty.call(obj, key)) {
+						const currentPath = [...path, key]; // Build the full key path.
+						if (typeof obj[key] === 'object' && obj[key] !== null) {
+							// If it's a nested object, recurse.
+							traverseAndClean(obj[key], currentPath);
+							// After cleaning children, if the object is empty, delete it.
+							if (Object.keys(obj[key]).length === 0) {
+								delete obj[key];
+							}
+						} else if (!isUsed(currentPath.join('.'))) {
+							// If the key is not in the set of valid keys, delete it.
+							removedEntries.push({
+								key: currentPath.join('.'),
+								value: obj[key]
+							});
+							delete obj[key];
+						}
+					}
+				}
+			}
+
+			traverseAndClean(data); // Start cleaning from the root of the locale data.
+			// Overrides are only removed on request: a variant may keep a text on purpose, e.g. before its
+			// parent locale changes.
+			let overrideCount = 0;
+			if (overrides) {
+				for (const entry of redundant) {
+					if (
+						entry.locale !== locale ||
+						!deleteValue(data, entry.key)
+					)
+						continue;
+					removedEntries.push({ key: entry.key, value: entry.value });
+					overrideCount++;
+				}
+			}
+			removed[locale] = removedEntries;
+			if (removedEntries.length === 0) continue;
+			totalRemoved += removedEntries.length;
+			totalOverrides += overrideCount;
+			if (dryRun) {
+				// Print a diff of the entries that would be removed.
+				log(`   ${path.relative(config.localesDir, filePath)}`);
+				for (const { key, value } of removedEntries) {
+					log(`     - ${key}: ${JSON.stringify(value)}`);
+				}
+				continue;
+			}
+			// If keys were removed, write the updated data back to the file.
+			await writeLocaleFile(locale, data);
+			trashed.push(
+				...removedEntries.map((entry) => ({
+					removedAt,
+					locale,
+					...entry
+				}))
+			);
+			log(
+				`   - Removed ${describeRemoved(
+					removedEntries.length,
+					overrideCount
+				)} from ${path.relative(config.localesDir, filePath)}`
+			);
+		} catch (error) {
+			console.error(`⚠️ Could not clean ${filePath}:`, error.message);
+		}
+	}
+	if (totalRemoved === 0)
+		log('   - No unused keys found. All files are clean.');
+	else if (dryRun)
+		log(
+			`   - ${describeRemoved(
+				totalRemoved,
+				totalOverrides
+			)} would be removed.`
+		);
+	if (!overrides && redundant.length > 0)
+		log(
+			`   - ${redundant.length} values of ${[
+				...new Set(redundant.map((entry) => entry.locale))
+			].join(
+				', '
+			)} equal the value they inherit; run "clean --overrides" to remove them.`
+		);
+	if (trashed.length > 0) {
+		await writeTrash([...(await readTrash()), ...trashed]);
+		log(
+			`   - Removed entries were saved to ${getTrashFilePath()} (use "restore" to undo).`
+		);
+	}
+	return removed;
+}
+
+/**
+ * Puts trashed entries back into the locale files and removes them from the trash.
+ * When a key was removed several times, its most recent value is restored.
+ * @param {object} [options]
+ * @param {string[]} [options.patterns=[]] - Key patterns to restore (see `compileKeyPattern`); all entries if empty.
+ * @param {string[]} [options.locales] - Only restore entries of these locales.
+ * @param {boolean} [options.force=false] - Overwrite keys that have a value again in the meantime.
+ * @param {boolean} [options.dryRun=false] - Only report what would be restored.
+ * @returns {Promise<{ restored: object[], skipped: object[] }>} The restored entries and the entries skipped
+ *   because the key has a value again.
+ */
+async function restoreFromTrash({
+	patterns = [],
+	locales,
+	force = false,
+	dryRun = false
+} = {}) {
+	const trash = await readTrash();
+	const matchers = patterns.map(compileKeyPattern);
+	const isSelected = (entry) =>
+		config.locales.includes(entry.locale) &&
+		(!locales || locales.includes(entry.locale)) &&
+		(matchers.length === 0 || matchers.some((re) => re.test(entry.key)));
+	// Newest entries first, so that the latest removed value of a key wins.
+	const selected = trash
+		.filter(isSelected)
+		.sort((a, b) => b.removedAt.localeCompare(a.removedAt));
+
+	const restored = [];
+	const skipped = [];
+	const handled = new Set(); // "locale|key" pairs already restored or skipped.
+	const localeData = {};
+	for (const entry of selected) {
+		const id = `${entry.locale}|${entry.key}`;
+		if (handled.has(id)) continue;
+		handled.add(id);
+		if (!localeData[entry.locale])
+			localeData[entry.locale] = await readLocaleFile(entry.locale);
+		const data = localeData[entry.locale];
+		if (getValue(data, entry.key) !== undefined && !force) {
+			skipped.push(entry);
+			continue;
+		}
+		setValue(data, entry.key, entry.value);
+		restored.push(entry);
+	}
+
+	if (!dryRun && restored.length > 0) {
+		const restoredLocales = new Set(restored.map((e) => e.locale));
+		for (const locale of restoredLocales) {
+			await writeLocaleFile(locale, localeData[locale]);
+		}
+		// Drop every trashed copy of the restored keys, including older ones.
+		const restoredIds = new Set(
+			restored.map((e) => `${e.locale}|${e.key}`)
+		);
+		await writeTrash(
+			trash.filter((e) => !restoredIds.has(`${e.locale}|${e.key}`))
+		);
+	}
+	return { restored, skipped };
+}
+
+/**
+ * Checks whether moving a value to a key path would overwrite something: a value at the path itself,
+ * or a translation on the way to it (`common.title` for `common.title.short`).
+ * @param {object} data - The nested translation data of one locale.
+ * @param {string} keyPath - The dot-separated key path.
+ * @returns {boolean} True if the path is taken.
+ */
+function isKeyPathTaken(data, keyPath) {
+	if (getValue(data, keyPath) !== undefined) return true;
+	const segments = keyPath.split('.');
+	return segments.slice(1).some((_, i) => {
+		const value = getValue(data, segments.slice(0, i + 1).join('.'));
+		return (
+			value !== undefined && (value === null || typeof value !== 'object')
+		);
+	});
+}
+
+/**
+ * Moves a key (with its nested keys and plural variants) to another path in every locale, e.g. from
+ * one namespace to another. In the namespaced layout the target namespace file is created if needed.
+ * If the new path is taken in any locale, nothing is moved unless `force` is set, so that a key is
+ * never left split between two paths.
+ * @param {string} from - The current key path.
+ * @param {string} to - The new key path.
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Overwrite values that already exist at or above the new path.
+ * @param {boolean} [options.dryRun=false] - Only report what would be moved.
+ * @returns {Promise<{ moved: object[], conflicts: object[] }>} The moved entries, and the entries whose
+ *   new path is taken (`{ locale, from, to }`); if there are any, `moved` is empty.
+ * @throws {ConfigError} If the paths are invalid or the key does not exist in any locale.
+ */
+async function moveKeys(from, to, { force = false, dryRun = false } = {}) {
+	if (!isValidKeyPath(from) || !isValidKeyPath(to))
+		throw new ConfigError(
+			'Pass the current and the new key path, e.g. "move common.cta checkout.cta".'
+		);
+	if (from === to || to.startsWith(`${from}.`))
+		throw new ConfigError(`Cannot move "${from}" into itself.`);
+	// Plan the move in every locale first; nothing is written while the new path is taken anywhere.
+	const plans = [];
+	const conflicts = [];
+	for (const locale of config.locales) {
+		const data = await readLocaleFile(locale);
+		// The key itself, or the plural variants of a logical key (`items_one` -> `basket_one`).
+		const pairs =
+			getValue(data, from) !== undefined
+				? [[from, to]]
+				: Object.keys(getPluralVariants(data, from)).map((suffix) => [
+						`${from}_${suffix}`,
+						`${to}_${suffix}`
+				  ]);
+		const entries = pairs.map(([fromKey, toKey]) => ({
+			locale,
+			from: fromKey,
+			to: toKey
+		}));
+		if (entries.length === 0) continue;
+		conflicts.push(...entries.filter((e) => isKeyPathTaken(data, e.to)));
+		plans.push({ locale, data, entries });
+	}
+	if (plans.length === 0)
+		throw new ConfigError(
+			`The key "${from}" does not exist in any locale.`
+		);
+	if (conflicts.length > 0 && !force) return { moved: [], conflicts };
+	const moved = [];
+	for (const { locale, data, entries } of plans) {
+		for (const entry of entries) {
+			const value = getValue(data, entry.from);
+			deleteValue(data, entry.from);
+			setValue(data, entry.to, value);
+			moved.push(entry);
+		}
+		if (!dryRun) await writeLocaleFile(locale, data);
+	}
+	if (!dryRun) await updateTranslationLock(await loadLocaleData(), { moved });
+	return { moved, conflicts: [] };
+}
+
+/**
+ * Finds keys that exist in the locale files but are not used in the source code.
+ * This is the read-only counterpart of `cleanupLocaleFiles`, used by the `check` command.
+ * @param {{ keys: string[], dynamicKeys: object[] }} scanResult - The result of `scanForKeys`.
+ * @param {object} localeData - A map of locale code to nested translation data.
+ * @returns {Map<string, string[]>} A Map of unused key paths to the locales that contain them.
+ */
+function findUnusedKeys(scanResult, localeData) {
+	const isUsed = createUsedKeyMatcher(scanResult);
+	const unusedKeys = new Map();
+	for (const locale of config.locales) {
+		for (const key of collectLeafKeys(localeData[locale])) {
+			if (isUsed(key)) continue;
+			if (!unusedKeys.has(key)) unusedKeys.set(key, []);
+			unusedKeys.get(key).push(locale);
+		}
+	}
+	return unusedKeys;
+}
+
+// --- CORE LOGIC: STEP 3 - SYNC (Web UI) ---
+// This step identifies missing translations across locale files compared to the generated types,
+// and then launches a local web server with an interactive UI to facilitate adding these translations.
+
+/**
+ * Determines which of the given keys are missing in at least one locale. Keys that a locale inherits
+ * from its fallback locales do not count as missing.
+ * @param {Iterable<string>} keys - The translation keys that every locale should contain.
+ * @param {object} localeData - A map of locale code to nested translation data.
+ * @returns {Map<string, object>} A Map where keys are translation key paths (e.g., "common.greeting")
+ *   and values are objects containing the current translation status for each locale (e.g., { en: "Hello", de: undefined }).
+ */
+function findMissingKeys(keys, localeData) {
+	const missingKeys = new Map(); // Map to store keys that are missing in any locale.
+	for (const key of keys) {
+		// Check if this key exists in ALL locale files (directly, as plural variants or inherited).
+		if (
+			!config.locales.every((locale) =>
+				hasTranslation(localeData, locale, key)
+			)
+		) {
+			// If the key is missing in at least one locale, record its status across all locales.
+			const values = {};
+			for (const locale of config.locales) {
+				values[locale] = getTranslation(localeData[locale], key);
+			}
+			missingKeys.set(key, values);
+		}
+	}
+	return missingKeys;
+}
+
+/**
+ * Compares the keys in the generated `types.ts` file with existing keys in locale files
+ * to identify which translation keys are missing in which locales.
+ * @param {object} [revisions] - Receives the revisions of the locale files read (see `loadLocaleData`).
+ * @returns {Promise<Map<string, object>>} See `findMissingKeys`.
+ */
+async function getMissingKeys(revisions) {
+	// Read the content of the TypeScript types file to get the definitive list of all keys.
+	const typeContent = await fs.readFile(config.typesFile, 'utf-8');
+	const localeData = await loadLocaleData(revisions); // Load content of all locale files into memory.
+	return findMissingKeys(getTypeKeys(typeContent), localeData);
+}
+
+/**
+ * Tells why a translation cannot be written at a key path of a locale: the key is a group of keys, or a
+ * parent of the key is a translation. `setValue` would silently replace either.
+ * @param {object} data - The data of the locale.
+ * @param {string} key - The key path.
+ * @returns {string|null} The reason, or null if the key holds (or can hold) a translation.
+ */
+function getKeyPathConflict(data, key) {
+	const current = getValue(data, key);
+	if (current !== null && typeof current === 'object')
+		return `"${key}" is a group of keys, not a translation.`;
+	const segments = key.split('.');
+	for (let i = 1; i < segments.length; i++) {
+		const parent = segments.slice(0, i).join('.');
+		if (typeof getValue(data, parent) === 'string')
+			return `"${parent}" is a translation, so it cannot contain "${key}".`;
+	}
+	return null;
+}
+
+/**
+ * Checks the shape of the translation changes sent by the editor. With the locale data, also checks that
+ * no value replaces a group of keys or goes below a translation (see `getKeyPathConflict`), also among
+ * the changes. Empty values still remove whole groups.
+ * @param {*} changes - The `changes` of a save request.
+ * @param {object} [localeData] - The current data of all locales.
+ * @returns {string|null} What is wrong with them, or null if they are usable.
+ */
+function getInvalidChange(changes, localeData) {
+	if (!Array.isArray(changes)) return '`changes` must be an array.';
+	for (const change of changes) {
+		const { key, locale, value } = change || {};
+		if (!isValidKeyPath(key) || typeof value !== 'string')
+			return `Invalid change: ${JSON.stringify(change)}`;
+		if (!config.locales.includes(locale))
+			return `Unknown locale "${locale}" for "${key}".`;
+		const conflict =
+			localeData && value && getKeyPathConflict(localeData[locale], key);
+		if (conflict) return `Cannot change "${key}" in ${locale}: ${conflict}`;
+		const nested = changes.find(
+			(other) =>
+				other &&
+				other.locale === locale &&
+				other.value &&
+				value &&
+				typeof other.key === 'string' &&
+				other.key.startsWith(`${key}.`)
+		);
+		if (nested)
+			return `"${key}" and "${nested.key}" cannot both be translations in ${locale}.`;
+	}
+	return null;
+}
+
+/**
+ * Applies translation changes to the locale data and validates the changed translations against their
+ * (possibly also changed) source texts. An empty value removes the translation.
+ * @param {object} localeData - The data of all locales, modified in place.
+ * @param {{ key: string, locale: string, value: string }[]} changes - The changed cells.
+ * @returns {object[]} The validation errors (`{ key, locale, ...issue }`).
+ */
+function applyTranslationChanges(localeData, changes) {
+	for (const { key, locale, value } of changes) {
+		if (value === '') deleteValue(localeData[locale], key);
+		else setValue(localeData[locale], key, value);
+	}
+	const errors = [];
+	for (const { key, locale, value } of changes) {
+		const source = getTranslation(localeData[config.sourceLocale], key);
+		if (
+			locale === config.sourceLocale ||
+			!value ||
+			typeof source !== 'string'
+		)
+			continue;
+		validateTranslation(source, value, locale)
+			.filter((issue) => issue.severity === 'error')
+			.forEach((issue) => errors.push({ key, locale, ...issue }));
+	}
+	return errors;
+}
+
+/**
+ * Reads the options of a save request: `force` (save despite validation errors), `overwrite` (save over
+ * conflicting changes made on disk), `revisions` (of the locale files the changes are based on) and
+ * `reviewed` (outdated translations that are still correct).
+ * @param {object} [body] - The request body.
+ * @param {string} [source='api'] - What saved the changes, for the save log.
+ * @returns {object} The options for `saveTranslationChanges`.
+ * @throws {ConfigError} If `revisions` is not a map of file names to revisions, or `reviewed` is not a
+ *   list of translations.
+ */
+function getSaveOptions(body, source = 'api') {
+	const { force, overwrite, revisions, reviewed = [] } = body || {};
+	if (
+		!Array.isArray(reviewed) ||
+		!reviewed.every(
+			(entry) =>
+				entry &&
+				isValidKeyPath(entry.key) &&
+				config.locales.includes(entry.locale)
+		)
+	)
+		throw new ConfigError(
+			'`reviewed` must be an array of `{ key, locale }` translations.'
+		);
+	if (
+		revisions !== undefined &&
+		(!revisions ||
+			typeof revisions !== 'object' ||
+			Array.isArray(revisions) ||
+			!Object.values(revisions).every((r) => typeof r === 'string'))
+	)
+		throw new ConfigError('`revisions` must map file names to revisions.');
+	return {
+		force: Boolean(force),
+		overwrite: Boolean(overwrite),
+		revisions,
+		reviewed,
+		source
+	};
+}
+
+let localeWriteQueue = Promise.resolve(); // The tail of the tasks run by `runExclusive`.
+
+/**
+ * Runs the tasks that write locale files one after another, so that concurrent saves from several
+ * browsers (or the API) cannot overwrite each other's changes with data they read before.
+ * @param {() => Promise<*>} task - The task.
+ * @returns {Promise<*>} The result of the task.
+ */
+function runExclusive(task) {
+	const result = localeWriteQueue.then(task);
+	localeWriteQueue = result.catch(() => {});
+	return result;
+}
+
+/**
+ * Finds the changes that conflict with changes made on disk since the revisions they are based on. A file
+ * that changed on disk is merged with the changes (three-way, per key): a change only conflicts if the same
+ * key changed on disk too, to a different value. When the content of the base revision is no longer known,
+ * a change conflicts if the key has a different value on disk.
+ * @param {object[]} changes - The changes, as `{ key, locale, value }`.
+ * @param {object} localeData - The current data of all locales.
+ * @param {object} baseRevisions - The revisions the changes are based on, by file. Files not listed are not checked.
+ * @param {object} currentRevisions - The current revisions, by file.
+ * @returns {object[]} The conflicts, as `{ key, locale, file, value, disk }` (`disk` is null if the key was removed).
+ */
+function findSaveConflicts(
+	changes,
+	localeData,
+	baseRevisions,
+	currentRevisions
+) {
+	const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+	const conflicts = [];
+	for (const { key, locale, value } of changes) {
+		const file = getKeyFileLabel(locale, key);
+		const base = baseRevisions[file];
+		if (base === undefined || base === currentRevisions[file]) continue;
+		const disk = getValue(localeData[locale], key);
+		if (sameValue(disk, value || undefined)) continue;
+		const snapshot = localeSnapshots.get(base);
+		if (snapshot !== undefined) {
+			const fileKey =
+				config.layout === 'namespaced'
+					? key.slice(key.indexOf('.') + 1)
+					: key;
+			const baseData =
+				LOCALE_FORMATS[config.fileFormat].parse(snapshot).data;
+			if (sameValue(getValue(baseData, fileKey), disk)) continue;
+		} else if (disk === undefined) continue;
+		conflicts.push({
+			key,
+			locale,
+			file,
+			value,
+			disk: disk === undefined ? null : disk
+		});
+	}
+	return conflicts;
+}
+
+/**
+ * Validates and saves translation changes to the locale files, and records them in the save log. Nothing
+ * is written when a change is malformed, when it conflicts with a change made on disk since the page was
+ * loaded (see `findSaveConflicts`), or when a changed translation fails validation and `force` is not set.
+ * @param {*} changes - The changes, as `{ key, locale, value }` (an empty value removes the translation).
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Save despite validation errors.
+ * @param {object} [options.revisions] - The revisions of the locale files the changes are based on, by file
+ *   (see `loadLocaleData`). Without them, no conflicts are detected.
+ * @param {boolean} [options.overwrite=false] - Save over conflicting changes made on disk.
+ * @param {string} [options.source='web'] - What saved the changes, for the save log ("web" or "api").
+ * @param {{ key: string, locale: string }[]} [options.reviewed=[]] - Outdated translations that are still
+ *   correct, which the lock file then bases on the current source texts (see `updateTranslationLock`).
+ * @returns {Promise<{ saved: number, errors: object[], conflicts: object[], revisions: object }>} How many
+ *   changes were saved, the validation errors and conflicts, and the revisions of the files afterwards.
+ * @throws {ConfigError} If a change is malformed, names an unknown locale or would replace a group of keys
+ *   or a translation with nested keys (see `getKeyPathConflict`).
+ */
+async function saveTranslationChanges(
+	changes,
+	{
+		force = false,
+		revisions,
+		overwrite = false,
+		source = 'web',
+		reviewed = []
+	} = {}
+) {
+	const invalid = getInvalidChange(changes);
+	if (invalid) throw new ConfigError(invalid);
+	return runExclusive(async () => {
+		const currentRevisions = {};
+		const localeData = await loadLocaleData(currentRevisions);
+		const clobbering = getInvalidChange(changes, localeData);
+		if (clobbering) throw new ConfigError(clobbering);
+		const conflicts =
+			revisions && !overwrite
+				? findSaveConflicts(
+						changes,
+						localeData,
+						revisions,
+						currentRevisions
+				  )
+				: [];
+		if (conflicts.length > 0)
+			return {
+				saved: 0,
+				errors: [],
+				conflicts,
+				revisions: currentRevisions
+			};
+		const previousValues = changes.map(({ key, locale }) =>
+			getValue(localeData[locale], key)
+		);
+		const errors = applyTranslationChanges(localeData, changes);
+		if (errors.length > 0 && !force)
+			return { saved: 0, errors, conflicts, revisions: currentRevisions };
+		// Write only the locales with changes back to their files (unchanged files are skipped).
+		for (const locale of new Set(changes.map((c) => c.locale))) {
+			await writeLocaleFile(locale, localeData[locale]);
+		}
+		// Translations saved in the web UI are remembered for suggestions (see `getMemorySuggestions`).
+		if (source === 'web')
+			await recordTranslationMemory(changes, localeData);
+		await updateTranslationLock(localeData, {
+			updated: [
+				...changes.filter(
+					({ locale, value }) =>
+						locale !== config.sourceLocale && value
+				),
+				...reviewed
+			]
+		});
+		if (changes.length > 0)
+			await appendSaveLog(
+				source,
+				changes.map(({ key, locale, value }, i) => ({
+					key,
+					locale,
+					before:
+						previousValues[i] === undefined
+							? null
+							: previousValues[i],
+					after: value || null
+				}))
+			);
+		const newRevisions = {};
+		await loadLocaleData(newRevisions);
+		return {
+			saved: changes.length,
+			errors,
+			conflicts,
+			revisions: newRevisions
+		};
+	});
+}
+
+// The save log records the changes of the latest saves from the web UI and the API, so that they can be
+// reviewed and undone.
+const SAVE_LOG_LIMIT = 100;
+
+/**
+ * Returns the path of the save log.
+ * @returns {string} The absolute file path.
+ */
+function getSaveLogFilePath() {
+	return path.join(config.stateDir, 'save-log.json');
+}
+
+/**
+ * Reads the save log.
+ * @returns {Promise<object[]>} The saves, oldest first, as `{ id, savedAt, source, changes, undoneAt,
+ *   undoOf }`, where each change is `{ key, locale, before, after }` (null for no value).
+ */
+async function readSaveLog() {
+	try {
+		return JSON.parse(await fs.readFile(getSaveLogFilePath(), 'utf-8'));
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw error;
+	}
+}
+
+/**
+ * Overwrites the save log with the given saves, keeping the latest `SAVE_LOG_LIMIT`.
+ * @param {object[]} entries - The saves, oldest first.
+ */
+async function writeSaveLog(entries) {
+	await fs.mkdir(config.stateDir, { recursive: true });
+	await writeFileAtomic(
+		getSaveLogFilePath(),
+		JSON.stringify(entries.slice(-SAVE_LOG_LIMIT), null, '\t')
+	);
+}
+
+/**
+ * Appends a save to the save log.
+ * @param {string} source - What saved the changes ("web", "api" or "undo").
+ * @param {object[]} changes - The changes, as `{ key, locale, before, after }`.
+ * @param {object[]} [entries] - The current save log, if already read.
+ * @param {string} [undoOf] - The ID of the save this one undoes.
+ * @returns {Promise<object>} The new entry.
+ */
+async function appendSaveLog(source, changes, entries, undoOf) {
+	const saves = entries || (await readSaveLog());
+	const entry = {
+		id: `${Date.now().toString(36)}-${crypto
+			.randomBytes(3)
+			.toString('hex')}`,
+		savedAt: new Date().toISOString(),
+		source,
+		changes,
+		...(undoOf ? { undoOf } : {})
+	};
+	saves.push(entry);
+	await writeSaveLog(saves);
+	return entry;
+}
+
+/**
+ * Undoes the latest save that was not undone yet (undos themselves are not undone), by setting its keys
+ * back to their previous values. Keys changed again since that save are conflicts, which are only
+ * overwritten with `overwrite`. The undo is recorded in the save log.
+ * @param {{ overwrite?: boolean }} [options] - `overwrite` undoes conflicting keys too.
+ * @returns {Promise<{ save: object|null, undone: number, conflicts: object[] }>} The undone save, how many
+ *   changes were undone, and the conflicts (`{ key, locale, value, disk }`) that prevented it.
+ * @throws {ConfigError} If there is no save to undo.
+ */
+async function undoLastSave({ overwrite = false } = {}) {
+	return runExclusive(async () => {
+		const entries = await readSaveLog();
+		const save = [...entries]
+			.reverse()
+			.find((entry) => !entry.undoneAt && !entry.undoOf);
+		if (!save) throw new ConfigError('There is no save to undo.');
+		const localeData = await loadLocaleData();
+		// The value each key got from the save (its last change, if it was changed twice).
+		const results = new Map(
+			save.changes.map((change) => [
+				`${change.locale}|${change.key}`,
+				change
+			])
+		);
+		const conflicts = [];
+		for (const { key, locale, after } of results.values()) {
+			const disk = getValue(localeData[locale], key);
+			if (
+				JSON.stringify(disk) !==
+				JSON.stringify(after === null ? undefined : after)
+			)
+				conflicts.push({
+					key,
+					locale,
+					value: after,
+					disk: disk === undefined ? null : disk
+				});
+		}
+		if (conflicts.length > 0 && !overwrite)
+			return { save, undone: 0, conflicts };
+		const reverted = [...save.changes].reverse();
+		for (const { key, locale, before } of reverted) {
+			if (before === null) deleteValue(localeData[locale], key);
+			else setValue(localeData[locale], key, before);
+		}
+		for (const locale of new Set(reverted.map((c) => c.locale))) {
+			await writeLocaleFile(locale, localeData[locale]);
+		}
+		await updateTranslationLock(localeData);
+		save.undoneAt = new Date().toISOString();
+		await appendSaveLog(
+			'undo',
+			reverted.map(({ key, locale, before, after }) => ({
+				key,
+				locale,
+				before: after,
+				after: before
+			})),
+			entries,
+			save.id
+		);
+		return { save, undone: save.changes.length, conflicts };
+	});
+}
+
+/**
+ * Lists every key for the editor: the leaf keys of all locales (plural variants separately), plus the
+ * keys used in the source code that no locale has yet.
+ * @param {object} scanResult - The result of `scanForKeys`.
+ * @param {object} localeData - The data of all locales.
+ * @param {object|null} [lock=null] - The lock (see `readTranslationLock`), to find the outdated translations.
+ * @returns {object[]} The rows, sorted by key: `{ key, logicalKey, values, inherited, uses, usage, unused,
+ *   outdated }`, where `inherited` has the `{ value, from }` of each locale that inherits the key from a
+ *   fallback locale (see `getInheritedTranslation`), `usage` is the first source location (with its editor
+ *   link) or null, and `outdated` has the `{ previousSource, source }` of each locale whose translation is
+ *   outdated.
+ */
+function getEditorRows(scanResult, localeData, lock = null) {
+	const isUsed = createUsedKeyMatcher(scanResult);
+	const outdated = groupOutdatedTranslations(
+		findOutdatedTranslations(localeData, lock),
+		localeData
+	);
+	const keys = new Set();
+	for (const locale of config.locales) {
+		collectLeafKeys(localeData[locale]).forEach((key) => keys.add(key));
+	}
+	for (const key of scanResult.keys) {
+		if (
+			config.locales.every(
+				(locale) =>
+					getTranslation(localeData[locale], key) === undefined
+			)
+		)
+			keys.add(key);
+	}
+	return [...keys].sort().map((key) => {
+		const logicalKey = getPluralBaseKey(key) || key;
+		const keyUsages = scanResult.usages.get(logicalKey) || [];
+		const values = {};
+		const inherited = {};
+		for (const locale of config.locales) {
+			const value = getValue(localeData[locale], key);
+			if (typeof value === 'string') values[locale] = value;
+			else {
+				const fallback = getInheritedTranslation(
+					localeData,
+					locale,
+					key
+				);
+				if (fallback) inherited[locale] = fallback;
+			}
+		}
+		return {
+			key,
+			logicalKey,
+			values,
+			inherited,
+			uses: keyUsages.length,
+			usage: keyUsages[0]
+				? {
+						label: `${keyUsages[0].file}:${keyUsages[0].line}`,
+						url: getEditorUrl(keyUsages[0]),
+						snippet: keyUsages[0].snippet
+				  }
+				: null,
+			unused: !isUsed(key),
+			outdated: outdated.has(key) ? outdated.get(key).locales : {}
+		};
+	});
+}
+
+/**
+ * Filters the editor rows for the JSON API, like the filters of the editor page.
+ * @param {object[]} rows - The rows returned by `getEditorRows`.
+ * @param {object} filters - `{ prefix, locale, status, search }`. `status` is "missing", "translated",
+ *   "invalid", "outdated" or "unused"; `locale` limits all but "unused" to one locale.
+ * @returns {object[]} The matching rows, each with the locales it is `missing` in.
+ */
+function filterEditorRows(rows, { prefix, locale, status, search }) {
+	const locales = locale ? [locale] : config.locales;
+	const query = search ? search.toLowerCase() : '';
+	const source = config.sourceLocale;
+	return rows
+		.map((row) => ({
+			...row,
+			missing: config.locales.filter(
+				(l) => !row.values[l] && !row.inherited[l]
+			)
+		}))
+		.filter((row) => {
+			if (
+				prefix &&
+				row.key !== prefix &&
+				!row.key.startsWith(`${prefix}.`)
+			)
+				return false;
+			if (
+				query &&
+				!row.key.toLowerCase().includes(query) &&
+				!Object.values(row.values).some((v) =>
+					v.toLowerCase().includes(query)
+				)
+			)
+				return false;
+			switch (status) {
+				case 'missing':
+					return locales.some((l) => row.missing.includes(l));
+				case 'translated':
+					return !locales.some((l) => row.missing.includes(l));
+				case 'invalid':
+					return locales.some(
+						(l) =>
+							l !== source &&
+							row.values[source] &&
+							row.values[l] &&
+							validateTranslation(
+								row.values[source],
+								row.values[l],
+								l
+							).some((issue) => issue.severity === 'error')
+					);
+				case 'outdated':
+					return locales.some((l) => row.outdated[l]);
+				case 'unused':
+					return row.unused;
+				default:
+					return true;
+			}
+		});
+}
+
+/**
+ * Provides the CSS styles for the web interface.
+ * @returns {string} CSS string.
+ */
+const getPageStyles = () => `
+    :root { --bg-color: #1a1a1a; --text-color: #e0e0e0; --primary-color: #4e9af1; --border-color: #333; --input-bg: #333; --input-missing-border: #f48c06; --header-bg: #2c2c2c; }
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background-color: var(--bg-color); color: var(--text-color); margin: 0; padding: 2rem; }
+    .container { max-width: 1400px; margin: auto; }
+    h1, h2 { color: var(--primary-color); border-bottom: 2px solid var(--primary-color); padding-bottom: 10px; }
+    .message { padding: 1rem; border-radius: 8px; margin-bottom: 1rem; }
+    .message.success { background-color: #2a4; color: #fff; }
+    .message.info { background-color: #246; color: #fff; }
+    .message.warning { background-color: #7a4a00; color: #fff; }
+    .section { background-color: #252525; padding: 1.5rem; border-radius: 8px; margin-top: 2rem; }
+    table { width: 100%; border-collapse: collapse; margin-top: 1rem; font-size: 14px; }
+    th, td { padding: 12px 15px; text-align: left; border-bottom: 1px solid var(--border-color); }
+    th { background-color: var(--header-bg); position: sticky; top: 0; }
+    tr:hover { background-color: #282828; }
+    label { font-family: monospace; }
+    input[type="text"] { width: 95%; padding: 8px; border: 1px solid #555; background-color: var(--input-bg); color: var(--text-color); border-radius: 4px; transition: all 0.2s; }
+    input.missing { border-color: var(--input-missing-border); }
+    input.missing:focus { outline: none; border-color: #f5a133; box-shadow: 0 0 5px #f5a13344; }
+    input.existing { background-color: #222; color: #888; border-color: #444; cursor: not-allowed; }
+    input.inherited { background-color: #222; border-color: #444; border-style: dashed; cursor: default; }
+    button, .button { display: inline-block; background-color: var(--primary-color); color: white; padding: 10px 18px; border: none; border-radius: 5px; cursor: pointer; font-size: 14px; transition: background-color 0.2s; text-decoration: none; margin-right: 10px; }
+    button:hover, .button:hover { background-color: #3a7ac8; }
+    .actions { margin-top: 20px; }
+    textarea { width: 100%; min-height: 150px; background-color: var(--input-bg); color: var(--text-color); border: 1px solid #555; border-radius: 5px; padding: 10px; font-family: monospace; margin-top: 10px; box-sizing: border-box; }
+    input.invalid { border-color: #f66; }
+    .issues { font-size: 12px; margin-top: 4px; }
+    .issues .error { color: #f66; }
+    .issues .warning { color: #f5a133; }
+    .force-save { margin-left: 10px; font-family: inherit; }
+    .usages { font-size: 12px; white-space: nowrap; }
+    .usages summary { cursor: pointer; color: #aaa; }
+    .usages a { display: block; color: var(--primary-color); font-family: monospace; text-decoration: none; margin-top: 4px; }
+    .usages a:hover { text-decoration: underline; }
+    .actions label { font-family: inherit; margin-right: 15px; vertical-align: top; }
+    select { background-color: var(--input-bg); color: var(--text-color); border: 1px solid #555; border-radius: 4px; padding: 6px; margin-left: 5px; }
+    .nav { margin-bottom: 1.5rem; }
+    .nav a { color: var(--text-color); text-decoration: none; margin-right: 20px; padding-bottom: 4px; }
+    .nav a.active { color: var(--primary-color); border-bottom: 2px solid var(--primary-color); }
+    .toolbar { display: flex; flex-wrap: wrap; gap: 10px; margin-top: 1rem; }
+    .toolbar input { padding: 8px; border: 1px solid #555; background-color: var(--input-bg); color: var(--text-color); border-radius: 4px; min-width: 240px; }
+    .toolbar select { margin-left: 0; }
+    #editor-table td { vertical-align: top; }
+    #editor-table textarea { min-height: 0; margin-top: 0; padding: 8px; font-family: inherit; resize: vertical; overflow: hidden; }
+    #editor-table textarea.missing { border-color: var(--input-missing-border); }
+    #editor-table textarea.dirty { border-color: #4caf50; background-color: #2a332a; }
+    #editor-table textarea.invalid { border-color: #f66; }
+    .badge { font-size: 11px; background-color: #444; border-radius: 3px; padding: 1px 6px; margin-left: 6px; }
+    .link-button { background: none; color: var(--primary-color); padding: 0; margin-left: 8px; font-size: 12px; }
+    .link-button:hover { background: none; text-decoration: underline; }
+    .pager { display: flex; align-items: center; gap: 15px; margin-top: 1rem; }
+    button:disabled { opacity: 0.5; cursor: default; }
+    .sticky-actions { position: sticky; bottom: 0; background-color: #252525; padding: 10px 0; }
+    .hint { font-size: 12px; color: #aaa; }
+    kbd { background-color: #333; border: 1px solid #555; border-radius: 3px; padding: 0 4px; font-size: 11px; }
+    .suggestions { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 4px; }
+    .suggestion { background-color: #333; color: var(--text-color); border: 1px solid #555; padding: 2px 8px; margin: 0; font-size: 12px; text-align: left; }
+    .suggestion:hover { background-color: #3a3a3a; border-color: var(--primary-color); }
+    .suggestion .score { color: #8c8; font-size: 11px; margin-right: 4px; }
+    input.outdated { border-color: #c9a227; }
+    .source-diff { font-size: 12px; color: #aaa; margin-top: 4px; }
+    .source-diff del { color: #f88; background-color: #4a2222; }
+    .source-diff ins { color: #8c8; background-color: #22402a; text-decoration: none; }
+    .reviewed { display: block; font-family: inherit; font-size: 12px; margin-top: 4px; }
+    #editor-table textarea.outdated { border-color: #c9a227; }
+    .outdated-info .link-button { margin-left: 0; }
+    #editor-table textarea.inherited { border-style: dashed; }
+    #editor-table textarea.inherited::placeholder, input.inherited::placeholder { color: #777; font-style: italic; }
+    td .override { display: block; margin-left: 0; }
+    .coverage { position: relative; min-width: 120px; height: 20px; background-color: #333; border-radius: 4px; overflow: hidden; }
+    .coverage-bar { height: 100%; background-color: #2a4; }
+    .coverage span { position: absolute; top: 0; left: 8px; line-height: 20px; font-size: 12px; }
+    td.failed { color: #f88; }
+    details { margin-top: 0.5rem; }
+    details ul { margin: 0.5rem 0; word-break: break-word; }
+    .prompt-box { background-color: #2c2c2c; border: 1px solid #444; padding: 1rem; border-radius: 5px; white-space: pre-wrap; font-family: monospace; margin-top: 1rem; max-height: 300px; overflow-y: auto; }
+`;
+
+/**
+ * Provides the client-side JavaScript for the web interface.
+ * This script handles CSV generation, AI prompt creation, and auto-filling the translation table.
+ * @param {string} missingKeysJson - JSON string of missing keys data.
+ * @param {string} localesJson - JSON string of supported locales.
+ * @returns {string} JavaScript string.
+ */
+const getClientScript = (missingKeysJson, localesJson, settingsJson) => `
+    const missingKeysData = ${missingKeysJson};
+    const locales = ${localesJson};
+    const settings = ${settingsJson};
+    const sourceLocale = settings.sourceLocale;
+    // Validation and prompt functions shared with the server and the CLI commands.
+    ${CLIENT_SHARED_FUNCTIONS.map((fn) => fn.toString()).join('\n')}
+    // Shows the validation issues of a translation input below it and marks it invalid on errors.
+    function validateInput(input) { const sep = input.name.lastIndexOf('|'); const key = input.name.slice(0, sep); const loc = input.name.slice(sep + 1); const sourceInput = Array.from(input.closest('tr').querySelectorAll('input[type="text"]')).find(i => i.name === key + '|' + sourceLocale); const source = sourceInput ? sourceInput.value : ''; const issues = loc !== sourceLocale && source && input.value ? validateTranslation(source, input.value, loc, { glossary: settings.glossary }) : []; let box = input.parentElement.querySelector('.issues'); if (!box) { box = document.createElement('div'); box.className = 'issues'; input.parentElement.appendChild(box); } box.innerHTML = ''; issues.forEach(issue => { const line = document.createElement('div'); line.className = issue.severity; line.textContent = issue.message; box.appendChild(line); }); input.classList.toggle('invalid', issues.some(issue => issue.severity === 'error')); input.classList.toggle('off-glossary', issues.some(issue => issue.type === 'glossary')); }
+    // Validates every input of the translation table.
+    function validateAllInputs() { document.querySelectorAll('#sync-table input[type="text"]').forEach(validateInput); }
+    // Re-validates a row whenever one of its inputs changes (a changed source text affects all locales).
+    document.getElementById('sync-table')?.addEventListener('input', (event) => { const row = event.target.closest('tr'); if (row) row.querySelectorAll('input[type="text"]').forEach(validateInput); });
+    // Loads the translation memory suggestions of a missing cell when it gets the focus for the first time.
+    document.getElementById('sync-table')?.addEventListener('focusin', async (event) => { const input = event.target; if (!input.matches('input.missing') || input.dataset.suggested) return; input.dataset.suggested = 'true'; const sep = input.name.lastIndexOf('|'); const loc = input.name.slice(sep + 1); if (loc === sourceLocale) return; try { const response = await fetch('/suggestions?' + new URLSearchParams({ key: input.name.slice(0, sep), locale: loc })); if (response.ok) input.insertAdjacentHTML('afterend', await response.text()); } catch (err) { /* The cell works without suggestions. */ } });
+    // Fills a missing translation with the clicked suggestion from the translation memory.
+    document.getElementById('sync-table')?.addEventListener('click', (event) => { const button = event.target.closest('.suggestion'); if (!button) return; const input = button.closest('td').querySelector('input[type="text"]'); input.value = button.dataset.value; input.dispatchEvent(new Event('input', { bubbles: true })); input.focus(); });
+    // Turns an inherited value into an override of the locale, starting from the inherited text.
+    document.getElementById('sync-table')?.addEventListener('click', (event) => { const button = event.target.closest('.override'); if (!button) return; const input = button.closest('td').querySelector('input[type="text"]'); input.readOnly = false; input.value = input.placeholder; input.className = 'missing'; button.remove(); input.dispatchEvent(new Event('input', { bubbles: true })); input.focus(); });
+    // Blocks saving while edited translations have errors, unless the override is checked.
+    document.getElementById('sync-form')?.addEventListener('submit', (event) => { const invalid = document.querySelectorAll('#sync-table input.invalid:not([readonly])'); if (invalid.length > 0 && !document.getElementById('force-save').checked) { event.preventDefault(); invalid[0].focus(); alert(invalid.length + ' translations have errors. Fix them or check "Save despite validation errors".'); } });
+    validateAllInputs();
+    // Generates a CSV string from the missing keys data.
+    function generateCsv() { return toCsv([['key', 'context', ...locales], ...missingKeysData.map(item => [item.key, item.context || '', ...locales.map(l => item[l] || '')])]); }
+    // Generates a prompt for an AI translation model, including the CSV data.
+    function generateAIPrompt() { const csvData = generateCsv(); const targetLocales = locales.filter(l => l !== sourceLocale); return renderPromptTemplate(settings.promptTemplate, getPromptVariables(sourceLocale, targetLocales, locales, csvData, settings.glossary)); }
+    // Sends the empty and unchanged outdated cells (that have a source text) to the configured translation provider and fills in the results.
+    document.getElementById('translate-missing-btn')?.addEventListener('click', async (event) => { const button = event.target; const status = document.getElementById('translate-status'); const cells = []; const sources = {}; document.querySelectorAll('#sync-table tr[data-key]').forEach(row => { const key = row.dataset.key; row.querySelectorAll('input[type="text"]').forEach(input => { const loc = input.name.slice(input.name.lastIndexOf('|') + 1); if (loc === sourceLocale) sources[key] = input.value; else if (!input.readOnly && (!input.value || (input.classList.contains('outdated') && input.value === input.defaultValue))) cells.push({ key, locale: loc }); }); }); const translatable = cells.filter(cell => sources[cell.key]); if (translatable.length === 0) { alert('There are no empty cells with a source text to translate.'); return; } button.disabled = true; status.textContent = 'Translating ' + translatable.length + ' cells with ' + settings.translationProvider + '...'; try { const response = await fetch('/translate', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ cells: translatable, sources }) }); const result = await response.json(); if (!response.ok) throw new Error(result.error || response.statusText); const data = {}; result.translations.forEach(t => { (data[t.key] = data[t.key] || { key: t.key })[t.locale] = t.value; }); status.textContent = result.errors.length > 0 ? 'Some batches failed: ' + result.errors.join('; ') : ''; fillTableFromData(Object.values(data)); } catch (err) { status.textContent = ''; alert('Translation failed: ' + err.message); } finally { button.disabled = false; } });
+    // Event listener for copying the AI prompt.
+    document.getElementById('copy-ai-prompt')?.addEventListener('click', () => { const promptText = generateAIPrompt(); navigator.clipboard.writeText(promptText).then(() => { const previewBox = document.getElementById('ai-prompt-preview'); const container = document.getElementById('ai-prompt-container'); previewBox.textContent = promptText; container.style.display = 'block'; alert('AI prompt and data copied to clipboard!'); }).catch(err => alert('Failed to copy: ' + err)); });
+    // Event listener for auto-filling the table from pasted CSV data.
+    document.getElementById('autofill-btn')?.addEventListener('click', () => { const pasteData = document.getElementById('import-area').value.trim(); if (!pasteData) { alert('Please paste data into the text area first.'); return; } fillTableFromCsv(pasteData); });
+    // Fills the translation table with data from a parsed object, counting the translations that do not follow the glossary.
+    function fillTableFromData(data) { const filled = []; data.forEach(item => { const row = document.querySelector(\`tr[data-key="\${CSS.escape(item.key)}"]\`); if (row) { locales.forEach(loc => { const input = row.querySelector(\`input[name="\${CSS.escape(item.key + '|' + loc)}"]\`); if (input && !input.readOnly && item[loc]) { input.value = item[loc]; filled.push(input); } }); } }); validateAllInputs(); const offGlossary = filled.filter(input => input.classList.contains('off-glossary')).length; alert(\`Auto-filled \${filled.length} translations!\${offGlossary > 0 ? \` \${offGlossary} of them do not follow the glossary.\` : ''} Please review and save.\`); }
+    // Parses CSV data (RFC 4180, so cells may contain commas, quotes and line breaks) and fills the translation table.
+    function fillTableFromCsv(csvData) { csvData = csvData.replace(/^\\\`\\\`\\\`(?:csv)?\\r?\\n/,'').replace(/\\r?\\n\\\`\\\`\\\`$/,''); let rows; try { rows = parseCsv(csvData); } catch (err) { alert('Invalid CSV data: ' + err.message); return; } if (rows.length < 2) { alert('Invalid CSV data. Requires at least a header and one data row.'); return; } const header = rows[0].map(h => h.trim()); const keyIndex = header.indexOf('key'); if (keyIndex === -1) { alert('Invalid CSV header. Must contain a "key" column.'); return; } const data = rows.slice(1).map(values => { const item = { key: (values[keyIndex] || '').trim() }; header.forEach((colName, index) => { if (locales.includes(colName)) { item[colName] = values[index]; } }); return item; }); fillTableFromData(data); }
+    // Downloads the export of the chosen format, scope and locales (one file per locale for XLIFF and PO).
+    document.getElementById('export-btn')?.addEventListener('click', async () => { const format = document.getElementById('export-format').value; const scope = document.getElementById('export-scope').value; const chosen = Array.from(document.getElementById('export-locales').selectedOptions).map(option => option.value); if (chosen.length === 0) { alert('Choose at least one locale to export.'); return; } const { extension, perLocale } = settings.exchangeFormats[format]; const requests = perLocale ? chosen.map(loc => ({ locales: [loc], fileName: loc + extension })) : [{ locales: chosen, fileName: 'translations' + extension }]; for (const request of requests) { const params = new URLSearchParams({ format, scope }); request.locales.forEach(loc => params.append('locale', loc)); const response = await fetch('/export?' + params); if (!response.ok) { alert(request.fileName + ': ' + await response.text()); continue; } const link = document.createElement('a'); link.href = URL.createObjectURL(await response.blob()); link.download = request.fileName; link.click(); URL.revokeObjectURL(link.href); } });
+    // Uploads a translated file; the server merges it into the locale files and reports what it skipped.
+    document.getElementById('import-btn')?.addEventListener('click', async () => { const file = document.getElementById('import-file').files[0]; const reportBox = document.getElementById('import-report'); if (!file) { alert('Choose a file to import first.'); return; } const response = await fetch('/import?' + new URLSearchParams({ file: file.name }), { method: 'POST', headers: { 'Content-Type': 'application/octet-stream' }, body: await file.arrayBuffer() }); const result = await response.json(); reportBox.style.display = 'block'; if (!response.ok) { reportBox.textContent = '❌ ' + result.error; return; } const lines = ['Imported ' + result.updated.length + ' translations (' + result.unchanged + ' unchanged).']; if (result.fuzzy > 0) lines.push('Skipped ' + result.fuzzy + ' fuzzy entries.'); if (result.conflicts.length > 0) lines.push('Not imported because they differ from the existing values (use the import command with --overwrite to replace them):', ...result.conflicts.map(c => '  ' + c.locale + ' ' + c.key + ': ' + JSON.stringify(c.current) + ' → ' + JSON.stringify(c.value))); if (result.unknownKeys.length > 0) lines.push('Keys that do not exist in the project:', ...result.unknownKeys.map(e => '  ' + e.locale + ' ' + e.key)); if (result.unknownLocales.length > 0) lines.push('Locales that are not configured: ' + [...new Set(result.unknownLocales.map(e => e.locale))].join(', ')); if (result.glossary.length > 0) lines.push('Imported, but not following the glossary:', ...result.glossary.map(e => '  ' + e.locale + ' ' + e.key + ': ' + e.message)); if (result.updated.length > 0) lines.push('Reload the page to see the new translations in the table (unsaved edits are lost).'); reportBox.textContent = lines.join('\\n'); });
+
+`;
+
+/**
+ * Builds the editor link for a source location from the `editorUrl` config template.
+ * @param {object} usage - A usage as recorded by `scanForKeys` (`{ file, line, column }`).
+ * @returns {string} The URL, e.g. "vscode://file/home/me/app/src/App.tsx:12:5".
+ */
+function getEditorUrl({ file, line, column }) {
+	const absolutePath = path
+		.join(config.workspaceDir, file)
+		.split(path.sep)
+		.join('/');
+	const urlPath = absolutePath.startsWith('/')
+		? absolutePath
+		: `/${absolutePath}`; // Windows drive paths, e.g. "/C:/app/src/App.tsx".
+	return config.editorUrl
+		.replace('{path}', encodeURI(urlPath))
+
+		.replace('{line}', line)
+		.replace('{column}', column);
+}
+
+/**
+ * Describes where a key is first used, as context for translators and the AI prompt.
+ * @param {Map<string, object[]>} usages - Where each key is used (see `scanForKeys`).
+ * @param {string} key - The key, or a plural variant of it.
+ * @returns {string} The context, e.g. "App.tsx:12: <h1>{t('home.title')}</h1>", or an empty string.
+ */
+function getKeyContext(usages, key) {
+	const [usage] = usages.get(key) || usages.get(getPluralBaseKey(key)) || [];
+	return usage ? `${usage.file}:${usage.line}: ${usage.snippet}` : '';
+}
+
+/**
+ * Renders the "Used in" cell of a key: the number of uses and a link to each location.
+ * @param {object[]} keyUsages - The usages of the key (see `scanForKeys`).
+ * @returns {string} The HTML of the table cell.
+ */
+function renderUsagesCell(keyUsages) {
+	if (keyUsages.length === 0) return '<td class="usages">—</td>';
+	const links = keyUsages
+		.map(
+			(usage) =>
+				`<a href="${escapeHtml(
+					getEditorUrl(usage)
+				)}" title="${escapeHtml(usage.snippet)}">${escapeHtml(
+					`${usage.file}:${usage.line}`
+				)}</a>`
+		)
+		.join('');
+	return `<td class="usages"><details><summary>${keyUsages.length} ${
+		keyUsages.length === 1 ? 'use' : 'uses'
+	}</summary>${links}</details></td>`;
+}
+
+/**
+ * Renders how the source text of an outdated translation changed, as a word diff.
+ * @param {{ previousSource: string|null, source: string }} change - The previous and the current source text
+ *   (see `findOutdatedTranslations`).
+ * @returns {string} The HTML of the diff.
+ */
+function renderSourceChange({ previousSource, source }) {
+	if (previousSource === null)
+		return `<div class="source-diff">Source text changed to: ${escapeHtml(
+			source
+		)}</div>`;
+	return `<div class="source-diff" title="The source text changed since this was translated">${diffWords(
+		previousSource,
+		source
+	)
+		.map(({ type, text }) =>
+			type === 'same'
+				? escapeHtml(text)
+				: type === 'removed'
+				? `<del>${escapeHtml(text)}</del>`
+				: `<ins>${escapeHtml(text)}</ins>`
+		)
+		.join('')}</div>`;
+}
+
+/**
+ * Renders the translation memory suggestions of a missing cell as buttons that fill in the cell.
+ * @param {object[]} suggestions - The suggestions (see `getMemorySuggestions`).
+ * @returns {string} The HTML of the suggestions.
+ */
+function renderSuggestions(suggestions) {
+	return `<div class="suggestions">${suggestions
+		.map(
+			({ text, score, key, source, origin }) =>
+				`<button type="button" class="suggestion" data-value="${escapeHtml(
+					text
+				)}" title="${escapeHtml(
+					`${
+						origin === 'saved' ? 'Saved' : 'Used'
+					} for ${key}: ${source}`
+				)}"><span class="score">${
+					score === 1 ? 'Exact' : `${Math.round(score * 100)}%`
+				}</span> ${escapeHtml(text)}</button>`
+		)
+		.join('')}</div>`;
+}
+
+/**
+ * Generates the full HTML content for the web interface.
+ * This includes the structure, styles, and client-side script for the translation sync tool.
+ * @param {Map<string, object>} missingKeys - A Map of missing translation keys and their current values.
+ * @param {Map<string, object[]>} usages - Where each key is used in the source code (see `scanForKeys`).
+ * @param {object|null} translationService - The configured translation service (see `createTranslationService`), if any.
+ * @param {object} [options]
+ * @param {boolean} [options.liveUpdates=false] - Connects the page to the file watcher.
+ * @param {object} [options.revisions={}] - The revisions of the locale files the page shows, sent back when saving.
+ * @param {object[]} [options.glossary=[]] - The glossary, for validation and the AI prompt.
+ * @param {Map<string, object>} [options.outdated=new Map()] - The outdated translations, grouped by key (see
+ *   `groupOutdatedTranslations`). Their cells can be updated, or kept with "Still correct", and are
+ *   translated again by the AI prompt and the translation provider.
+ * @param {object} [options.inherited={}] - The values the missing cells inherit from fallback locales (see
+ *   `findInheritedTranslations`). They are shown greyed out, with a button to override them.
+ * @returns {string} The complete HTML string for the web page.
+ */
+function generateHtml(
+	missingKeys,
+	usages,
+	translationService,
+	{
+		liveUpdates = false,
+		revisions = {},
+		glossary = [],
+		outdated = new Map(),
+		inherited = {}
+	} = {}
+) {
+	// The rows: the keys with missing translations, then those that only have outdated ones.
+	const missingKeysArray = [
+		...missingKeys.entries(),
+		...Array.from(outdated)
+			.filter(([key]) => !missingKeys.has(key))
+			.map(([key, { values }]) => [key, values])
+	];
+	const getOutdated = (key, locale) =>
+		outdated.has(key) ? outdated.get(key).locales[locale] : undefined;
+	const getInherited = (key, locale) =>
+		inherited[key] ? inherited[key][locale] : undefined;
+	const missingKeysJson = toScriptJson(
+		missingKeysArray.map(([key, values]) => ({
+			key,
+			// The first usage gives translators (and the AI prompt) some context.
+			context: getKeyContext(usages, key),
+			// Outdated translations are left out, so that they are translated again. Inherited values are
+			// filled in, so that they are not translated either.
+			...Object.fromEntries(
+				config.locales
+					.map((l) => [
+						l,
+						getInherited(key, l)
+							? getInherited(key, l).value
+							: values[l]
+					])
+					.filter(
+						([l, value]) =>
+							value !== undefined && !getOutdated(key, l)
+					)
+			)
+		}))
+	);
+	let tableRows = '';
+	// Generate table rows for each missing key, with input fields for each locale.
+	missingKeysArray.forEach(([key, values], i) => {
+		tableRows += `<tr data-key="${key}"><td><label for="key-${i}-en">${key}</label></td>${renderUsagesCell(
+			usages.get(key) || usages.get(getPluralBaseKey(key)) || []
+		)}${config.locales
+			.map((l) =>
+				getOutdated(key, l)
+					? `<td><input type="text" id="key-${i}-${l}" name="${key}|${l}" value="${escapeHtml(
+							values[l]
+					  )}" class="outdated"/>${renderSourceChange(
+							getOutdated(key, l)
+					  )}<label class="reviewed"><input type="checkbox" name="reviewed" value="${escapeHtml(
+							`${key}|${l}`
+					  )}"/> Still correct</label></td>`
+					: getInherited(key, l)
+					? `<td><input type="text" id="key-${i}-${l}" name="${key}|${l}" value="" readonly class="inherited" placeholder="${escapeHtml(
+							getInherited(key, l).value
+					  )}" title="Inherited from ${
+							getInherited(key, l).from
+					  }"/><button type="button" class="link-button override">Override</button></td>`
+					: `<td><input type="text" id="key-${i}-${l}" name="${key}|${l}" value="${
+							values[l] || ''
+					  }" ${values[l] ? 'readonly' : ''} class="${
+							values[l] ? 'existing' : 'missing'
+					  }" placeholder="${
+							values[l] ? '' : 'Translate here...'
+					  }"/></td>`
+			)
+			.join('')}</tr>`;
+	});
+	const outdatedCount = Array.from(outdated.values()).reduce(
+		(sum, row) => sum + Object.keys(row.locales).length,
+		0
+	);
+	// Determine the main body content based on whether there are missing keys.
+	const bodyContent =
+		missingKeysArray.length === 0
+			? `<div class="message success">✅ All locale files are up-to-date!</div>`
+			: `<div class="message info">${[
+					missingKeys.size > 0
+						? `${missingKeys.size} keys need translations.`
+						: '',
+					outdatedCount > 0
+						? `${outdatedCount} translations are outdated because their source text changed: update them, or check "Still correct" to keep them.`
+						: ''
+			  ]
+					.filter(Boolean)
+					.join(
+						' '
+					)}</div><div class="section"><h2>1. Generate AI Prompt & Data</h2><p>Click the button below to copy a complete prompt with all the missing translation data. Paste this directly into your AI chat model.</p><div class="actions"><button id="copy-ai-prompt" type="button">Copy Full Prompt for AI</button></div>${
+					translationService
+						? `<p>Or let <b>${escapeHtml(
+								translationService.name
+						  )}</b> translate every empty cell directly and fill the table below.</p><div class="actions"><button id="translate-missing-btn" type="button">Translate Missing</button><span id="translate-status"></span></div>`
+						: ''
+			  }<div id="ai-prompt-container" style="display:none;"><h3>Preview of the copied prompt:</h3><div id="ai-prompt-preview" class="prompt-box"></div></div></div><div class="section"><h2>2. Import Translated Data</h2><p>After the AI translates the data, paste the entire CSV block (including the header) that it provides into the text area below and click "Auto-fill Table".</p><textarea id="import-area" placeholder="Paste your translated CSV data here..."></textarea><div class="actions"><button type="button" id="autofill-btn">Auto-fill Table from Pasted Data</button></div></div><div class="section"><h2>3. Review and Save</h2><p>Review the auto-filled translations in the table below. Make any manual corrections if needed, then click save.</p><form id="sync-form" action="/save" method="post"><input type="hidden" name="revisions" value="${escapeHtml(
+					JSON.stringify(revisions)
+			  )}"/><table id="sync-table"><thead><tr><th>Key Path</th><th>Used in</th>${config.locales
+					.map((l) => `<th>${l.toUpperCase()}</th>`)
+					.join(
+						''
+					)}</tr></thead><tbody>${tableRows}</tbody></table><div class="actions"><button type="submit">Save All Translations</button><label class="force-save"><input type="checkbox" id="force-save" name="force-save" value="1"/> Save despite validation errors</label></div></form></div>`;
+	// File exchange is offered even when nothing is missing, e.g. to send all keys for review.
+	const exchangeSection = `<div class="section"><h2>Exchange Files with Translators</h2><p>Export translations for a translation agency or CAT tool, and import the translated files. Imports are written to the locale files directly; existing translations are never overwritten.</p><div class="actions"><label>Format <select id="export-format">${Object.entries(
+		INTERCHANGE_FORMATS
+	)
+		.map(
+			([name, { description }]) =>
+				`<option value="${name}">${description}</option>`
+		)
+		.join(
+			''
+		)}</select></label><label>Keys <select id="export-scope"><option value="missing">Missing and outdated translations</option><option value="all">All keys</option></select></label><label>Locales <select id="export-locales" multiple>${config.locales
+		.filter((l) => l !== config.sourceLocale)
+		.map((l) => `<option value="${l}" selected>${l}</option>`)
+		.join(
+			''
+		)}</select></label><button type="button" id="export-btn">Export</button></div><div class="actions"><input type="file" id="import-file" accept=".xlf,.xliff,.po,.csv,.xlsx"/><button type="button" id="import-btn">Import File</button></div><pre id="import-report" class="prompt-box" style="display:none;"></pre></div>`;
+	// Return the complete HTML document.
+	return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>i18n Sync Tool</title><style>${getPageStyles()}</style></head><body><div class="container">${renderNavigation(
+		'/'
+	)}${
+		liveUpdates ? '<div id="live-status" hidden></div>' : ''
+	}${bodyContent}${exchangeSection}</div><script>${getClientScript(
+		missingKeysJson,
+		JSON.stringify(config.locales),
+		toScriptJson({
+			sourceLocale: config.sourceLocale,
+			promptTemplate: config.promptTemplate,
+			glossary,
+			translationProvider: translationService && translationService.name,
+			exchangeFormats: Object.fromEntries(
+				Object.entries(INTERCHANGE_FORMATS).map(
+					([name, { extension, perLocale }]) => [
+						name,
+						{ extension, perLocale }
+					]
+				)
+			)
+		})
+	)}</script>${
+		liveUpdates ? `<script>${getLiveUpdateScript()}</script>` : ''
+	}</body></html>`;
+}
+
+/**
+ * Provides the client-side JavaScript of the editor page: filtering, pagination, inline editing with
+ * per-cell dirty tracking, keyboard navigation, adding and renaming keys, and saving the changed cells.
+ * @param {string} rowsJson - JSON of the editor rows (see `getEditorRows`).
+ * @param {string} settingsJson - JSON of `{ locales, sourceLocale, revisions, glossary }`.
+ * @returns {string} JavaScript string.
+ */
+const getEditorScript = (rowsJson, settingsJson) => `
+    const rows = ${rowsJson};
+    const settings = ${settingsJson};
+    const locales = settings.locales;
+    const sourceLocale = settings.sourceLocale;
+    // The revisions of the locale files the rows are based on; saves are checked against them.
+    let revisions = settings.revisions;
+    // Validation functions shared with the server and the CLI commands.
+    ${CLIENT_SHARED_FUNCTIONS.map((fn) => fn.toString()).join('\n')}
+    const $ = (id) => document.getElementById(id);
+    const table = $('editor-table');
+    const rowIndex = new Map(rows.map(row => [row.key, row]));
+    // Unsaved values by "<key>|<locale>"; only these cells are sent when saving.
+    const edits = new Map();
+    let page = 0;
+    // Returns the current (possibly edited) value of a cell.
+    function cellValue(row, loc) { const edit = edits.get(row.key + '|' + loc); return edit !== undefined ? edit : (row.values[loc] || ''); }
+    // Returns the validation issues of a cell against the row's source text.
+    function cellIssues(row, loc) { const source = cellValue(row, sourceLocale); const value = cellValue(row, loc); return loc !== sourceLocale && source && value ? validateTranslation(source, value, loc, { glossary: settings.glossary }) : []; }
+    // The locale columns shown: all of them, or the source locale and the filtered locale.
+    function shownLocales() { const loc = $('filter-locale').value; return loc ? locales.filter(l => l === sourceLocale || l === loc) : locales; }
+    // Tells whether a row passes the search, prefix, locale and status filters.
+    function matchesFilters(row) { const query = $('filter-search').value.trim().toLowerCase(); const prefix = $('filter-prefix').value.trim().replace(/[.]$/, ''); const loc = $('filter-locale').value; const checked = loc ? [loc] : locales; if (prefix && row.key !== prefix && !row.key.startsWith(prefix + '.')) return false; if (query && !row.key.toLowerCase().includes(query) && !locales.some(l => cellValue(row, l).toLowerCase().includes(query))) return false; switch ($('filter-status').value) { case 'missing': return checked.some(l => !cellValue(row, l) && !row.inherited[l]); case 'translated': return checked.every(l => cellValue(row, l) || row.inherited[l]); case 'invalid': return checked.some(l => cellIssues(row, l).some(issue => issue.severity === 'error')); case 'outdated': return checked.some(l => row.outdated[l] && !edits.has(row.key + '|' + l)); case 'unused': return row.unused; case 'changed': return row.isNew || locales.some(l => edits.has(row.key + '|' + l)); default: return true; } }
+    // Renders the current page of the filtered rows.
+    function render() { const filtered = rows.filter(matchesFilters); const pageSize = Number($('page-size').value); const pages = Math.max(1, Math.ceil(filtered.length / pageSize)); page = Math.min(Math.max(page, 0), pages - 1); const visible = filtered.slice(page * pageSize, (page + 1) * pageSize); const shown = shownLocales(); const head = table.tHead.rows[0]; head.innerHTML = ''; ['Key Path', 'Used in', ...shown.map(l => l.toUpperCase())].forEach(text => { const th = document.createElement('th'); th.textContent = text; head.appendChild(th); }); const body = table.tBodies[0]; body.innerHTML = ''; visible.forEach(row => body.appendChild(renderRow(row, shown))); body.querySelectorAll('textarea').forEach(autosize); $('page-info').textContent = filtered.length === 0 ? 'No keys match the filters.' : 'Keys ' + (page * pageSize + 1) + '–' + (page * pageSize + visible.length) + ' of ' + filtered.length + ' (page ' + (page + 1) + ' of ' + pages + ')'; $('prev-page').disabled = page === 0; $('next-page').disabled = page >= pages - 1; updateDirtyCount(); }
+    // Builds the table row of a key, with an editable cell per shown locale.
+    function renderRow(row, shown) { const tr = document.createElement('tr'); tr.dataset.key = row.key; const keyCell = document.createElement('td'); const label = document.createElement('code'); label.textContent = row.key; keyCell.appendChild(label); if (row.isNew || row.unused) { const badge = document.createElement('span'); badge.className = 'badge'; badge.textContent = row.isNew ? 'new' : 'unused'; keyCell.appendChild(badge); } const rename = document.createElement('button'); rename.type = 'button'; rename.className = 'link-button'; rename.textContent = 'Rename'; rename.addEventListener('click', () => renameKey(row)); keyCell.appendChild(rename); tr.appendChild(keyCell); const usesCell = document.createElement('td'); usesCell.className = 'usages'; usesCell.textContent = row.uses ? row.uses + (row.uses === 1 ? ' use' : ' uses') : '—'; if (row.usage) { const link = document.createElement('a'); link.href = row.usage.url; link.title = row.usage.snippet; link.textContent = row.usage.label; usesCell.appendChild(link); } tr.appendChild(usesCell); shown.forEach(loc => { const td = document.createElement('td'); const input = document.createElement('textarea'); input.rows = 1; input.dataset.key = row.key; input.dataset.locale = loc; input.value = cellValue(row, loc); td.appendChild(input); tr.appendChild(td); updateCell(input, row); }); return tr; }
+    // Updates the state classes and validation issues of a cell.
+    function updateCell(input, row) { const loc = input.dataset.locale; const issues = cellIssues(row, loc); input.classList.toggle('dirty', edits.has(row.key + '|' + loc)); input.classList.toggle('missing', !input.value && !row.inherited[loc]); input.classList.toggle('invalid', issues.some(issue => issue.severity === 'error')); let box = input.parentElement.querySelector('.issues'); if (!box) { box = document.createElement('div'); box.className = 'issues'; input.parentElement.appendChild(box); } box.innerHTML = ''; issues.forEach(issue => { const line = document.createElement('div'); line.className = issue.severity; line.textContent = issue.message; box.appendChild(line); }); updateOutdated(input, row); updateInherited(input, row); }
+    // Shows the text an empty cell inherits from a fallback locale as its placeholder, with a button to override it.
+    function updateInherited(input, row) { const loc = input.dataset.locale; const inherited = !input.value ? row.inherited[loc] : undefined; input.classList.toggle('inherited', Boolean(inherited)); input.placeholder = inherited ? inherited.value : loc === sourceLocale ? 'Source text' : 'Translate here...'; input.title = inherited ? 'Inherited from ' + inherited.from : ''; const old = input.parentElement.querySelector('.override'); if (old) old.remove(); if (!inherited) return; const override = document.createElement('button'); override.type = 'button'; override.className = 'link-button override'; override.textContent = 'Override'; override.title = 'Translate this key for ' + loc + ', starting from the text inherited from ' + inherited.from; override.addEventListener('click', () => { input.value = inherited.value; input.dispatchEvent(new Event('input', { bubbles: true })); input.focus(); }); input.parentElement.appendChild(override); }
+    // Marks an unedited outdated cell and shows how its source text changed, with a button to keep the translation.
+    function updateOutdated(input, row) { const loc = input.dataset.locale; const change = !edits.has(row.key + '|' + loc) ? row.outdated[loc] : undefined; input.classList.toggle('outdated', Boolean(change)); const old = input.parentElement.querySelector('.outdated-info'); if (old) old.remove(); if (!change) return; const info = document.createElement('div'); info.className = 'outdated-info'; const diff = document.createElement('div'); diff.className = 'source-diff'; if (change.previousSource === null) diff.textContent = 'Source text changed to: ' + change.source; else diffWords(change.previousSource, change.source).forEach(part => { const el = document.createElement(part.type === 'removed' ? 'del' : part.type === 'added' ? 'ins' : 'span'); el.textContent = part.text; diff.appendChild(el); }); diff.title = 'The source text changed since this was translated'; info.appendChild(diff); const keep = document.createElement('button'); keep.type = 'button'; keep.className = 'link-button'; keep.textContent = 'Still correct'; keep.addEventListener('click', () => markReviewed(row, loc)); info.appendChild(keep); input.parentElement.appendChild(info); }
+    // Keeps an outdated translation: the lock file then bases it on the current source text.
+    async function markReviewed(row, loc) { const result = await postJson('/save', { changes: [], reviewed: [{ key: row.key, locale: loc }], revisions }); if (!result) return; delete row.outdated[loc]; render(); }
+    // Updates which translations are outdated after a save (a changed source text outdates the other locales).
+    async function refreshOutdated() { const response = await fetch('/editor/rows'); if (!response.ok) return; (await response.json()).forEach(fresh => { const row = rowIndex.get(fresh.key); if (row) { row.outdated = fresh.outdated; row.inherited = fresh.inherited; } }); render(); }
+    // Grows a cell to fit its text.
+    function autosize(input) { input.style.height = 'auto'; input.style.height = input.scrollHeight + 'px'; }
+    // Shows the number of unsaved cells and enables the save and discard buttons.
+    function updateDirtyCount() { const count = edits.size; $('dirty-count').textContent = count === 0 ? 'No unsaved changes.' : count + ' unsaved ' + (count === 1 ? 'change.' : 'changes.'); $('save-btn').disabled = count === 0; $('discard-btn').disabled = count === 0 && !rows.some(row => row.isNew); }
+    // Tracks the edits of every cell and re-validates its row (a changed source text affects every locale).
+    table.addEventListener('input', (event) => { const input = event.target; const row = rowIndex.get(input.dataset.key); if (!row) return; const id = row.key + '|' + input.dataset.locale; if (input.value === (row.values[input.dataset.locale] || '')) edits.delete(id); else edits.set(id, input.value); input.closest('tr').querySelectorAll('textarea').forEach(cell => updateCell(cell, row)); autosize(input); updateDirtyCount(); });
+    // Focuses the cell of the same locale in the next or previous row, turning the page at either end.
+    function moveFocus(input, step) { const loc = input.dataset.locale; const tr = input.closest('tr'); let target = step > 0 ? tr.nextElementSibling : tr.previousElementSibling; if (!target) { if ($(step > 0 ? 'next-page' : 'prev-page').disabled) return; page += step; render(); const shownRows = table.tBodies[0].rows; target = step > 0 ? shownRows[0] : shownRows[shownRows.length - 1]; } const cell = target && target.querySelector('textarea[data-locale="' + loc + '"]'); if (cell) cell.focus(); }
+    // Cell shortcuts: Alt+Down/Up (or Ctrl+Enter) moves between rows, Escape reverts the cell.
+    table.addEventListener('keydown', (event) => { const input = event.target; if (input.tagName !== 'TEXTAREA') return; if (event.key === 'Escape') { input.value = rowIndex.get(input.dataset.key).values[input.dataset.locale] || ''; input.dispatchEvent(new Event('input', { bubbles: true })); } else if (event.altKey && (event.key === 'ArrowDown' || event.key === 'ArrowUp')) { event.preventDefault(); moveFocus(input, event.key === 'ArrowDown' ? 1 : -1); } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) { event.preventDefault(); moveFocus(input, 1); } });
+    // Page shortcuts: Ctrl+S saves, "/" focuses the search and Alt+PageDown/PageUp turns the page.
+    document.addEventListener('keydown', (event) => { if ((event.ctrlKey || event.metaKey) && event.key === 's') { event.preventDefault(); saveChanges(); } else if (event.key === '/' && !['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName)) { event.preventDefault(); $('filter-search').focus(); } else if (event.altKey && (event.key === 'PageDown' || event.key === 'PageUp')) { event.preventDefault(); page += event.key === 'PageDown' ? 1 : -1; render(); } });
+    ['filter-search', 'filter-prefix', 'filter-locale', 'filter-status', 'page-size'].forEach(id => $(id).addEventListener('input', () => { page = 0; render(); }));
+    $('prev-page').addEventListener('click', () => { page--; render(); });
+    $('next-page').addEventListener('click', () => { page++; render(); });
+    // Posts JSON to the server. Returns the result (with its HTTP status; 409 conflicts and 422 validation
+    // errors are results too), or null after reporting an error.
+    async function postJson(url, body) { try { const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }); const result = await response.json(); if (!response.ok && response.status !== 409 && response.status !== 422) throw new Error(result.error || response.statusText); result.status = response.status; return result; } catch (err) { alert('Request failed: ' + err.message); return null; } }
+    // Saves the edited cells. Validation errors block saving unless overridden.
+    async function submitChanges(overwrite = false) { const changes = Array.from(edits, ([id, value]) => { const sep = id.lastIndexOf('|'); return { key: id.slice(0, sep), locale: id.slice(sep + 1), value }; }); const status = $('save-status'); status.textContent = 'Saving...'; const result = await postJson('/save', { changes, force: $('force-save').checked, revisions, overwrite }); if (!result) { status.textContent = ''; return; } if (result.status === 409) { const list = result.conflicts.map(c => c.key + ' [' + c.locale + ']: ' + (c.disk === null ? 'removed' : JSON.stringify(c.disk)) + ' on disk').join('\\n'); if (confirm(result.conflicts.length + ' of your changes conflict with changes made on disk since the page was loaded:\\n' + list + '\\n\\nSave yours over them?')) return submitChanges(true); status.textContent = 'Nothing was saved: ' + result.conflicts.length + ' cells were changed on disk. Reload the page to see them (your edits are lost), or save again to overwrite them.'; return; } if (result.status === 422) { status.textContent = result.errors.length + ' validation errors, nothing was saved. Fix them or check "Save despite validation errors".'; $('filter-status').value = 'invalid'; page = 0; render(); return; } changes.forEach(({ key, locale, value }) => { const row = rowIndex.get(key); if (value) row.values[locale] = value; else delete row.values[locale]; }); edits.clear(); rows.forEach(row => { row.isNew = false; }); revisions = result.revisions; status.textContent = 'Saved ' + result.saved + ' translations. Undo from the save log if needed.'; render(); await refreshOutdated(); }
+    // Saves the edited cells, one save at a time.
+    let savePromise = null;
+    async function saveChanges() { if (edits.size === 0 || savePromise) return; savePromise = submitChanges(); try { await savePromise; } finally { savePromise = null; } }
+    $('save-btn').addEventListener('click', saveChanges);
+    // Live updates: reloads the rows and merges them with the unsaved edits, which are kept (as is the focused
+    // cell). Warns when a locale file changed on disk while there are unsaved edits, naming the edited cells
+    // whose value on disk changed too.
+    async function onProjectChange(change) { if (savePromise) await savePromise; const response = await fetch('/editor/rows'); if (!response.ok) return; const fresh = await response.json(); const freshIndex = new Map(fresh.map(row => [row.key, row])); const hadEdits = edits.size > 0; const conflicts = []; edits.forEach((value, id) => { const sep = id.lastIndexOf('|'); const key = id.slice(0, sep); const loc = id.slice(sep + 1); const before = rowIndex.get(key); const now = freshIndex.get(key); const disk = (now && now.values[loc]) || ''; if (disk === value) edits.delete(id); else if (((before && before.values[loc]) || '') !== disk) conflicts.push(key + ' [' + loc + ']'); }); const kept = rows.filter(row => !freshIndex.has(row.key) && (row.isNew || locales.some(l => edits.has(row.key + '|' + l)))); rows.splice(0, rows.length, ...kept, ...fresh); rowIndex.clear(); rows.forEach(row => rowIndex.set(row.key, row)); const active = document.activeElement; const focus = active && active.tagName === 'TEXTAREA' ? { key: active.dataset.key, locale: active.dataset.locale, start: active.selectionStart, end: active.selectionEnd } : null; render(); if (focus) { const cell = table.querySelector('textarea[data-key="' + CSS.escape(focus.key) + '"][data-locale="' + CSS.escape(focus.locale) + '"]'); if (cell) { cell.focus(); cell.setSelectionRange(focus.start, focus.end); } } const warn = hadEdits && change.localeFiles.length > 0; showLiveStatus(describeProjectChange(change) + (warn ? ' Your unsaved changes are kept; saving writes them over the values on disk' + (conflicts.length > 0 ? ', including ' + conflicts.length + ' cells that also changed on disk: ' + conflicts.join(', ') : '') + '.' : ''), warn); }
+    // Drops all unsaved edits and added keys.
+    $('discard-btn').addEventListener('click', () => { if (!confirm('Discard all unsaved changes?')) return; edits.clear(); for (let i = rows.length - 1; i >= 0; i--) { if (rows[i].isNew) { rowIndex.delete(rows[i].key); rows.splice(i, 1); } } render(); });
+    // Adds a key to the table. It is written to the locales it gets a translation for when saving.
+    $('add-key-btn').addEventListener('click', () => { const key = $('new-key').value.trim(); if (!key || key.split('.').some(segment => !segment)) { alert('Enter a key path such as "checkout.title".'); return; } if (rowIndex.has(key)) { alert('The key "' + key + '" already exists.'); return; } const row = { key, logicalKey: key, values: {}, uses: 0, usage: null, unused: false, outdated: {}, inherited: {}, isNew: true }; rows.unshift(row); rowIndex.set(key, row); $('new-key').value = ''; $('filter-search').value = ''; $('filter-prefix').value = ''; $('filter-status').value = ''; page = 0; render(); table.tBodies[0].querySelector('textarea').focus(); });
+    // Renames a key in every locale, with its plural forms and nested keys. Unsaved keys are renamed in place.
+    async function renameKey(row) { if (row.isNew) { const to = prompt('Rename the new key to:', row.key); if (!to || to === row.key) return; if (rowIndex.has(to)) { alert('The key "' + to + '" already exists.'); return; } locales.forEach(l => { const id = row.key + '|' + l; if (edits.has(id)) { edits.set(to + '|' + l, edits.get(id)); edits.delete(id); } }); rowIndex.delete(row.key); row.key = row.logicalKey = to; rowIndex.set(to, row); render(); return; } if (edits.size > 0) { alert('Save or discard your changes before renaming keys.'); return; } const from = row.logicalKey; const to = prompt('Rename "' + from + '" in every locale (with its plural forms and nested keys) to:', from); if (!to || to === from) return; const result = await postJson('/api/move', { from, to }); if (!result) return; if (result.status === 409 && (!confirm('Nothing was renamed because "' + to + '" already has a value in ' + Array.from(new Set(result.conflicts.map(c => c.locale))).join(', ') + '. Overwrite ' + result.conflicts.length + ' values?') || !(await postJson('/api/move', { from, to, force: true })))) return; if (row.uses > 0) alert('Renamed. Update the ' + row.uses + ' uses of "' + from + '" in the source code.'); location.reload(); }
+    // Warns before leaving the page with unsaved edits.
+    window.addEventListener('beforeunload', (event) => { if (edits.size > 0) { event.preventDefault(); event.returnValue = ''; } });
+    // Suggests the first one or two segments of the keys as prefixes.
+    Array.from(new Set(rows.flatMap(row => { const parts = row.key.split('.'); return [parts[0], parts.slice(0, 2).join('.')].slice(0, Math.min(2, parts.length - 1)); }))).sort().forEach(prefix => { const option = document.createElement('option'); option.value = prefix; $('prefix-options').appendChild(option); });
+    render();
+`;
+
+/**
+ * Provides the client-side JavaScript for live updates (`serve --watch`). Pages can handle the pushed
+ * changes with an `onProjectChange(change)` function; otherwise the page reloads when nothing was typed
+ * into it, and tells what changed when something was.
+ * @returns {string} JavaScript string.
+ */
+const getLiveUpdateScript = () => `
+    // Describes a pushed change, e.g. "1 source file changed (2 keys added, 0 removed); locale files changed on disk: de.json."
+    function describeProjectChange(change) { const parts = []; if (change.sourceFiles.length > 0) parts.push(change.sourceFiles.length + ' source ' + (change.sourceFiles.length === 1 ? 'file' : 'files') + ' changed (' + change.addedKeys.length + ' keys added, ' + change.removedKeys.length + ' removed)'); if (change.localeFiles.length > 0) parts.push('locale files changed on disk: ' + change.localeFiles.join(', ')); const text = parts.join('; '); return text.charAt(0).toUpperCase() + text.slice(1) + '.'; }
+    // Shows a live update message at the top of the page; warnings stand out.
+    function showLiveStatus(text, isWarning) { const box = document.getElementById('live-status'); box.hidden = false; box.className = 'message ' + (isWarning ? 'warning' : 'info'); box.textContent = text; }
+    // Reloads the page, unless translations were typed (or auto-filled) that would be lost.
+    function reloadUnlessUnsaved(change) { const unsaved = Array.from(document.querySelectorAll('input[name*="|"]')).filter(input => !input.readOnly && input.value !== input.defaultValue).length; if (unsaved === 0) { location.reload(); return; } showLiveStatus(describeProjectChange(change) + (change.localeFiles.length > 0 ? ' You have ' + unsaved + ' unsaved translations: saving writes only the fields you filled in and keeps the other changes in the files.' : ' Your ' + unsaved + ' unsaved translations are kept; the table is updated after saving.'), change.localeFiles.length > 0); }
+    new EventSource('/events').addEventListener('update', (event) => { const change = JSON.parse(event.data); if (typeof onProjectChange === 'function') onProjectChange(change); else reloadUnlessUnsaved(change); });
+`;
+
+/**
+ * Renders the links between the pages of the web interface.
+ * @param {string} current - The path of the current page.
+ * @returns {string} The HTML of the navigation.
+ */
+function renderNavigation(current) {
+	return `<nav class="nav">${[
+		['/', 'Missing Translations'],
+		['/editor', 'All Keys'],
+		['/saves', 'Save Log'],
+		['/report', 'Coverage']
+	]
+		.map(
+			([href, label]) =>
+				`<a href="${href}"${
+					href === current ? ' class="active"' : ''
+				}>${label}</a>`
+		)
+		.join('')}</nav>`;
+}
+
+/**
+ * Generates the HTML of the editor page, which lists every key of every locale for editing.
+ * @param {object[]} rows - The editor rows (see `getEditorRows`).
+ * @param {{ liveUpdates?: boolean, revisions?: object, glossary?: object[] }} [options] - `liveUpdates`
+ *   connects the page to the file watcher; `revisions` are the revisions of the locale files the rows were
+ *   read from; `glossary` is checked along with the other validation rules.
+ * @returns {string} The complete HTML string for the web page.
+ */
+function generateEditorHtml(
+	rows,
+	{ liveUpdates = false, revisions = {}, glossary = [] } = {}
+) {
+	const localeOptions = config.locales
+		.filter((l) => l !== config.sourceLocale)
+		.map(
+			(l) => `<option value="${escapeHtml(l)}">${escapeHtml(l)}</option>`
+		)
+		.join('');
+	const statusOptions = [
+		['', 'All keys'],
+		['missing', 'Missing translations'],
+		['translated', 'Fully translated'],
+		['invalid', 'Validation errors'],
+		['outdated', 'Outdated translations'],
+		['unused', 'Unused in the source code'],
+		['changed', 'Unsaved changes']
+	]
+		.map(([value, label]) => `<option value="${value}">${label}</option>`)
+		.join('');
+	const pageSizeOptions = [50, 100, 250, 1000]
+		.map(
+			(size) =>
+				`<option value="${size}"${
+					size === 100 ? ' selected' : ''
+				}>${size} per page</option>`
+		)
+		.join('');
+	const body = `<div class="section"><h2>All Keys</h2><p>Edit any translation of any key. Changed cells are highlighted, and only they are written when you save. Keys are renamed in every locale, with their plural forms and nested keys. Translations whose source text changed since they were translated are outdated: they show the change, and stay outdated until you update them or mark them as still correct.</p><p class="hint"><kbd>Alt</kbd>+<kbd>↓</kbd>/<kbd>↑</kbd> or <kbd>Ctrl</kbd>+<kbd>Enter</kbd>: next/previous row · <kbd>Esc</kbd>: revert the cell · <kbd>Alt</kbd>+<kbd>PgDn</kbd>/<kbd>PgUp</kbd>: next/previous page · <kbd>/</kbd>: search · <kbd>Ctrl</kbd>+<kbd>S</kbd>: save</p><div class="toolbar"><input type="search" id="filter-search" placeholder="Search keys and texts"/><input type="text" id="filter-prefix" list="prefix-options" placeholder="Key prefix, e.g. checkout"/><datalist id="prefix-options"></datalist><select id="filter-locale"><option value="">All locales</option>${localeOptions}</select><select id="filter-status">${statusOptions}</select><select id="page-size">${pageSizeOptions}</select></div><div class="toolbar"><input type="text" id="new-key" placeholder="New key, e.g. checkout.title"/><button type="button" id="add-key-btn">Add Key</button></div><table id="editor-table"><thead><tr></tr></thead><tbody></tbody></table><div class="pager"><button type="button" id="prev-page">← Previous</button><span id="page-info"></span><button type="button" id="next-page">Next →</button></div><div class="actions sticky-actions"><button type="button" id="save-btn">Save Changes</button><button type="button" id="discard-btn">Discard</button><label class="force-save"><input type="checkbox" id="force-save"/> Save despite validation errors</label><span id="dirty-count"></span> <span id="save-status"></span></div></div>`;
+	return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>i18n Sync Tool – All Keys</title><style>${getPageStyles()}</style></head><body><div class="container">${renderNavigation(
+		'/editor'
+	)}${
+		liveUpdates ? '<div id="live-status" hidden></div>' : ''
+	}${body}</div><script>${getEditorScript(
+		toScriptJson(rows),
+		toScriptJson({
+			locales: config.locales,
+			sourceLocale: config.sourceLocale,
+			revisions,
+			glossary
+		})
+	)}</script>${
+		liveUpdates ? `<script>${getLiveUpdateScript()}</script>` : ''
+	}</body></html>`;
+}
+
+/**
+ * Generates the HTML of the save log page, which lists the latest saves with their changes and can undo
+ * the latest one.
+ * @param {object[]} saves - The saves, newest first (see `readSaveLog`).
+ * @param {{ message?: string }} [options] - `message` is HTML shown above the log, e.g. the result of an undo.
+ * @returns {string} The complete HTML string for the web page.
+ */
+function generateSaveLogHtml(saves, { message = '' } = {}) {
+	const formatTime = (time) => escapeHtml(new Date(time).toLocaleString());
+	const formatValue = (value) =>
+		value === null
+			? '<em>none</em>'
+			: escapeHtml(
+					typeof value === 'string' ? value : JSON.stringify(value)
+			  );
+	const sources = { web: 'Web UI', api: 'API', undo: 'Undo' };
+	const latest = saves.find((save) => !save.undoneAt && !save.undoOf);
+	const undoForm = latest
+		? `<form action="/undo" method="post" class="actions"><button type="submit">Undo Latest Save</button><span>Reverts the ${
+				latest.changes.length
+		  } changes saved ${formatTime(
+				latest.savedAt
+		  )}. Keys changed again since are not reverted unless you confirm it.</span></form>`
+		: '<p>There is no save to undo.</p>';
+	const entries = saves
+		.map(
+			(save) =>
+				`<div class="section"><h3>${formatTime(save.savedAt)} · ${
+					sources[save.source] || escapeHtml(save.source)
+				} · ${save.changes.length} ${
+					save.changes.length === 1 ? 'change' : 'changes'
+				}${
+					save.undoneAt
+						? ` <span class="badge">undone ${formatTime(
+								save.undoneAt
+						  )}</span>`
+						: ''
+				}</h3><table><thead><tr><th>Key Path</th><th>Locale</th><th>Before</th><th>After</th></tr></thead><tbody>${save.changes
+					.map(
+						(change) =>
+							`<tr><td><code>${escapeHtml(
+								change.key
+							)}</code></td><td>${escapeHtml(
+								change.locale
+							)}</td><td>${formatValue(
+								change.before
+							)}</td><td>${formatValue(change.after)}</td></tr>`
+					)
+					.join('')}</tbody></table></div>`
+		)
+		.join('');
+	return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>i18n Sync Tool – Save Log</title><style>${getPageStyles()}</style></head><body><div class="container">${renderNavigation(
+		'/saves'
+	)}${message}<div class="section"><h2>Save Log</h2><p>The latest ${SAVE_LOG_LIMIT} saves from the web interface and the JSON API, with the values before and after each change.</p>${undoForm}</div>${
+		entries || '<div class="message info">Nothing was saved yet.</div>'
+	}</div></body></html>`;
+}
+
+/**
+ * Watches the source files and the locale files (for `serve --watch`). Changes are collected for a short
+ * moment, so that an editor saving several files (or writing a file in steps) causes one update.
+ * @param {(changes: { sourceFiles: string[], localeFiles: string[] }) => Promise<void>} onChange - Called
+ *   with the changed source files (relative to the workspace, as in the scan results) and the changed
+ *   locale files (relative to the locales directory). Calls never overlap.
+ * @returns {() => void} A function that stops watching.
+ */
+function watchProject(onChange) {
+	const sourceExtensions = ['.js', '.jsx', '.ts', '.tsx'];
+	const typesFile = path.resolve(config.typesFile);
+	const namespaced = config.layout === 'namespaced';
+	// The locale files, or in the namespaced layout the directories of the locales.
+	const localePaths = new Set(
+		config.locales.map((locale) => getLocaleFilePath(locale))
+	);
+	const localeDirs = namespaced
+		? localePaths
+		: new Set([...localePaths].map((file) => path.dirname(file)));
+	const localeExtension = path.extname(getFilePattern(config));
+	const isLocaleFile = (file) =>
+		namespaced
+			? localeDirs.has(path.dirname(file)) &&
+			  path.extname(file) === localeExtension
+			: localePaths.has(file);
+	const pending = new Set(); // Absolute paths of the changed files.
+	let timer = null;
+	let running = Promise.resolve();
+	const flush = () => {
+		const files = [...pending];
+		pending.clear();
+		const sourceFiles = files
+			.filter(
+				(file) =>
+					sourceExtensions.includes(path.extname(file)) &&
+					file !== typesFile &&
+					!path.relative(config.workspaceDir, file).startsWith('..')
+			)
+			.map((file) =>
+				path
+					.relative(config.workspaceDir, file)
+					.split(path.sep)
+					.join('/')
+			);
+		const localeFiles = files
+			.filter(isLocaleFile)
+			.map((file) => path.relative(config.localesDir, file));
+		if (sourceFiles.length === 0 && localeFiles.length === 0) return;
+		running = running
+			.then(() => onChange({ sourceFiles, localeFiles }))
+			.catch((error) =>
+				console.error('Error handling file changes:', error)
+			);
+	};
+	const onEvent = (dir) => (eventType, fileName) => {
+		if (!fileName) return;
+		pending.add(path.join(dir, fileName.toString()));
+		clearTimeout(timer);
+		timer = setTimeout(flush, 200);
+	};
+	const watchers = [];
+	try {
+		watchers.push(
+			fsSync.watch(
+				config.workspaceDir,
+				{ recursive: true },
+				onEvent(config.workspaceDir)
+			)
+		);
+	} catch (error) {
+		if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+		// Node.js before 20 cannot watch recursively on Linux: watch every directory that exists now.
+		const dirs = globSync('**/', {
+			cwd: config.workspaceDir,
+			ignore: config.ignore,
+			absolute: true
+		});
+		for (const dir of new Set([
+			path.resolve(config.workspaceDir),
+			...dirs
+		])) {
+			watchers.push(fsSync.watch(dir, onEvent(dir)));
+		}
+	}
+	for (const dir of localeDirs) {
+		try {
+			watchers.push(fsSync.watch(dir, onEvent(dir)));
+		} catch (error) {
+			console.warn(`⚠️  Could not watch ${dir} (${error.message})`);
+		}
+	}
+	return () => {
+		clearTimeout(timer);
+		watchers.forEach((watcher) => watcher.close());
+	};
+}
+
+/**
+ * Creates the routes of the JSON API under `/api`, which lets scripts and dashboards list keys and their
+ * status, read and write entries, run a scan and get validation results. Invalid input is answered with
+ * 400 and `{ error }`, translations failing validation with 422 and `{ errors }`.
+ * @param {{ scanResult: object, scanCache: Map }} state - The server state; `POST /api/scan` replaces
+ *   its scan result.
+ * @returns {express.Router} The router.
+ */
+function createApiRouter(state) {
+	const router = express.Router();
+	const KEY_STATUSES = [
+		'missing',
+		'translated',
+		'invalid',
+		'outdated',
+		'unused'
+	];
+
+	// Wraps a route handler: ConfigErrors (invalid input) are answered with 400, other errors with 500.
+	const handle = (handler) => async (req, res) => {
+		try {
+			const { key, locale } = req.params;
+			if (key !== undefined && !isValidKeyPath(key))
+				throw new ConfigError(`Invalid key path "${key}".`);
+			if (locale !== undefined && !config.locales.includes(locale))
+				throw new ConfigError(`Unknown locale "${locale}".`);
+			await handler(req, res);
+		} catch (error) {
+			if (!(error instanceof ConfigError))
+				console.error(
+					`Error in ${req.method} ${req.originalUrl}:`,
+					error
+				);
+			res.status(error instanceof ConfigError ? 400 : 500).json({
+				error: error.message
+			});
+		}
+	};
+	// Answers a save with 409 and the conflicts, or 422 and the validation errors, if it was blocked by them.
+	const sendSaveResult = (
+		res,
+		{ saved, errors, conflicts, revisions },
+		body
+	) => {
+		if (conflicts.length > 0)
+			res.status(409).json({ conflicts, revisions });
+		else if (saved === 0 && errors.length > 0)
+			res.status(422).json({ errors });
+		else res.json({ ...body, revisions });
+	};
+
+	// GET /api/status: the locales, with how many keys each has translated (and how many translations are
+	// outdated), and the revisions of the files.
+	router.get(
+		'/status',
+		handle(async (req, res) => {
+			const revisions = {};
+			const rows = getEditorRows(
+				state.scanResult,
+				await loadLocaleData(revisions),
+				await readTranslationLock()
+			);
+			res.json({
+				sourceLocale: config.sourceLocale,
+				revisions,
+				keys: rows.length,
+				unusedKeys: rows.filter((row) => row.unused).length,
+				dynamicKeys: state.scanResult.dynamicKeys,
+				locales: config.locales.map((locale) => {
+					const translated = rows.filter(
+						(row) => row.values[locale]
+					).length;
+					const inherited = rows.filter(
+						(row) => !row.values[locale] && row.inherited[locale]
+					).length;
+					return {
+						locale,
+						translated,
+						inherited,
+						missing: rows.length - translated - inherited,
+						outdated: rows.filter((row) => row.outdated[locale])
+							.length
+					};
+				})
+			});
+		})
+	);
+
+	// GET /api/keys?prefix=checkout&locale=de&status=missing&search=cart&offset=0&limit=100
+	router.get(
+		'/keys',
+		handle(async (req, res) => {
+			const { prefix, locale, status, search } = req.query;
+			const offset = Number(req.query.offset || 0);
+			const limit = Number(req.query.limit || 100);
+			if (locale !== undefined && !config.locales.includes(locale))
+				throw new ConfigError(`Unknown locale "${locale}".`);
+			if (status !== undefined && !KEY_STATUSES.includes(status))
+				throw new ConfigError(
+					`Unknown status "${status}". Use one of: ${KEY_STATUSES.join(
+						', '
+					)}.`
+				);
+			if (!Number.isInteger(offset) || offset < 0)
+				throw new ConfigError(
+					'`offset` must be a non-negative integer.'
+				);
+			if (!Number.isInteger(limit) || limit < 1 || limit > 1000)
+				throw new ConfigError(
+					'`limit` must be an integer from 1 to 1000.'
+				);
+			const rows = filterEditorRows(
+				getEditorRows(
+					state.scanResult,
+					await loadLocaleData(),
+					await readTranslationLock()
+				),
+				{ prefix, locale, status, search }
+			);
+			res.json({
+				total: rows.length,
+				offset,
+				limit,
+				keys: rows.slice(offset, offset + limit)
+			});
+		})
+	);
+
+	// GET /api/keys/:key: the values of a key (or of a logical key's plural variants) in every locale.
+	router.get(
+		'/keys/:key',
+		handle(async (req, res) => {
+			const { key } = req.params;
+			const localeData = await loadLocaleData();
+			const values = {};
+			for (const locale of config.locales) {
+				const value = getValue(localeData[locale], key);
+				const variants = getPluralVariants(localeData[locale], key);
+				if (value !== undefined) values[locale] = value;
+				else if (Object.keys(variants).length > 0)
+					values[locale] = variants;
+			}
+			const logicalKey = getPluralBaseKey(key) || key;
+			const usages = state.scanResult.usages.get(logicalKey) || [];
+			if (Object.keys(values).length === 0 && usages.length === 0) {
+				res.status(404).json({ error: `Unknown key "${key}".` });
+				return;
+			}
+			res.json({
+				key,
+				values,
+				usages,
+				issues: validateLocaleData(
+					[logicalKey],
+					localeData,
+					await readGlossary()
+				)
+			});
+		})
+	);
+
+	// PUT /api/keys/:key/:locale with `{ value, force }`: sets one translation.
+	router.put(
+		'/keys/:key/:locale',
+		handle(async (req, res) => {
+			const { key, locale } = req.params;
+			const { value } = req.body || {};
+			if (typeof value !== 'string' || value === '')
+				throw new ConfigError(
+					'Pass the translation as a non-empty `value` string; use DELETE to remove it.'
+				);
+			const result = await saveTranslationChanges(
+				[{ key, locale, value }],
+				getSaveOptions(req.body)
+			);
+			sendSaveResult(res, result, { key, locale, value });
+		})
+	);
+
+	// DELETE /api/keys/:key/:locale: removes a translation (or a group of keys).
+	router.delete(
+		'/keys/:key/:locale',
+		handle(async (req, res) => {
+			const { key, locale } = req.params;
+			if (getValue(await readLocaleFile(locale), key) === undefined) {
+				res.status(404).json({
+					error: `"${key}" has no value in the "${locale}" locale.`
+				});
+				return;
+			}
+			const result = await saveTranslationChanges(
+				[{ key, locale, value: '' }],
+				getSaveOptions(req.body)
+			);
+			sendSaveResult(res, result, { deleted: { key, locale } });
+		})
+	);
+
+	// PATCH /api/translations with `{ changes: [{ key, locale, value }], force, reviewed }`: sets (or, with an
+	// empty value, removes) many translations at once. Nothing is saved if one change is invalid. `reviewed`
+	// lists outdated translations (`{ key, locale }`) to keep as they are.
+	router.patch(
+		'/translations',
+		handle(async (req, res) => {
+			const { changes } = req.body || {};
+			const result = await saveTranslationChanges(
+				changes,
+				getSaveOptions(req.body)
+			);
+			sendSaveResult(res, result, { saved: result.saved });
+		})
+	);
+
+	// GET /api/outdated?locale=de: the translations whose source text changed (see `findOutdatedTranslations`).
+	router.get(
+		'/outdated',
+		handle(async (req, res) => {
+			const { locale } = req.query;
+			if (locale !== undefined && !config.locales.includes(locale))
+				throw new ConfigError(`Unknown locale "${locale}".`);
+			const lock = await readTranslationLock();
+			res.json({
+				tracked: lock !== null,
+				outdated: findOutdatedTranslations(
+					await loadLocaleData(),
+					lock
+				).filter(
+					(entry) => locale === undefined || entry.locale === locale
+				)
+			});
+		})
+	);
+
+	// GET /api/saves?limit=20: the latest saves from the save log, newest first.
+	router.get(
+		'/saves',
+		handle(async (req, res) => {
+			const limit = Number(req.query.limit || 20);
+			if (!Number.isInteger(limit) || limit < 1)
+				throw new ConfigError('`limit` must be a positive integer.');
+			res.json((await readSaveLog()).reverse().slice(0, limit));
+		})
+	);
+
+	// POST /api/undo with `{ overwrite }`: undoes the latest save (see `undoLastSave`).
+	router.post(
+		'/undo',
+		handle(async (req, res) => {
+			const { overwrite } = req.body || {};
+			const result = await undoLastSave({
+				overwrite: Boolean(overwrite)
+			});
+			if (result.undone === 0) res.status(409).json(result);
+			else res.json(result);
+		})
+	);
+
+	// POST /api/move with `{ from, to, force, dryRun }`: renames a key in every locale. Answers 409 with
+	// the conflicts, without moving anything, if the new path is taken and `force` is not set.
+	router.post(
+		'/move',
+		handle(async (req, res) => {
+			const { from, to, force, dryRun } = req.body || {};
+			const result = await runExclusive(() =>
+				moveKeys(from, to, {
+					force: Boolean(force),
+					dryRun: Boolean(dryRun)
+				})
+			);
+			if (result.conflicts.length > 0) res.status(409).json(result);
+			else res.json(result);
+		})
+	);
+
+	// POST /api/scan: scans the source code again and regenerates the types file and the pseudo-locales.
+	router.post(
+		'/scan',
+		handle(async (req, res) => {
+			state.scanResult = scanForKeys({ cache: state.scanCache });
+			await generateTypesFile(state.scanResult.keys);
+			await generatePseudoLocales();
+			res.json({
+				keys: state.scanResult.keys.length,
+				dynamicKeys: state.scanResult.dynamicKeys,
+				missingKeys: [...(await getMissingKeys()).keys()]
+			});
+		})
+	);
+
+	// GET /api/validation?locale=de: the validation issues of all translations, as the `validate` command.
+	router.get(
+		'/validation',
+		handle(async (req, res) => {
+			const { locale } = req.query;
+			if (locale !== undefined && !config.locales.includes(locale))
+				throw new ConfigError(`Unknown locale "${locale}".`);
+			const localeData = await loadLocaleData();
+			const issues = validateLocaleData(
+				getLogicalKeys(localeData[config.sourceLocale]),
+				localeData,
+				await readGlossary()
+			).filter(
+				(issue) => locale === undefined || issue.locale === locale
+			);
+			const errors = issues.filter((i) => i.severity === 'error').length;
+			res.json({
+				ok: errors === 0,
+				errors,
+				warnings: issues.length - errors,
+				issues
+			});
+		})
+	);
+
+	router.use((req, res) => {
+		res.status(404).json({
+			error: `Unknown API route ${req.method} ${req.path}.`
+		});
+	});
+	return router;
+}
+
+/**
+ * Starts a local web server to host the i18n sync tool UI.
+ * This server handles displaying the translation status and saving updated translations.
+ * @param {{ usages: Map<string, object[]> }} scanResult - The result of `scanForKeys`, used to show
+ *   where each key is used. `POST /api/scan` and watch mode replace it.
+ * @param {object} [options]
+ * @param {boolean} [options.watch=false] - Watch the source and locale files, keep the scan result and the
+ *   types file up to date, and push the changes to the open pages.
+ * @param {Map<string, object>} [options.scanCache] - The per-file cache of the initial scan, so that watch
+ *   mode only rescans changed files.
+ */
+async function startServer(
+	scanResult,
+	{ watch = false, scanCache = new Map() } = {}
+) {
+	const state = { scanResult, scanCache };
+	const app = express(); // Initialize Express application.
+	const server = http.createServer(app); // Create HTTP server.
+	app.use(bodyParser.urlencoded({ extended: true })); // Middleware to parse URL-encoded bodies (for form submissions).
+	app.use(bodyParser.json({ limit: '5mb' })); // Middleware to parse JSON bodies (for the editor and the API).
+	app.use('/api', createApiRouter(state)); // The JSON API (see `createApiRouter`).
+	const translationService = createTranslationService(config.translation); // null without a provider.
+
+	// Route for the editor of all keys (GET /editor).
+	app.get('/editor', async (req, res) => {
+		try {
+			const revisions = {};
+			const rows = getEditorRows(
+				state.scanResult,
+				await loadLocaleData(revisions),
+				await readTranslationLock()
+			);
+			res.send(
+				generateEditorHtml(rows, {
+					liveUpdates: watch,
+					revisions,
+					glossary: await readGlossary()
+				})
+			);
+		} catch (error) {
+			console.error('Error generating page:', error);
+			res.status(500).send(
+				'<h1>Error</h1><p>Could not process i18n files. Check console for details.</p>'
+			);
+		}
+	});
+
+	// Route for the rows of the editor (GET /editor/rows), which it reloads after live updates.
+	app.get('/editor/rows', async (req, res) => {
+		try {
+			res.json(
+				getEditorRows(
+					state.scanResult,
+					await loadLocaleData(),
+					await readTranslationLock()
+				)
+			);
+		} catch (error) {
+			console.error('Error reading locale files:', error);
+			res.status(500).json({ error: error.message });
+		}
+	});
+
+	// Route for the main page (GET /).
+	app.get('/', async (req, res) => {
+		try {
+			const revisions = {}; // The revisions of the locale files, sent back when saving.
+			const missingKeys = await getMissingKeys(revisions); // Get current missing keys.
+			const localeData = await loadLocaleData();
+			const html = generateHtml(
+				missingKeys,
+				state.scanResult.usages,
+				translationService,
+				{
+					liveUpdates: watch,
+					revisions,
+					glossary: await readGlossary(),
+					outdated: groupOutdatedTranslations(
+						findOutdatedTranslations(
+							localeData,
+							await readTranslationLock()
+						),
+						localeData
+					),
+					inherited: findInheritedTranslations(
+						missingKeys.keys(),
+						localeData
+					)
+				}
+			); // Generate HTML for the page.
+			res.send(html); // Send the HTML response.
+		} catch (error) {
+			console.error('Error generating page:', error);
+			res.status(500).send(
+				'<h1>Error</h1><p>Could not process i18n files. Check console for details.</p>'
+			);
+		}
+	});
+
+	// Route for the translation memory suggestions of a missing cell (GET /suggestions?key=&locale=), which
+	// the page loads when the cell gets the focus. Answers with their HTML (see `renderSuggestions`).
+	app.get('/suggestions', async (req, res) => {
+		const { key, locale } = req.query;
+		if (typeof key !== 'string' || !config.locales.includes(locale)) {
+			res.status(400).send('Invalid key or locale.');
+			return;
+		}
+		try {
+			const { localeData, memory } = await loadTranslationMemory();
+			const source = getTranslation(localeData[config.sourceLocale], key);
+			const suggestions =
+				typeof source === 'string' && source
+					? getMemorySuggestions(memory, key, locale, source)
+					: [];
+			res.send(
+				suggestions.length > 0 ? renderSuggestions(suggestions) : ''
+			);
+		} catch (error) {
+			console.error('Error loading suggestions:', error);
+			res.status(500).send('');
+		}
+	});
+
+	// Route for saving translations (POST /save). The missing-keys page posts its form; the editor posts
+	// JSON with only the changed cells (`{ changes: [{ key, locale, value }], force, overwrite, revisions }`)
+	// and gets JSON back. Both send the revisions of the locale files they were loaded with, so that
+	// changes made on disk since are merged instead of overwritten (see `saveTranslationChanges`).
+	app.post('/save', async (req, res) => {
+		const isJson = req.is('application/json');
+		try {
+			let changes;
+			let options;
+			if (isJson) {
+				changes = req.body.changes;
+				options = getSaveOptions(req.body, 'web');
+			} else {
+				const localeData = await loadLocaleData(); // Load current locale data from files.
+				changes = [];
+				let revisions;
+				try {
+					revisions =
+						JSON.parse(req.body.revisions || 'null') || undefined;
+				} catch (error) {
+					throw new ConfigError(
+						'The form has invalid file revisions.'
+					);
+				}
+				options = getSaveOptions(
+					{
+						force: req.body['force-save'],
+						overwrite: req.body.overwrite,
+						revisions,
+						// Checked "Still correct" boxes of outdated translations, named "reviewed" with "<key>|<locale>" values.
+						reviewed: []
+							.concat(req.body.reviewed || [])
+							.map((value) => ({
+								key: value.slice(0, value.lastIndexOf('|')),
+								locale: value.slice(value.lastIndexOf('|') + 1)
+							}))
+					},
+					'web'
+				);
+				// Collect the submitted form fields (named "<key>|<locale>") whose value differs from the file.
+				for (const [formKey, value] of Object.entries(req.body)) {
+					if (value && formKey.includes('|')) {
+						const [key, locale] = formKey.split('|'); // Extract key path and locale from form field name.
+						if (getValue(localeData[locale], key) !== value)
+							changes.push({ key, locale, value });
+					}
+				}
+			}
+			const { saved, errors, conflicts, revisions } =
+				await saveTranslationChanges(changes, options);
+			if (conflicts.length > 0) {
+				if (isJson) {
+					res.status(409).json({ conflicts, revisions });
+					return;
+				}
+				// Offer to save the same form again, over the changes made on disk.
+				const fields = Object.entries(req.body)
+					.filter(
+						([name]) => name !== 'revisions' && name !== 'overwrite'
+					)
+					.flatMap(([name, value]) =>
+						[]
+							.concat(value)
+							.map(
+								(item) =>
+									`<input type="hidden" name="${escapeHtml(
+										name
+									)}" value="${escapeHtml(item)}"/>`
+							)
+					)
+					.join('');
+				res.status(409).send(
+					`<!DOCTYPE html><html><head><title>Conflicting changes</title><style>body { font-family: sans-serif; background: #1a1a1a; color: #e0e0e0; padding: 2rem; } a { color: #4e9af1; } li { margin: 6px 0; } code { color: #f5a133; } button { background-color: #4e9af1; color: #fff; border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer; }</style></head><body><h1>⚠️ Nothing was saved</h1><p>${
+						conflicts.length
+					} translations were changed on disk since the page was loaded:</p><ul>${conflicts
+						.map(
+							(c) =>
+								`<li><code>${escapeHtml(
+									c.key
+								)}</code> [${escapeHtml(
+									c.locale
+								)}]: ${escapeHtml(
+									c.disk === null
+										? 'removed'
+										: JSON.stringify(c.disk)
+								)} on disk, ${escapeHtml(
+									JSON.stringify(c.value)
+								)} in your form</li>`
+						)
+						.join(
+							''
+						)}</ul><p><a href="/">Reload the tool</a> to see the values on disk (your input is lost), or save your values over them:</p><form action="/save" method="post">${fields}<input type="hidden" name="overwrite" value="1"/><button type="submit">Save Mine Anyway</button></form></body></html>`
+				);
+				return;
+			}
+			if (saved === 0 && errors.length > 0) {
+				if (isJson) {
+					res.status(422).json({ errors });
+					return;
+				}
+				res.status(422).send(
+					`<!DOCTYPE html><html><head><title>Validation errors</title><style>body { font-family: sans-serif; background: #1a1a1a; color: #e0e0e0; padding: 2rem; } a { color: #4e9af1; } li { margin: 6px 0; } code { color: #f5a133; }</style></head><body><h1>❌ Nothing was saved</h1><p>${
+						errors.length
+					} validation errors in the changed translations:</p><ul>${errors
+						.map(
+							(e) =>
+								`<li><code>${escapeHtml(
+									e.key
+								)}</code> [${escapeHtml(
+									e.locale
+								)}]: ${escapeHtml(e.message)}</li>`
+						)
+						.join(
+							''
+						)}</ul><p><a href="javascript:history.back()">Go back</a> to fix them, or check "Save despite validation errors".</p></body></html>`
+				);
+				return;
+			}
+			console.log(`✅ Saved ${saved} translations to the locale files.`);
+			if (isJson) {
+				res.json({ saved, revisions });
+				return;
+			}
+			// Send success response and redirect back to the main page after a short delay.
+			res.send(
+				`<!DOCTYPE html><html><head><title>Success</title><style>body { font-family: sans-serif; background: #1a1a1a; color: #e0e0e0; display: grid; place-content: center; height: 100vh; text-align: center; } a { color: #4e9af1; }</style></head><body><h1>✅ Success!</h1><p>All translation files have been updated. Changed your mind? Undo it from the <a href="/saves">save log</a>.</p><a href="/">Go back to the tool</a><script>setTimeout(() => window.location.href = '/', 1500);</script></body></html>`
+			);
+		} catch (error) {
+			if (!(error instanceof ConfigError))
+				console.error('Error saving files:', error);
+			const status = error instanceof ConfigError ? 400 : 500;
+			if (isJson) {
+				res.status(status).json({ error: error.message });
+				return;
+			}
+			res.status(status).send(
+				error instanceof ConfigError
+					? `<h1>Error</h1><p>${escapeHtml(error.message)}</p>`
+					: '<h1>Error</h1><p>Could not save i18n files. Check console for details.</p>'
+			);
+		}
+	});
+
+	// Route for the save log (GET /saves).
+	app.get('/saves', async (req, res) => {
+		try {
+			res.send(generateSaveLogHtml((await readSaveLog()).reverse()));
+		} catch (error) {
+			console.error('Error reading the save log:', error);
+			res.status(500).send(
+				'<h1>Error</h1><p>Could not read the save log. Check console for details.</p>'
+			);
+		}
+	});
+
+	// Route for the coverage report (GET /report).
+	app.get('/report', async (req, res) => {
+		try {
+			const report = buildCoverageReport(
+				state.scanResult,
+				await loadLocaleData(),
+				await readTranslationLock()
+			);
+			res.send(generateReportHtml(report, { navigation: true }));
+		} catch (error) {
+			console.error('Error generating the report:', error);
+			res.status(500).send(
+				'<h1>Error</h1><p>Could not process i18n files. Check console for details.</p>'
+			);
+		}
+	});
+
+	// Route for undoing the latest save from the save log page (POST /undo, with `overwrite=1` to also
+	// revert keys that were changed again since).
+	app.post('/undo', async (req, res) => {
+		let message;
+		try {
+			const { save, undone, conflicts } = await undoLastSave({
+				overwrite: Boolean((req.body || {}).overwrite)
+			});
+			message =
+				undone > 0
+					? `<div class="message success">✅ Reverted the ${undone} changes saved ${escapeHtml(
+							new Date(save.savedAt).toLocaleString()
+					  )}.</div>`
+					: `<div class="message warning">⚠️ Nothing was undone: ${
+							conflicts.length
+					  } keys were changed again since that save.<ul>${conflicts
+							.map(
+								(c) =>
+									`<li><code>${escapeHtml(
+										c.key
+									)}</code> [${escapeHtml(
+										c.locale
+									)}]: ${escapeHtml(
+										c.disk === null
+											? 'removed'
+											: JSON.stringify(c.disk)
+									)} now</li>`
+							)
+							.join(
+								''
+							)}</ul><form action="/undo" method="post"><input type="hidden" name="overwrite" value="1"/><button type="submit">Undo Anyway</button></form></div>`;
+			if (undone > 0)
+				console.log(`↩️  Undid a save of ${undone} translations.`);
+		} catch (error) {
+			if (!(error instanceof ConfigError)) {
+				console.error('Error undoing the save:', error);
+				res.status(500).send(
+					'<h1>Error</h1><p>Could not undo the save. Check console for details.</p>'
+				);
+				return;
+			}
+			message = `<div class="message warning">${escapeHtml(
+				error.message
+			)}</div>`;
+		}
+		res.send(
+			generateSaveLogHtml((await readSaveLog()).reverse(), { message })
+		);
+	});
+
+	// Route for downloading an export for translators (GET /export?format=xliff&scope=missing&locale=de).
+	// Per-locale formats (XLIFF, PO) take one locale per request.
+	app.get('/export', async (req, res) => {
+		const { format, scope = 'missing' } = req.query;
+		const locales = [].concat(req.query.locale || []);
+		const definition = INTERCHANGE_FORMATS[format];
+		if (
+			!definition ||
+			!['missing', 'all'].includes(scope) ||
+			locales.length === 0 ||
+			locales.some((l) => !config.locales.includes(l)) ||
+			(definition.perLocale && locales.length > 1)
+		) {
+			res.status(400).send('Invalid format, scope or locales.');
+			return;
+		}
+		try {
+			const localeData = await loadLocaleData();
+			const [file] = await buildExport({
+				format,
+				scope,
+				locales,
+				keys: getProjectKeys(state.scanResult, localeData),
+				localeData,
+				usages: state.scanResult.usages,
+				outdated: findOutdatedTranslations(
+					localeData,
+					await readTranslationLock()
+				)
+			});
+			if (!file) {
+				res.status(404).send('There is nothing to export.');
+				return;
+			}
+			res.attachment(file.fileName).send(file.content);
+		} catch (error) {
+			console.error('Error exporting:', error);
+			res.status(500).send(error.message);
+		}
+	});
+
+	// Route for importing a translated file (POST /import?file=de.xlf, with the file as the body).
+	app.post(
+		'/import',
+		bodyParser.raw({ type: 'application/octet-stream', limit: '20mb' }),
+		async (req, res) => {
+			const fileName = String(req.query.file || '');
+			let entries;
+			let fuzzy;
+			try {
+				const format = getInterchangeFormat(fileName);
+				if (!Buffer.isBuffer(req.body))
+					throw new Error('The request has no file content.');
+				({ entries, fuzzy } = await readInterchangeFile(
+					req.body,
+					format
+				));
+			} catch (error) {
+				res.status(400).json({
+					error: `Could not read ${fileName}: ${error.message}`
+				});
+				return;
+			}
+			try {
+				const report = await runExclusive(() =>
+					importTranslations(entries, state.scanResult)
+				);
+				log(
+					`📥 Imported ${report.updated.length} translations from ${fileName}.`
+				);
+				res.json({ ...report, fuzzy });
+			} catch (error) {
+				console.error('Error importing:', error);
+				res.status(500).json({ error: error.message });
+			}
+		}
+	);
+
+	// Route for machine-translating empty cells (POST /translate).
+	// Body: { cells: [{ key, locale }], sources: { [key]: sourceText } }.
+	app.post('/translate', async (req, res) => {
+		if (!translationService) {
+			res.status(400).json({
+				error: 'No translation provider is configured.'
+			});
+			return;
+		}
+		const { cells, sources } = req.body || {};
+		if (
+			!Array.isArray(cells) ||
+			!cells.every(
+				(cell) =>
+					cell &&
+					typeof cell.key === 'string' &&
+					typeof cell.locale === 'string'
+			) ||
+			!sources ||
+			typeof sources !== 'object'
+		) {
+			res.status(400).json({
+				error: 'Expected { cells: [{ key, locale }], sources: { [key]: text } }.'
+			});
+			return;
+		}
+		try {
+			// Group the cells by target locale; cells without a source text cannot be translated.
+			const itemsByLocale = new Map();
+			for (const { key, locale } of cells) {
+				const text = sources[key];
+				if (
+					locale === config.sourceLocale ||
+					!config.locales.includes(locale) ||
+					typeof text !== 'string' ||
+					!text
+				)
+					continue;
+				if (!itemsByLocale.has(locale)) itemsByLocale.set(locale, []);
+				itemsByLocale.get(locale).push({
+					key,
+					text,
+					context: getKeyContext(state.scanResult.usages, key)
+				});
+			}
+			const translations = [];
+			const errors = [];
+			for (const [locale, items] of itemsByLocale) {
+				const result = await translationService.translate(
+					items,
+					locale
+				);
+				result.translations.forEach((value, key) =>
+					translations.push({ key, locale, value })
+				);
+				errors.push(...result.errors);
+			}
+			log(
+				`🤖 Translated ${translations.length} cells with ${
+					translationService.name
+				}${errors.length ? ` (${errors.length} batches failed)` : ''}.`
+			);
+			res.json({ translations, errors });
+		} catch (error) {
+			console.error('Error translating:', error);
+			res.status(500).json({ error: error.message });
+		}
+	});
+
+	// Live updates (`serve --watch`): every change to the source or locale files is pushed to the open
+	// pages as a server-sent "update" event (GET /events).
+	if (watch) {
+		const eventClients = new Set();
+		app.get('/events', (req, res) => {
+			res.set({
+				'Content-Type': 'text/event-stream',
+				'Cache-Control': 'no-cache',
+				Connection: 'keep-alive'
+			});
+			res.flushHeaders();
+			res.write('retry: 2000\n\n'); // Reconnect quickly after a restart.
+			eventClients.add(res);
+			req.on('close', () => eventClients.delete(res));
+		});
+		// Keep idle connections open through proxies.
+		setInterval(() => {
+			eventClients.forEach((client) => client.write(': ping\n\n'));
+		}, 30000).unref();
+		watchProject(async ({ sourceFiles, localeFiles }) => {
+			// Skip files the scan ignores, but not deleted files it had scanned.
+			const scanned = sourceFiles.filter(
+				(file) =>
+					state.scanCache.has(file) ||
+					globSync(escapeGlob(file), {
+						cwd: config.workspaceDir,
+						ignore: config.ignore
+					}).length > 0
+			);
+			if (scanned.length === 0 && localeFiles.length === 0) return;
+			log(`\n👀 Changed: ${[...scanned, ...localeFiles].join(', ')}`);
+			const previousKeys = new Set(state.scanResult.keys);
+			if (scanned.length > 0)
+				state.scanResult = scanForKeys({
+					cache: state.scanCache,
+					changedFiles: new Set(scanned)
+				});
+			// The types depend on the keys and on the parameters of the source texts, the pseudo-locales on
+			// the source texts.
+			await generateTypesFile(state.scanResult.keys);
+			await generatePseudoLocales();
+			const keys = new Set(state.scanResult.keys);
+			const update = {
+				sourceFiles: scanned,
+				localeFiles,
+				addedKeys: state.scanResult.keys.filter(
+					(key) => !previousKeys.has(key)
+				),
+				removedKeys: [...previousKeys].filter((key) => !keys.has(key))
+			};
+			for (const client of eventClients) {
+				client.write(
+					`event: update\ndata: ${JSON.stringify(update)}\n\n`
+				);
+			}
+		});
+		log('👀 Watching the source and locale files for changes.');
+	}
+
+	// Answer malformed JSON bodies with a JSON error instead of an HTML page.
+	app.use((error, req, res, next) => {
+		if (error.type !== 'entity.parse.failed') {
+			next(error);
+			return;
+		}
+		res.status(400).json({ error: 'The request body is not valid JSON.' });
+	});
 
 	// Start the server and log the access URL.
-	server.listen(PORT, () => {
-		console.log(`\n✅ Web server is running!`);
-		console.log(
-			`🌍 Open your browser and navigate to: http://localhost:${PORT}`
-		);
-		console.log(`\nPress CTRL+C to stop the server.`);
+	server.listen(config.port, () => {
+		const url = `http://localhost:${config.port}`;
+		if (jsonOutput) printJson({ url });
+		log(`\n✅ Web server is running!`);
+		log(`🌍 Open your browser and navigate to: ${url}`);
+		log(`\nPress CTRL+C to stop the server.`);
 	});
 }
 
-// --- Main Execution Flow ---
-// This is the primary function that orchestrates the entire i18n process.
-async function run() {
-	console.log('🚀 Starting i18n Tool...');
+// --- COVERAGE REPORTS ---
+// The `report` command measures, per locale and per namespace (the first segment of a key, which is its
+// file in the namespaced layout), how many of the project's keys are translated and up to date, and which
+// values are missing, outdated, unused or identical to the source text. One report is rendered in any of
+// the `REPORT_FORMATS`; per-locale thresholds (`coverageThresholds`) decide whether it passes.
 
-	// Step 1: Scan the entire project to find all translation keys currently in use.
-	const usedKeys = scanForKeys();
-	if (usedKeys.length === 0) {
-		console.log('✅ No translation keys found in the project. Exiting.');
-		return;
+/**
+ * Tells whether a translation is the same as its source text, which is a sign of copy that was not
+ * translated. Texts without letters outside their placeholders (e.g. "{{count}}" or "—") do not count.
+ * @param {*} value - The translation.
+ * @param {*} source - The source text.
+ * @returns {boolean} True if the translation is the untranslated source text.
+ */
+function isIdenticalToSource(value, source) {
+	return (
+		typeof value === 'string' &&
+		value === source &&
+		/\p{L}/u.test(value.replace(/\{\{?[^{}]*\}?\}/g, ''))
+	);
+}
+
+/**
+ * Returns the coverage threshold of a locale.
+ * @param {string} locale - The locale.
+ * @param {object} thresholds - The thresholds by locale, with '*' for the others (see `coverageThresholds`).
+ * @returns {number|null} The minimum coverage in percent, or null if there is none.
+ */
+function getCoverageThreshold(locale, thresholds) {
+	if (thresholds[locale] !== undefined) return thresholds[locale];
+	return thresholds['*'] !== undefined ? thresholds['*'] : null;
+}
+
+/**
+ * Computes the coverage of every locale, in total and per namespace. The keys are the logical keys the
+ * project uses (see `getProjectKeys`); a key is translated in a locale if it has a value there that is not
+ * outdated. Values inherited from a fallback locale and values identical to the source text count as
+ * translated but are listed, as are unused keys.
+ * @param {object} scanResult - The result of `scanForKeys`.
+ * @param {object} localeData - The data of all locales.
+ * @param {object|null} lock - The lock (see `readTranslationLock`), to find the outdated translations.
+ * @param {object} [thresholds=config.coverageThresholds] - The coverage thresholds by locale.
+ * @returns {object} The report: `keys` (how many), `passed`, `locales` (per locale the counts `total` and
+ *   `translated`, the `coverage` in percent, its `threshold` and whether it `passed`, and the keys that are
+ *   `missing`, `inherited`, `outdated`, `identical` to the source text or `unused`) and `namespaces` (per
+ *   namespace, the same counts per locale).
+ */
+function buildCoverageReport(
+	scanResult,
+	localeData,
+	lock,
+	thresholds = config.coverageThresholds
+) {
+	const keys = getProjectKeys(scanResult, localeData);
+	const sourceData = localeData[config.sourceLocale];
+	// Plural forms are outdated on their own; their logical key is outdated if one of them is.
+	const outdated = new Set(
+		findOutdatedTranslations(localeData, lock).map(
+			({ key, locale }) => `${locale}|${getPluralBaseKey(key) || key}`
+		)
+	);
+	const unusedKeys = findUnusedKeys(scanResult, localeData);
+	const getNamespace = (key) => key.split('.')[0];
+	const percent = (translated, total) =>
+		total === 0 ? 100 : Math.floor((translated / total) * 1000) / 10;
+	const namespaces = new Map();
+	const locales = config.locales.map((locale) => {
+		const entry = {
+			locale,
+			total: keys.length,
+			translated: 0,
+			missing: [],
+			inherited: [],
+			outdated: [],
+			identical: [],
+			unused: [...unusedKeys]
+				.filter(([, inLocales]) => inLocales.includes(locale))
+				.map(([key]) => key)
+		};
+		const countIn = (key) => {
+			const namespace = getNamespace(key);
+			// Every locale gets counts, also in namespaces that only some locales have (unused) keys in.
+			if (!namespaces.has(namespace))
+				namespaces.set(
+					namespace,
+					Object.fromEntries(
+						config.locales.map((l) => [
+							l,
+							{
+								total: 0,
+								translated: 0,
+								missing: 0,
+								inherited: 0,
+								outdated: 0,
+								identical: 0,
+								unused: 0
+							}
+						])
+					)
+				);
+			return namespaces.get(namespace)[locale];
+		};
+		for (const key of keys) {
+			const counts = countIn(key);
+			const value = getTranslation(localeData[locale], key);
+			counts.total++;
+			if (value === undefined) {
+				if (getInheritedTranslation(localeData, locale, key)) {
+					entry.inherited.push(key);
+					entry.translated++;
+					counts.inherited++;
+					counts.translated++;
+				} else {
+					entry.missing.push(key);
+					counts.missing++;
+				}
+				continue;
+			}
+			if (outdated.has(`${locale}|${key}`)) {
+				entry.outdated.push(key);
+				counts.outdated++;
+				continue;
+			}
+			entry.translated++;
+			counts.translated++;
+			if (
+				locale !== config.sourceLocale &&
+				isIdenticalToSource(value, getTranslation(sourceData, key))
+			) {
+				entry.identical.push(key);
+				counts.identical++;
+			}
+		}
+		entry.unused.forEach((key) => countIn(key).unused++);
+		entry.coverage = percent(entry.translated, entry.total);
+		entry.threshold = getCoverageThreshold(locale, thresholds);
+		entry.passed =
+			entry.threshold === null ||
+			entry.translated * 100 >= entry.threshold * entry.total;
+		return entry;
+	});
+	return {
+		generatedAt: new Date().toISOString(),
+		sourceLocale: config.sourceLocale,
+		keys: keys.length,
+		passed: locales.every((entry) => entry.passed),
+		locales,
+		namespaces: [...namespaces.keys()].sort().map((namespace) => ({
+			namespace,
+			locales: Object.fromEntries(
+				config.locales.map((locale) => {
+					const counts = namespaces.get(namespace)[locale];
+					return [
+						locale,
+						{
+							...counts,
+							coverage: percent(counts.translated, counts.total)
+						}
+					];
+				})
+			)
+		}))
+	};
+}
+
+/**
+ * Lays out rows of text as columns, for the terminal.
+ * @param {string[][]} rows - The rows, header first.
+ * @returns {string} The table.
+ */
+function formatTextTable(rows) {
+	const widths = rows[0].map((_, i) =>
+		Math.max(...rows.map((row) => String(row[i]).length))
+	);
+	return rows
+		.map((row) =>
+			row
+				.map((cell, i) => String(cell).padEnd(widths[i]))
+				.join('  ')
+				.trimEnd()
+		)
+		.join('\n');
+}
+
+/**
+ * Describes the threshold of a locale in a report, e.g. "100% (failed)".
+ * @param {object} entry - The locale entry of the report.
+ * @returns {string} The description, or "—" without a threshold.
+ */
+function describeThreshold({ threshold, passed }) {
+	if (threshold === null) return '—';
+	return `${threshold}% (${passed ? 'passed' : 'failed'})`;
+}
+
+/**
+ * Lists keys for a Markdown or HTML report, shortened to the first 50.
+ * @param {string[]} keys - The keys.
+ * @param {(key: string) => string} format - Formats a key.
+ * @returns {string} The list, comma-separated.
+ */
+function listReportKeys(keys, format) {
+	const shown = keys.slice(0, 50).map(format).join(', ');
+	return keys.length > 50 ? `${shown} and ${keys.length - 50} more` : shown;
+}
+
+/**
+ * Generates the HTML coverage report, with the styles of the web interface. The `report` command writes
+ * it as a static page; the web server shows it with its navigation.
+ * @param {object} report - The report (see `buildCoverageReport`).
+ * @param {{ navigation?: boolean }} [options] - `navigation` adds the links to the other pages.
+ * @returns {string} The complete HTML string for the web page.
+ */
+function generateReportHtml(report, { navigation = false } = {}) {
+	const bar = (coverage) =>
+		`<div class="coverage"><div class="coverage-bar" style="width:${coverage}%"></div><span>${coverage.toFixed(
+			1
+		)}%</span></div>`;
+	const localeRows = report.locales
+		.map(
+			(entry) =>
+				`<tr><td><code>${escapeHtml(entry.locale)}</code></td><td>${bar(
+					entry.coverage
+				)}</td><td>${entry.translated} / ${entry.total}</td><td>${
+					entry.missing.length
+				}</td><td>${entry.outdated.length}</td><td>${
+					entry.identical.length
+				}</td><td>${entry.unused.length}</td><td${
+					entry.passed ? '' : ' class="failed"'
+				}>${describeThreshold(entry)}</td></tr>`
+		)
+		.join('');
+	const namespaceRows = report.namespaces
+		.map(
+			({ namespace, locales }) =>
+				`<tr><td><code>${escapeHtml(
+					namespace
+				)}</code></td>${report.locales
+					.map(
+						({ locale }) =>
+							`<td>${bar(locales[locale].coverage)}</td>`
+					)
+					.join('')}</tr>`
+		)
+		.join('');
+	const details = report.locales
+		.filter((entry) =>
+			['missing', 'outdated', 'identical', 'unused'].some(
+				(list) => entry[list].length > 0
+			)
+		)
+		.map(
+			(entry) =>
+				`<details><summary><code>${escapeHtml(
+					entry.locale
+				)}</code></summary><ul>${[
+					['missing', 'Missing'],
+					['outdated', 'Outdated'],
+					['identical', 'Identical to the source text'],
+					['unused', 'Unused']
+				]
+					.filter(([list]) => entry[list].length > 0)
+					.map(
+						([list, label]) =>
+							`<li>${label}: ${listReportKeys(
+								entry[list],
+								(key) => `<code>${escapeHtml(key)}</code>`
+							)}</li>`
+					)
+					.join('')}</ul></details>`
+		)
+		.join('');
+	return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>i18n Sync Tool – Coverage</title><style>${getPageStyles()}</style></head><body><div class="container">${
+		navigation ? renderNavigation('/report') : ''
+	}<div class="message ${report.passed ? 'success' : 'warning'}">${
+		report.passed
+			? '✅ Every locale meets its coverage threshold.'
+			: `❌ ${report.locales
+					.filter((entry) => !entry.passed)
+					.map((entry) => escapeHtml(entry.locale))
+					.join(', ')} below the coverage threshold.`
+	}</div><div class="section"><h2>Coverage by Locale</h2><p>${
+		report.keys
+	} keys, generated ${escapeHtml(
+		new Date(report.generatedAt).toLocaleString()
+	)}. A key is covered if it has a translation that is not outdated.</p><table><thead><tr><th>Locale</th><th>Coverage</th><th>Translated</th><th>Missing</th><th>Outdated</th><th>Identical to source</th><th>Unused</th><th>Threshold</th></tr></thead><tbody>${localeRows}</tbody></table>${details}</div><div class="section"><h2>Coverage by Namespace</h2><table><thead><tr><th>Namespace</th>${report.locales
+		.map(({ locale }) => `<th>${escapeHtml(locale.toUpperCase())}</th>`)
+		.join(
+			''
+		)}</tr></thead><tbody>${namespaceRows}</tbody></table></div></div></body></html>`;
+}
+
+// Output formats of the `report` command, by name: `render(report)` returns the content, written to
+// `--out` or printed.
+const REPORT_FORMATS = {
+	table: {
+		description: 'Terminal table',
+		render(report) {
+			const summary = formatTextTable([
+				[
+					'Locale',
+					'Coverage',
+					'Translated',
+					'Missing',
+					'Outdated',
+					'Identical',
+					'Unused',
+					'Threshold'
+				],
+				...report.locales.map((entry) => [
+					entry.locale,
+					`${entry.coverage.toFixed(1)}%`,
+					`${entry.translated}/${entry.total}`,
+					entry.missing.length,
+					entry.outdated.length,
+					entry.identical.length,
+					entry.unused.length,
+					describeThreshold(entry)
+				])
+			]);
+			const byNamespace = formatTextTable([
+				['Namespace', ...report.locales.map(({ locale }) => locale)],
+				...report.namespaces.map(({ namespace, locales }) => [
+					namespace,
+					...report.locales.map(
+						({ locale }) =>
+							`${locales[locale].coverage.toFixed(1)}%`
+					)
+				])
+			]);
+			return `\n📊 Translation coverage of ${report.keys} keys:\n\n${summary}\n\nBy namespace:\n\n${byNamespace}\n`;
+		}
+	},
+	json: {
+		description: 'JSON',
+		render: (report) => `${JSON.stringify(report, null, 2)}\n`
+	},
+	junit: {
+		description: 'JUnit XML, for CI test reports',
+		// A test suite per locale, with a test case for the threshold and one per namespace. The namespaces
+		// with missing or outdated keys fail when their locale is below its threshold.
+		render(report) {
+			let failures = 0;
+			const suites = report.locales.map((entry) => {
+				const cases = [
+					{
+						name: 'coverage',
+						failure: entry.passed
+							? null
+							: `Coverage ${entry.coverage.toFixed(
+									1
+							  )}% is below the threshold of ${
+									entry.threshold
+							  }%.`,
+						details: ''
+					},
+					...report.namespaces.map(({ namespace, locales }) => {
+						const counts = locales[entry.locale];
+						const prefix = (key) =>
+							key === namespace ||
+							key.startsWith(`${namespace}.`);
+						const details = [
+							'missing',
+							'outdated',
+							'identical',
+							'unused'
+						]
+							.map((list) => [list, entry[list].filter(prefix)])
+							.filter(([, keys]) => keys.length > 0)
+							.map(
+								([list, keys]) => `${list}: ${keys.join(', ')}`
+							)
+							.join('\n');
+						return {
+							name: namespace,
+							failure:
+								!entry.passed &&
+								counts.missing + counts.outdated > 0
+									? `${counts.missing} missing, ${
+											counts.outdated
+									  } outdated (coverage ${counts.coverage.toFixed(
+											1
+									  )}%).`
+									: null,
+							details
+						};
+					})
+				];
+				const suiteFailures = cases.filter((c) => c.failure).length;
+				failures += suiteFailures;
+				return `  <testsuite name="${escapeXml(entry.locale)}" tests="${
+					cases.length
+				}" failures="${suiteFailures}">\n${cases
+					.map(
+						(c) =>
+							`    <testcase classname="i18n.${escapeXml(
+								entry.locale
+							)}" name="${escapeXml(c.name)}">${
+								c.failure
+									? `\n      <failure message="${escapeXml(
+											c.failure
+									  )}">${escapeXml(
+											c.details
+									  )}</failure>\n    `
+									: c.details
+									? `\n      <system-out>${escapeXml(
+											c.details
+									  )}</system-out>\n    `
+									: ''
+							}</testcase>`
+					)
+					.join('\n')}\n  </testsuite>`;
+			});
+			const tests =
+				report.locales.length * (report.namespaces.length + 1);
+			return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="i18n coverage" tests="${tests}" failures="${failures}">\n${suites.join(
+				'\n'
+			)}\n</testsuites>\n`;
+		}
+	},
+	markdown: {
+		description: 'Markdown, e.g. for pull request comments',
+		render(report) {
+			const code = (text) => `\`${text}\``;
+			const lines = [
+				'## Translation coverage',
+				'',
+				report.passed
+					? 'Every locale meets its coverage threshold.'
+					: `**${report.locales
+							.filter((entry) => !entry.passed)
+							.map((entry) => code(entry.locale))
+							.join(', ')} below the coverage threshold.**`,
+				'',
+				'| Locale | Coverage | Translated | Missing | Outdated | Identical to source | Unused | Threshold |',
+				'| --- | ---: | ---: | ---: | ---: | ---: | ---: | --- |',
+				...report.locales.map(
+					(entry) =>
+						`| ${code(entry.locale)} | ${entry.coverage.toFixed(
+							1
+						)}% | ${entry.translated} / ${entry.total} | ${
+							entry.missing.length
+						} | ${entry.outdated.length} | ${
+							entry.identical.length
+						} | ${entry.unused.length} | ${
+							entry.threshold === null
+								? '—'
+								: `${entry.passed ? '✅' : '❌'} ${
+										entry.threshold
+								  }%`
+						} |`
+				),
+				'',
+				'<details><summary>By namespace</summary>',
+				'',
+				`| Namespace | ${report.locales
+					.map(({ locale }) => code(locale))
+					.join(' | ')} |`,
+				`| --- | ${report.locales.map(() => '---:').join(' | ')} |`,
+				...report.namespaces.map(
+					({ namespace, locales }) =>
+						`| ${code(namespace)} | ${report.locales
+							.map(
+								({ locale }) =>
+									`${locales[locale].coverage.toFixed(1)}%`
+							)
+							.join(' | ')} |`
+				),
+				'',
+				'</details>'
+			];
+			for (const entry of report.locales) {
+				const lists = [
+					['missing', 'Missing'],
+					['outdated', 'Outdated'],
+					['identical', 'Identical to the source text']
+				].filter(([list]) => entry[list].length > 0);
+				if (lists.length === 0) continue;
+				lines.push(
+					'',
+					`<details><summary><code>${entry.locale}</code>: keys to translate</summary>`,
+					'',
+					...lists.map(
+						([list, label]) =>
+							`- ${label}: ${listReportKeys(entry[list], code)}`
+					),
+					'',
+					'</details>'
+				);
+			}
+			return `${lines.join('\n')}\n`;
+		}
+	},
+	html: {
+		description: 'Static HTML page',
+		render: (report) => generateReportHtml(report)
+	}
+};
+
+// --- RUNTIME BUNDLES ---
+// The `build` command turns the locale files into what the app loads at runtime: per locale, a flat map of
+// the used keys (`<locale>.json`) and an ES module with every message compiled into a function
+// (`<locale>.js`), plus the same for every route, limited to the keys its entry file and the files it
+// imports use (`<locale>/<route>.json`). Keys a locale does not translate fall back to the source locale.
+// File names carry a hash of their content, and `manifest.json` maps the bundles to their files.
+
+// The formats of the bundles: 'json' for flat key maps, 'js' for modules of compiled messages.
+const BUNDLE_FORMATS = ['json', 'js'];
+
+// The helpers of the compiled messages, put at the top of every module of `compileMessagesModule`.
+const MESSAGE_RUNTIME = `const cardinal = new Intl.PluralRules(locale);
+const ordinal = new Intl.PluralRules(locale, { type: 'ordinal' });
+const pick = (options, key) =>
+	(Object.prototype.hasOwnProperty.call(options, key) ? options[key] : options.other) || (() => '');
+const styles = ['short', 'medium', 'long', 'full'];
+const $ = {
+	str: (value) => (value === undefined || value === null ? '' : String(value)),
+	number: (value, style) =>
+		new Intl.NumberFormat(
+			locale,
+			style === 'percent' ? { style: 'percent' } : style === 'integer' ? { maximumFractionDigits: 0 } : {}
+		).format(value),
+	date: (value, style) =>
+		new Intl.DateTimeFormat(locale, { dateStyle: styles.includes(style) ? style : 'medium' }).format(value),
+	time: (value, style) =>
+		new Intl.DateTimeFormat(locale, { timeStyle: styles.includes(style) ? style : 'short' }).format(value),
+	plural: (value, offset, isOrdinal, options) =>
+		Object.prototype.hasOwnProperty.call(options, '=' + value)
+			? options['=' + value]()
+			: pick(options, (isOrdinal ? ordinal : cardinal).select(value - offset))(),
+	select: (value, options) => pick(options, value)()
+};`;
+
+/**
+ * Compiles parsed message nodes into a JavaScript expression that builds the text from the parameters
+ * `p`, with the helpers `$` of `MESSAGE_RUNTIME`.
+ * @param {object[]} nodes - The nodes returned by `parseMessage`.
+ * @param {string|null} pound - The expression of the number `#` stands for, inside a plural.
+ * @returns {string} The expression, a string concatenation.
+ */
+function compileMessageNodes(nodes, pound) {
+	const parts = nodes.map((node) => {
+		const value = `p[${JSON.stringify(node.name)}]`;
+		const style = JSON.stringify(node.style || null);
+		switch (node.type) {
+			case 'text':
+				return JSON.stringify(node.value);
+			case 'pound':
+				return pound ? `$.number(${pound})` : '"#"';
+			case 'argument':
+				if (node.format === 'number')
+					return `$.number(${value}, ${style})`;
+				if (node.format === 'date' || node.format === 'datetime')
+					return `$.date(${value}, ${style})`;
+				if (node.format === 'time') return `$.time(${value}, ${style})`;
+				return `$.str(${value})`;
+			case 'select':
+				return `$.select(${value}, { ${Object.entries(node.options)
+					.map(
+						([selector, option]) =>
+							`${JSON.stringify(
+								selector
+							)}: () => ${compileMessageNodes(option, pound)}`
+					)
+					.join(', ')} })`;
+			default: {
+				// plural and selectordinal
+				const number = node.offset
+					? `(${value} - ${node.offset})`
+					: value;
+				return `$.plural(${value}, ${node.offset}, ${
+					node.type === 'selectordinal'
+				}, { ${Object.entries(node.options)
+					.map(
+						([selector, option]) =>
+							`${JSON.stringify(
+								selector
+							)}: () => ${compileMessageNodes(option, number)}`
+					)
+					.join(', ')} })`;
+			}
+		}
+	});
+	return parts.length === 0 ? '""' : parts.join(' + ');
+}
+
+/**
+ * Compiles a message into the JavaScript of its runtime value: a string for a text without parameters,
+ * otherwise a function of the parameters. Messages that cannot be parsed are kept as strings.
+ * @param {string} message - The translation text.
+ * @returns {string} The JavaScript expression.
+ */
+function compileMessage(message) {
+	let nodes;
+	try {
+		nodes = parseMessage(message);
+	} catch (error) {
+		return JSON.stringify(message); // `validate` reports it.
+	}
+	if (nodes.every((node) => node.type === 'text'))
+		return JSON.stringify(nodes.map((node) => node.value).join(''));
+	return `(p = {}) => ${compileMessageNodes(nodes, null)}`;
+}
+
+/**
+ * Generates the ES module of a bundle, whose default export maps every key to its compiled message (see
+ * `compileMessage`). Values that are not strings are kept as they are.
+ * @param {string} locale - The locale, for plural rules and number and date formats.
+ * @param {object} values - The flat map of key to value.
+ * @returns {string} The module's source code.
+ */
+function compileMessagesModule(locale, values) {
+	const entries = Object.entries(values).map(
+		([key, value]) =>
+			`\t${JSON.stringify(key)}: ${
+				typeof value === 'string'
+					? compileMessage(value)
+					: JSON.stringify(value)
+			},`
+	);
+	return `// Generated by locales.js; do not edit.\nconst locale = ${JSON.stringify(
+		locale
+	)};\n${MESSAGE_RUNTIME}\n\nexport default {\n${entries.join('\n')}\n};\n`;
+}
+
+/**
+ * Flattens the used keys of a locale into one map. Keys the locale does not translate take the value of
+ * the nearest locale of its fallback chain that has them, and then of the source locale, unless a nearer
+ * locale has other plural forms of the same key.
+ * @param {object} localeData - The data of the locale.
+ * @param {object[]} fallbackData - The data of the locales it falls back to, nearest first, ending with the
+ *   source locale (empty for the source locale itself).
+ * @param {(key: string) => boolean} isUsed - Tells whether a key is used (see `createUsedKeyMatcher`).
+ * @returns {{ values: object, fallbacks: string[] }} The values by key, sorted, and the keys that fell back
+ *   to the source locale.
+ */
+function flattenLocaleBundle(localeData, fallbackData, isUsed) {
+	const values = {};
+	const fallbacks = [];
+	const chain = [localeData, ...fallbackData];
+	chain.forEach((data, index) => {
+		for (const key of collectLeafKeys(data).filter(isUsed)) {
+			if (Object.prototype.hasOwnProperty.call(values, key)) continue;
+			const baseKey = getPluralBaseKey(key);
+			if (
+				index > 0 &&
+				baseKey &&
+				chain
+					.slice(0, index)
+					.some(
+						(nearer) =>
+							getTranslation(nearer, baseKey) !== undefined
+					)
+			)
+				continue;
+			values[key] = getValue(data, key);
+			if (index > 0 && index === chain.length - 1) fallbacks.push(key);
+		}
+	});
+	return {
+		values: Object.fromEntries(
+			Object.keys(values)
+				.sort()
+				.map((key) => [key, values[key]])
+		),
+		fallbacks
+	};
+}
+
+/**
+ * Finds the routes of the project and the keys each one uses: the keys of its entry file (matching
+ * `build.routes`) and of every scanned file it imports, directly or indirectly.
+ * @param {object} scanResult - The result of `scanForKeys`.
+ * @returns {{ route: string, entry: string, files: string[], isUsed: (key: string) => boolean }[]} The
+ *   routes, named after their entry file without extension (e.g. "app/checkout/page"), with the files
+ *   they include and a predicate for their keys, like `createUsedKeyMatcher`.
+ */
+function findRouteBundles(scanResult) {
+	const entries = globSync(config.build.routes, {
+		cwd: config.workspaceDir,
+		ignore: config.ignore
+	})
+		.filter((file) => scanResult.files.has(file))
+		.sort();
+	return entries.map((entry) => {
+		const files = new Set([entry]);
+		const queue = [entry];
+		while (queue.length > 0) {
+			for (const imported of scanResult.files.get(queue.shift())
+				.imports) {
+				if (files.has(imported)) continue;
+				files.add(imported);
+				queue.push(imported);
+			}
+		}
+		const keys = new Set();
+		const prefixes = [];
+		for (const file of files) {
+			const result = scanResult.files.get(file);
+			result.keys.forEach((key) => keys.add(key));
+			prefixes.push(
+				...result.dynamicKeys.map((d) => d.prefix).filter(Boolean)
+			);
+		}
+		return {
+			route: entry.replace(/\.[^./]+$/, ''),
+			entry,
+			files: [...files].sort(),
+			isUsed: (key) =>
+				keys.has(key) ||
+				keys.has(getPluralBaseKey(key)) ||
+				prefixes.some((p) => key.startsWith(p))
+		};
+	});
+}
+
+/**
+ * Writes the runtime bundles of every locale (and pseudo-locale) and their manifest to `outDir`. Files of
+ * the previous build that are not part of this one are deleted.
+ * @param {object} scanResult - The result of `scanForKeys`.
+ * @param {object} localeData - The data of the locales to bundle, by locale.
+ * @param {string} outDir - The output directory.
+ * @returns {Promise<object>} The manifest: the `sourceLocale`, per locale the number of `keys`, the keys
+ *   that fell back to the source locale (`fallbacks`), its `files` by format and its `routes` (their files
+ *   by format), and per route its `entry` file and the source `files` it includes. Every file is given as
+ *   `{ file, hash }`, with `file` relative to `outDir`.
+ */
+async function buildRuntimeBundles(scanResult, localeData, outDir) {
+	const { formats, hashFileNames } = config.build;
+	const routes = findRouteBundles(scanResult);
+	const isUsed = createUsedKeyMatcher(scanResult);
+	const written = new Set();
+	const writeBundle = async (name, values, locale) => {
+		const files = {};
+		for (const format of formats) {
+			const content =
+				format === 'js'
+					? compileMessagesModule(locale, values)
+					: JSON.stringify(values);
+			const hash = crypto
+				.createHash('sha256')
+				.update(content)
+				.digest('hex');
+			const file = `${name}${
+				hashFileNames ? `.${hash.slice(0, 10)}` : ''
+			}.${format}`;
+			await fs.mkdir(path.dirname(path.join(outDir, file)), {
+				recursive: true
+			});
+			await writeFileAtomic(path.join(outDir, file), content);
+			written.add(file);
+			files[format] = { file, hash };
+		}
+		return files;
+	};
+
+	const manifest = {
+		sourceLocale: config.sourceLocale,
+		locales: {},
+		routes: Object.fromEntries(
+			routes.map(({ route, entry, files }) => [route, { entry, files }])
+		)
+	};
+	for (const [locale, data] of Object.entries(localeData)) {
+		const { values, fallbacks } = flattenLocaleBundle(
+			data,
+			[...getFallbackChain(locale), config.sourceLocale]
+				.filter((l, i, all) => l !== locale && all.indexOf(l) === i)
+				.map((l) => localeData[l]),
+			isUsed
+		);
+		const entry = {
+			keys: Object.keys(values).length,
+			fallbacks,
+			files: await writeBundle(locale, values, locale),
+			routes: {}
+		};
+		for (const { route, isUsed: isRouteKey } of routes) {
+			entry.routes[route] = await writeBundle(
+				`${locale}/${route}`,
+				Object.fromEntries(
+					Object.entries(values).filter(([key]) => isRouteKey(key))
+				),
+				locale
+			);
+		}
+		manifest.locales[locale] = entry;
+	}
+
+	// Delete the files of the previous build, which the new manifest no longer names.
+	const manifestPath = path.join(outDir, 'manifest.json');
+	const previous = await fs
+		.readFile(manifestPath, 'utf-8')
+		.then(JSON.parse)
+		.catch(() => null);
+	if (previous && previous.locales) {
+		for (const entry of Object.values(previous.locales)) {
+			for (const files of [
+				entry.files,
+				...Object.values(entry.routes || {})
+			]) {
+				for (const { file } of Object.values(files || {})) {
+					if (typeof file !== 'string' || written.has(file)) continue;
+					// An edited or foreign manifest must not make the build delete files elsewhere.
+					const filePath = path.resolve(outDir, file);
+					const relative = path.relative(
+						path.resolve(outDir),
+						filePath
+					);
+					if (
+						!relative ||
+						relative.startsWith('..') ||
+						path.isAbsolute(relative)
+					)
+						continue;
+					await fs.rm(filePath, { force: true });
+				}
+			}
+		}
+	}
+	await writeFileAtomic(
+		manifestPath,
+		`${JSON.stringify(manifest, null, 2)}\n`
+	);
+	return manifest;
+}
+
+// --- COMMANDS ---
+// Each command runs one step of the i18n workflow. Commands declare their own options on top of
+// the shared `CONFIG_FLAGS` and `COMMON_FLAGS`, and every command supports `--help` and `--json`. A command
+// whose output is a document for other tools (e.g. a report) declares `printsResult(flags)`, which sends
+// progress messages to stderr like `--json` does. Commands that take arguments besides options describe
+// them in `args` for the usage line (e.g. "<from> <to>"); the others reject arguments.
+
+const COMMON_FLAGS = {
+	help: { type: 'boolean', description: 'Show help for the command' },
+	json: { type: 'boolean', description: 'Print the result as JSON' }
+};
+
+/**
+ * Prints a command result as JSON to stdout.
+ * @param {*} value - The value to print.
+ */
+function printJson(value) {
+	console.log(JSON.stringify(value, null, 2));
+}
+
+const COMMANDS = {
+	scan: {
+		summary: 'Print all translation keys used in the source code.',
+		options: {
+			usages: {
+				type: 'boolean',
+				description: 'Also print the file, line and column of every use'
+			}
+		},
+		async run(flags) {
+			const { keys, usages, dynamicKeys, invalidKeys } = scanForKeys();
+			if (jsonOutput)
+				printJson({
+					keys,
+					usages: Object.fromEntries(usages),
+					dynamicKeys,
+					invalidKeys
+				});
+			else
+				keys.forEach((key) => {
+					console.log(key);
+					if (!flags.usages) return;
+					for (const { file, line, column } of usages.get(key)) {
+						console.log(`   ${file}:${line}:${column}`);
+					}
+				});
+		}
+	},
+	types: {
+		summary:
+			'Scan the source code and regenerate the types file and the pseudo-locales.',
+		async run() {
+			const { keys } = scanForKeys();
+			await generateTypesFile(keys);
+			const pseudoLocales = await generatePseudoLocales();
+			if (jsonOutput)
+				printJson({
+					typesFile: config.typesFile,
+					keyCount: keys.length,
+					pseudoLocales
+				});
+		}
+	},
+	clean: {
+		summary:
+			'Remove keys that are no longer used from the locale files (they are kept in a trash file).',
+		options: {
+			'dry-run': {
+				type: 'boolean',
+				description:
+					'Print the keys that would be removed without changing any file'
+			},
+			overrides: {
+				type: 'boolean',
+				description:
+					'Also remove the values of locales with a fallback that equal the value they inherit'
+			}
+		},
+		async run(flags) {
+			const scanResult = scanForKeys();
+			if (scanResult.keys.length === 0)
+				throw new ConfigError(
+					'No translation keys found in the project. Refusing to clean, as this would empty every locale file.'
+				);
+			const dryRun = Boolean(flags['dry-run']);
+			const overrides = Boolean(flags.overrides);
+			const removed = await cleanupLocaleFiles(scanResult, {
+				dryRun,
+				overrides
+			});
+			if (jsonOutput)
+				printJson({
+					dryRun,
+					removed,
+					redundantOverrides: overrides
+						? []
+						: findRedundantOverrides(await loadLocaleData())
+				});
+		}
+	},
+	restore: {
+		summary:
+			'Put keys removed by "clean" back into the locale files. Pass key patterns (e.g. "status.*") to restore only those.',
+		args: '[patterns...]',
+		options: {
+			locale: {
+				type: 'string',
+				multiple: true,
+				description: 'Only restore entries of this locale (repeatable)'
+			},
+			list: {
+				type: 'boolean',
+				description:
+					'List the trashed entries instead of restoring them'
+			},
+			force: {
+				type: 'boolean',
+				description: 'Overwrite keys that have a value again'
+			},
+			'dry-run': {
+				type: 'boolean',
+				description:
+					'Print what would be restored without changing any file'
+			}
+		},
+		async run(flags, patterns) {
+			if (flags.list) {
+				const trash = await readTrash();
+				if (jsonOutput) printJson({ entries: trash });
+				else if (trash.length === 0)
+					console.log('🗑️  The trash is empty.');
+				else
+					trash.forEach(({ removedAt, locale, key, value }) =>
+						console.log(
+							`${removedAt}  ${locale}  ${key}: ${JSON.stringify(
+								value
+							)}`
+						)
+					);
+				return;
+			}
+			const dryRun = Boolean(flags['dry-run']);
+			const { restored, skipped } = await restoreFromTrash({
+				patterns,
+				locales: flags.locale,
+				force: Boolean(flags.force),
+				dryRun
+			});
+			if (jsonOutput) {
+				printJson({ dryRun, restored, skipped });
+				return;
+			}
+			log(
+				`\n♻️  ${dryRun ? 'Would restore' : 'Restored'} ${
+					restored.length
+				} entries${dryRun ? ' (dry run)' : ''}:`
+			);
+			restored.forEach(({ locale, key, value }) =>
+				log(
+					`   + ${getKeyFileLabel(
+						locale,
+						key
+					)} ${key}: ${JSON.stringify(value)}`
+				)
+			);
+			if (skipped.length > 0) {
+				log(
+					`⚠️  Skipped ${skipped.length} entries whose keys have a value again (use --force to overwrite):`
+				);
+				skipped.forEach(({ locale, key }) =>
+					log(`   - ${getKeyFileLabel(locale, key)} ${key}`)
+				);
+			}
+		}
+	},
+	check: {
+		summary:
+			'Report missing and unused keys and outdated translations; exits with code 1 if there are any.',
+		async run() {
+			const scanResult = scanForKeys({ listDynamicKeys: jsonOutput });
+			const localeData = await loadLocaleData();
+			const missingKeys = findMissingKeys(scanResult.keys, localeData);
+			const unusedKeys = findUnusedKeys(scanResult, localeData);
+			const outdated = findOutdatedTranslations(
+				localeData,
+				await readTranslationLock()
+			);
+			const missing = [...missingKeys].map(([key]) => ({
+				key,
+				locales: config.locales.filter(
+					(l) => !hasTranslation(localeData, l, key)
+				)
+			}));
+			const unused = [...unusedKeys].map(([key, locales]) => ({
+				key,
+				locales
+			}));
+			const ok =
+				missing.length === 0 &&
+				unused.length === 0 &&
+				outdated.length === 0;
+			if (jsonOutput)
+				printJson({
+					ok,
+					missing,
+					unused,
+					outdated,
+					dynamicKeys: scanResult.dynamicKeys,
+					invalidKeys: scanResult.invalidKeys
+				});
+			else {
+				if (missing.length > 0) {
+					console.log(
+						`\n❌ ${missing.length} keys are missing translations:`
+					);
+					missing.forEach(({ key, locales }) =>
+						console.log(`   - ${key} (${locales.join(', ')})`)
+					);
+				}
+				if (unused.length > 0) {
+					console.log(
+						`\n❌ ${unused.length} keys are not used in the source code:`
+					);
+					unused.forEach(({ key, locales }) =>
+						console.log(`   - ${key} (${locales.join(', ')})`)
+					);
+				}
+				if (outdated.length > 0) {
+					console.log(
+						`\n❌ ${outdated.length} translations are outdated because their source text changed (update them, or keep them with "outdated --accept"):`
+					);
+					printOutdatedTranslations(outdated);
+				}
+				if (scanResult.dynamicKeys.length > 0) {
+					// Listed like `scan --usages`, so that CI logs show which calls were treated as prefixes.
+					console.log(
+						`\n⚠️  ${scanResult.dynamicKeys.length} calls use keys that cannot be resolved statically:`
+					);
+					for (const {
+						file,
+						line,
+						column,
+						expression,
+						prefix
+					} of scanResult.dynamicKeys) {
+						console.log(
+							`   ${file}:${line}:${column} ${expression}${
+								prefix
+									? ` (keys under "${prefix}" are treated as used)`
+									: ' (no static prefix; its keys are unknown)'
+							}`
+						);
+					}
+				}
+				if (ok) console.log('\n✅ All locale files are up-to-date!');
+			}
+			if (!ok) process.exitCode = 1;
+		}
+	},
+	validate: {
+		summary:
+			'Check that translations keep the placeholders, markup, plural forms and punctuation of the source locale and follow the glossary; exits with code 1 on errors.',
+		options: {
+			strict: {
+				type: 'boolean',
+				description: 'Also exit with code 1 on warnings'
+			}
+		},
+		async run(flags) {
+			const localeData = await loadLocaleData();
+			const keys = getLogicalKeys(localeData[config.sourceLocale]);
+			log(
+				`\n🔎 Validating ${keys.length} keys against the "${config.sourceLocale}" source texts...`
+			);
+			const issues = validateLocaleData(
+				keys,
+				localeData,
+				await readGlossary()
+			);
+			const errorCount = issues.filter(
+				(i) => i.severity === 'error'
+			).length;
+			const warningCount = issues.length - errorCount;
+			if (jsonOutput) printJson({ ok: errorCount === 0, issues });
+			else {
+				printValidationIssues(issues);
+				console.log(
+					issues.length === 0
+						? '\n✅ All translations are consistent with their source texts.'
+						: `\n${errorCount} errors, ${warningCount} warnings.`
+				);
+			}
+			if (errorCount > 0 || (flags.strict && warningCount > 0))
+				process.exitCode = 1;
+		}
+	},
+	outdated: {
+		summary:
+			'List the translations whose source text changed since they were translated; exits with code 1 if there are any. Pass key patterns (e.g. "checkout.*") to limit the list.',
+		args: '[patterns...]',
+		options: {
+			locale: {
+				type: 'string',
+				multiple: true,
+				description: 'Only this locale (repeatable)'
+			},
+			accept: {
+				type: 'boolean',
+				description:
+					'Mark the listed translations as still correct. Without a lock file, starts tracking all current translations'
+			}
+		},
+		async run(flags, patterns) {
+			const locales = flags.locale || config.locales;
+			const unknown = locales.filter((l) => !config.locales.includes(l));
+			if (unknown.length > 0)
+				throw new ConfigError(
+					`Unknown locales: ${unknown.join(
+						', '
+					)}. Configured locales: ${config.locales.join(', ')}.`
+				);
+			const matchers = patterns.map(compileKeyPattern);
+			const localeData = await loadLocaleData();
+			const lock = await readTranslationLock();
+			const outdated = findOutdatedTranslations(localeData, lock).filter(
+				({ key, locale }) =>
+					locales.includes(locale) &&
+					(matchers.length === 0 ||
+						matchers.some(
+							(matcher) =>
+								matcher.test(key) ||
+								matcher.test(getPluralBaseKey(key) || key)
+						))
+			);
+			if (flags.accept) {
+				await updateTranslationLock(localeData, { updated: outdated });
+				if (jsonOutput) printJson({ accepted: outdated });
+				else if (!lock)
+					log(
+						`\n🔒 Created ${path.relative(
+							process.cwd(),
+							config.lockFile
+						)}: changes to the source texts from now on mark their translations as outdated.`
+					);
+				else
+					log(
+						`\n✅ Marked ${outdated.length} outdated translations as still correct.`
+					);
+				return;
+			}
+			if (jsonOutput) printJson({ tracked: lock !== null, outdated });
+			else if (!lock)
+				log(
+					`\nℹ️  ${path.relative(
+						process.cwd(),
+						config.lockFile
+					)} does not exist yet, so no translation is known to be outdated. It is created when translations are saved or imported, or now with "outdated --accept".`
+				);
+			else if (outdated.length === 0)
+				log('\n✅ No translation is outdated.');
+			else {
+				console.log(
+					`\n❌ ${outdated.length} translations are outdated because their source text changed:`
+				);
+				printOutdatedTranslations(outdated);
+			}
+			if (outdated.length > 0) process.exitCode = 1;
+		}
+	},
+	report: {
+		summary:
+			'Report the translation coverage per locale and namespace; exits with code 1 if a locale is below its coverage threshold.',
+		options: {
+			format: {
+				type: 'string',
+				description: `Output format: ${Object.keys(REPORT_FORMATS).join(
+					', '
+				)} (default: table)`
+			},
+			out: {
+				type: 'string',
+				description: 'File to write the report to (default: stdout)'
+			},
+			threshold: {
+				type: 'string',
+				multiple: true,
+				description:
+					'Minimum coverage of a locale in percent, e.g. "de=100" or "*=80" (repeatable; overrides coverageThresholds)'
+			}
+		},
+		// The report is the command's output, so progress messages go to stderr unless it is written to a file.
+		printsResult: (flags) =>
+			!flags.out && (flags.format || 'table') !== 'table',
+		async run(flags) {
+			const format = flags.json ? 'json' : flags.format || 'table';
+			if (!REPORT_FORMATS[format])
+				throw new ConfigError(
+					`Unknown report format "${format}". Supported formats: ${Object.keys(
+						REPORT_FORMATS
+					).join(', ')}.`
+				);
+			const thresholds = { ...config.coverageThresholds };
+			for (const value of flags.threshold || []) {
+				const match = /^([^=]+)=(.+)$/.exec(value);
+				if (!match)
+					throw new ConfigError(
+						`Invalid --threshold "${value}": use <locale>=<percent>, e.g. "de=100".`
+					);
+				thresholds[match[1].trim()] = Number(match[2]);
+			}
+			validateCoverageThresholds(thresholds, config.locales);
+			const scanResult = scanForKeys();
+			const localeData = await loadLocaleData();
+			const report = buildCoverageReport(
+				scanResult,
+				localeData,
+				await readTranslationLock(),
+				thresholds
+			);
+			const content = REPORT_FORMATS[format].render(report);
+			if (flags.out) {
+				const file = path.resolve(flags.out);
+				await fs.mkdir(path.dirname(file), { recursive: true });
+				await fs.writeFile(file, content);
+				log(`📊 Wrote the coverage report to ${file}`);
+			} else process.stdout.write(content);
+			if (!report.passed) {
+				log(
+					`\n❌ Below the coverage threshold: ${report.locales
+						.filter((entry) => !entry.passed)
+						.map(
+							(entry) =>
+								`${entry.locale} (${entry.coverage.toFixed(
+									1
+								)}% < ${entry.threshold}%)`
+						)
+						.join(', ')}`
+				);
+				process.exitCode = 1;
+			}
+		}
+	},
+	move: {
+		summary:
+			'Move a key (with its nested keys and plural forms) to a new path in every locale, e.g. "move common.cta checkout.cta".',
+		args: '<from> <to>',
+		options: {
+			force: {
+				type: 'boolean',
+				description:
+					'Overwrite values that already exist at the new path'
+			},
+			'dry-run': {
+				type: 'boolean',
+				description:
+					'Print what would be moved without changing any file'
+			}
+		},
+		async run(flags, [from, to, ...rest]) {
+			if (rest.length > 0)
+				throw new ConfigError(
+					'Pass exactly two key paths: the current and the new one.'
+				);
+			const dryRun = Boolean(flags['dry-run']);
+			const { moved, conflicts } = await moveKeys(from, to, {
+				force: Boolean(flags.force),
+				dryRun
+			});
+			if (conflicts.length > 0) process.exitCode = 1;
+			const { usages } = scanForKeys();
+			// The source code is not rewritten; list the uses that need the new key.
+			const uses = usages.get(from) || [];
+			if (jsonOutput) {
+				printJson({ dryRun, moved, conflicts, usages: uses });
+				return;
+			}
+			if (conflicts.length > 0) {
+				log(
+					`\n⚠️  Nothing was moved because the new path already has a value in ${conflicts.length} places (use --force to overwrite):`
+				);
+				conflicts.forEach((entry) =>
+					log(
+						`   - ${getKeyFileLabel(entry.locale, entry.to)} ${
+							entry.to
+						}`
+					)
+				);
+				return;
+			}
+			log(
+				`\n🚚 ${dryRun ? 'Would move' : 'Moved'} ${
+					moved.length
+				} entries${dryRun ? ' (dry run)' : ''}:`
+			);
+			moved.forEach((entry) =>
+				log(
+					`   ${getKeyFileLabel(entry.locale, entry.from)} ${
+						entry.from
+					} → ${getKeyFileLabel(entry.locale, entry.to)} ${entry.to}`
+				)
+			);
+			if (uses.length > 0) {
+				log(
+					`\nUpdate these ${uses.length} uses of "${from}" in the source code:`
+				);
+				uses.forEach(({ file, line, column }) =>
+					log(`   ${file}:${line}:${column}`)
+				);
+			}
+		}
+	},
+	convert: {
+		summary:
+			'Convert the locale files to another file format, e.g. "convert --to yaml".',
+		options: {
+			to: {
+				type: 'string',
+				description: `Target format: ${Object.keys(LOCALE_FORMATS).join(
+					', '
+				)}`
+			},
+			out: {
+				type: 'string',
+				description:
+					'Directory to write the converted files to (default: the locales directory)'
+			},
+			'file-pattern': {
+				type: 'string',
+				description:
+					"File pattern of the converted files (default: the format's usual file names)"
+			}
+		},
+		async run(flags) {
+			if (!LOCALE_FORMATS[flags.to])
+				throw new ConfigError(
+					`Pass the target format with --to (${Object.keys(
+						LOCALE_FORMATS
+					).join(', ')}).`
+				);
+			const target = {
+				...config,
+				fileFormat: flags.to,
+				filePattern: flags['file-pattern'] || null,
+				files: {},
+				localesDir: flags.out
+					? path.resolve(flags.out)
+					: config.localesDir
+			};
+			if (target.filePattern !== null)
+				validateFilePattern(target.filePattern, target.layout);
+			const namespace =
+				config.layout === 'namespaced'
+					? config.defaultNamespace
+					: undefined;
+			const clash = config.locales.find(
+				(locale) =>
+					getLocaleFilePath(locale, config, namespace) ===
+					getLocaleFilePath(locale, target, namespace)
+			);
+			if (clash)
+				throw new ConfigError(
+					`The converted files would replace the current ones (${getLocaleFilePath(
+						clash,
+						config,
+						namespace
+					)}). Choose another --out directory or --file-pattern.`
+				);
+
+			const files = [];
+			for (const locale of config.locales) {
+				const data = await readLocaleFile(locale);
+				await writeLocaleFile(locale, data, target);
+				const written =
+					target.layout === 'namespaced'
+						? Object.keys(data).map((namespace) =>
+								getLocaleFilePath(locale, target, namespace)
+						  )
+						: [getLocaleFilePath(locale, target)];
+				for (const file of written) {
+					files.push({ locale, file });
+					log(`🔁 ${locale} → ${path.relative(process.cwd(), file)}`);
+				}
+			}
+			if (jsonOutput) {
+				printJson({ format: flags.to, files });
+				return;
+			}
+			log(
+				`\n✅ Converted ${config.locales.length} locales to ${
+					LOCALE_FORMATS[flags.to].description
+				}. The original files were kept; set "fileFormat": "${
+					flags.to
+				}"${
+					target.filePattern
+						? ` and "filePattern": "${target.filePattern}"`
+						: ''
+				}${
+					flags.out ? ' and "localesDir"' : ''
+				} in the config to use the new files.`
+			);
+		}
+	},
+	export: {
+		summary:
+			'Export translations for translators as XLIFF, PO, CSV or XLSX (one file per locale for XLIFF and PO).',
+		options: {
+			format: {
+				type: 'string',
+				description: `File format: ${Object.keys(
+					INTERCHANGE_FORMATS
+				).join(', ')} (default: xliff)`
+			},
+			scope: {
+				type: 'string',
+				description:
+					'"missing" for untranslated and outdated units only, or "all" (default: missing)'
+			},
+			locale: {
+				type: 'string',
+				multiple: true,
+				description:
+					'Export this target locale (repeatable; default: all but the source locale)'
+			},
+			out: {
+				type: 'string',
+				description:
+					'Directory to write the files to (default: i18n-export)'
+			}
+		},
+		async run(flags) {
+			const format = getInterchangeFormat('', flags.format || 'xliff');
+			const scope = flags.scope || 'missing';
+			if (!['missing', 'all'].includes(scope))
+				throw new ConfigError('--scope must be "missing" or "all".');
+			const locales = flags.locale || config.locales;
+			const unknown = locales.filter((l) => !config.locales.includes(l));
+			if (unknown.length > 0)
+				throw new ConfigError(
+					`Unknown locales: ${unknown.join(
+						', '
+					)}. Configured locales: ${config.locales.join(', ')}.`
+				);
+			const scanResult = scanForKeys();
+			const localeData = await loadLocaleData();
+			const files = await buildExport({
+				format,
+				scope,
+				locales,
+				keys: getProjectKeys(scanResult, localeData),
+				localeData,
+				usages: scanResult.usages,
+				outdated: findOutdatedTranslations(
+					localeData,
+					await readTranslationLock()
+				)
+			});
+			const outDir = path.resolve(flags.out || 'i18n-export');
+			await fs.mkdir(outDir, { recursive: true });
+			for (const file of files) {
+				file.path = path.join(outDir, file.fileName);
+				await fs.writeFile(file.path, file.content);
+				log(`📤 Exported ${file.count} units to ${file.path}`);
+			}
+			if (files.length === 0) log('✅ There is nothing to export.');
+			if (jsonOutput)
+				printJson({
+					format,
+					scope,
+					files: files.map(({ path: file, count }) => ({
+						file,
+						count
+					}))
+				});
+		}
+	},
+	import: {
+		summary:
+			'Import translated XLIFF, PO, CSV or XLSX files (pass them as arguments) into the locale files.',
+		args: '<files...>',
+		options: {
+			format: {
+				type: 'string',
+				description:
+					'File format, if it cannot be told from the extension'
+			},
+			locale: {
+				type: 'string',
+				description:
+					'Target locale of XLIFF/PO files that do not name one'
+			},
+			overwrite: {
+				type: 'boolean',
+				description: 'Replace existing translations that differ'
+			},
+			'dry-run': {
+				type: 'boolean',
+				description:
+					'Print what would be imported without changing any file'
+			}
+		},
+		async run(flags, files) {
+			if (files.length === 0)
+				throw new ConfigError(
+					'Pass the files to import, e.g. "node locales.js import i18n-export/de.xlf".'
+				);
+			const entries = [];
+			let fuzzy = 0;
+			for (const file of files) {
+				const format = getInterchangeFormat(file, flags.format);
+				try {
+					const content = await fs.readFile(path.resolve(file));
+					const result = await readInterchangeFile(
+						content,
+						format,
+						flags.locale
+					);
+					entries.push(...result.entries);
+					fuzzy += result.fuzzy;
+				} catch (error) {
+					if (error instanceof ConfigError) throw error;
+					throw new ConfigError(
+						`Could not read ${file} as ${INTERCHANGE_FORMATS[format].description}: ${error.message}`
+					);
+				}
+			}
+			const dryRun = Boolean(flags['dry-run']);
+			const report = await importTranslations(entries, scanForKeys(), {
+				overwrite: Boolean(flags.overwrite),
+				dryRun
+			});
+			if (jsonOutput) {
+				printJson({ dryRun, ...report, fuzzy });
+				return;
+			}
+			printImportReport(report, dryRun);
+			if (fuzzy > 0) log(`ℹ️  Skipped ${fuzzy} fuzzy entries (drafts).`);
+			if (report.updated.length > 0 && !dryRun)
+				log(
+					'Run "node locales.js validate" to check the imported translations.'
+				);
+		}
+	},
+	build: {
+		summary:
+			'Write the runtime bundles of the translations: flat key maps and compiled messages per locale and per route, with a manifest.',
+		options: {
+			out: {
+				type: 'string',
+				description:
+					'Directory to write the bundles to (default: build.outDir)'
+			}
+		},
+		async run(flags) {
+			const outDir = flags.out
+				? path.resolve(flags.out)
+				: config.build.outDir;
+			const scanResult = scanForKeys();
+			// The pseudo-locales are bundled too, from their current source texts.
+			const pseudoLocales = await generatePseudoLocales();
+			const localeData = await loadLocaleData();
+			for (const { locale } of pseudoLocales)
+				localeData[locale] = await readLocaleFile(locale);
+			const manifest = await buildRuntimeBundles(
+				scanResult,
+				localeData,
+				outDir
+			);
+			if (jsonOutput) {
+				printJson({ outDir, ...manifest });
+				return;
+			}
+			const routes = Object.keys(manifest.routes);
+			log(
+				`\n📦 Built the bundles of ${
+					Object.keys(manifest.locales).length
+				} locales${
+					routes.length > 0 ? ` and ${routes.length} routes` : ''
+				} in ${path.relative(process.cwd(), outDir) || '.'}:`
+			);
+			for (const [locale, entry] of Object.entries(manifest.locales))
+				log(
+					`   ${locale}: ${entry.keys} keys${
+						entry.fallbacks.length > 0
+							? `, ${entry.fallbacks.length} from "${config.sourceLocale}"`
+							: ''
+					} (${Object.values(entry.files)
+						.map(({ file }) => file)
+						.join(', ')})`
+				);
+			routes.forEach((route) =>
+				log(
+					`   ${route}: ${manifest.routes[route].files.length} source files`
+				)
+			);
+		}
+	},
+	serve: {
+		summary:
+			'Scan, regenerate types and start the web UI (default command).',
+		options: {
+			clean: {
+				type: 'boolean',
+				description: 'Remove unused keys from the locale files first'
+			},
+			watch: {
+				type: 'boolean',
+				description:
+					'Rescan changed files, regenerate types and update the open pages while the server runs'
+			}
+		},
+		async run(flags) {
+			// Step 1: Scan the entire project to find all translation keys currently in use.
+			// The per-file results are kept so that watch mode only rescans changed files.
+			const scanCache = new Map();
+			const scanResult = scanForKeys({ cache: scanCache });
+			const usedKeys = scanResult.keys;
+			if (usedKeys.length === 0) {
+				log('✅ No translation keys found in the project. Exiting.');
+				return;
+			}
+
+			// Step 2: Generate or update the TypeScript types file (`types.ts`) based on the `usedKeys`.
+			// This ensures type safety and autocompletion for translation keys in the codebase.
+			// The configured pseudo-locales are generated from the source texts along with it.
+			await generateTypesFile(usedKeys);
+			await generatePseudoLocales();
+
+			// Step 3 (opt-in): Remove any translation keys from the locale files that are no longer
+			// present in the `usedKeys` list, keeping the locale files clean and optimized.
+			if (flags.clean) await cleanupLocaleFiles(scanResult);
+
+			// Step 4: Launch a local web server that provides an interactive user interface.
+			// This UI allows developers to easily identify and add missing translations,
+			// and can even generate prompts for AI translation services.
+			log('\n🚀 Launching web interface for the final sync step...');
+			await startServer(scanResult, {
+				watch: Boolean(flags.watch),
+				scanCache
+			});
+		}
 	}
+};
+const DEFAULT_COMMAND = 'serve';
+
+/**
+ * Formats the usage line of a command, with its arguments.
+ * @param {string} name - The command name.
+ * @returns {string} E.g. "Usage: node locales.js move <from> <to> [options]".
+ */
+function formatUsage(name) {
+	const { args } = COMMANDS[name];
+	return `Usage: node locales.js ${name}${args ? ` ${args}` : ''} [options]`;
+}
 
-	// Step 2: Generate or update the TypeScript types file (`types.ts`) based on the `usedKeys`.
-	// This ensures type safety and autocompletion for translation keys in the codebase.
-	generateTypesFile(usedKeys);
+/**
+ * Formats the help text for a command, or the command overview when no command is given.
+ * @param {string} [name] - The command name.
+ * @returns {string} The help text.
+ */
+function formatHelp(name) {
+	const formatOptions = (spec) =>
+		Object.entries(spec)
+			.map(([flag, def]) => {
+				const usage = `--${flag}${
+					def.type === 'string' ? ' <value>' : ''
+				}`;
+				return `  ${usage.padEnd(26)}${def.description}`;
+			})
+			.join('\n');
+	if (!name) {
+		const commands = Object.entries(COMMANDS)
+			.map(([cmd, def]) => `  ${cmd.padEnd(26)}${def.summary}`)
+			.join('\n');
+		return `Usage: node locales.js [command] [options]\n\nCommands:\n${commands}\n\nRun "node locales.js <command> --help" for the options of a command.`;
+	}
+	const command = COMMANDS[name];
+	const ownOptions = command.options
+		? `Options:\n${formatOptions(command.options)}\n\n`
+		: '';
+	return `${formatUsage(name)}\n\n${
+		command.summary
+	}\n\n${ownOptions}Common options:\n${formatOptions({
+		...COMMON_FLAGS,
+		...CONFIG_FLAGS
+	})}`;
+}
 
-	// Step 3: Remove any translation keys from the locale JSON files that are no longer
-	// present in the `usedKeys` list, keeping the locale files clean and optimized.
-	await cleanupLocaleFiles(usedKeys);
+// --- Main Execution Flow ---
+// This is the primary function that dispatches to the requested command.
+async function run() {
+	const argv = process.argv.slice(2);
+	const commandName =
+		argv[0] && !argv[0].startsWith('--') ? argv[0] : undefined;
+	if (commandName === 'help') {
+		console.log(formatHelp(COMMANDS[argv[1]] ? argv[1] : undefined));
+		return;
+	}
+	if (commandName && !COMMANDS[commandName])
+		throw new ConfigError(
+			`Unknown command "${commandName}". Run "node locales.js --help" for a list of commands.`
+		);
+	const name = commandName || DEFAULT_COMMAND;
+	const command = COMMANDS[name];
+	const { flags, positionals } = parseArgs(
+		commandName ? argv.slice(1) : argv,
+		{
+			...COMMON_FLAGS,
+			...CONFIG_FLAGS,
+			...command.options
+		}
+	);
+	if (flags.help) {
+		console.log(formatHelp(commandName));
+		return;
+	}
+	if (positionals.length > 0 && !command.args)
+		throw new ConfigError(
+			`Unexpected argument "${positionals[0]}".\n${formatUsage(
+				name
+			)}\nRun "node locales.js ${name} --help" for its options.`
+		);
+	jsonOutput =
+		Boolean(flags.json) ||
+		Boolean(command.printsResult && command.printsResult(flags));
 
-	// Step 4: Launch a local web server that provides an interactive user interface.
-	// This UI allows developers to easily identify and add missing translations,
-	// and can even generate prompts for AI translation services.
-	console.log('\n🚀 Launching web interface for the final sync step...');
-	await startServer();
+	log('🚀 Starting i18n Tool...');
+	config = await loadConfig(flags);
+	if (config.configFile)
+		log(
+			`⚙️  Using config ${config.configFile}${
+				config.project ? ` (project "${config.project}")` : ''
+			}`
+		);
+	await command.run(flags, positionals);
 }
 
 // Execute the main `run` function and catch any unhandled errors.
 run().catch((error) => {
-	console.error('\n❌ An unexpected error occurred:', error);
+	if (error instanceof ConfigError) console.error(`\n❌ ${error.message}`);
+	else console.error('\n❌ An unexpected error occurred:', error);
 	process.exit(1); // Exit the process with an error code.
 });